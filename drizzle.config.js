@@ -0,0 +1,11 @@
+// drizzle-kit reads the schema from here to generate SQL migrations (npm run db:generate)
+const { defineConfig } = require('drizzle-kit');
+
+module.exports = defineConfig({
+    dialect: 'postgresql',
+    schema: './schema.js',
+    out: './migrations',
+    dbCredentials: {
+        url: process.env.DATABASE_URL
+    }
+});
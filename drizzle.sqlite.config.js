@@ -0,0 +1,8 @@
+// drizzle-kit config for the sqlite storage driver's migrations (npm run db:generate:sqlite)
+const { defineConfig } = require('drizzle-kit');
+
+module.exports = defineConfig({
+    dialect: 'sqlite',
+    schema: './schema.sqlite.js',
+    out: './migrations/sqlite'
+});
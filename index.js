@@ -1,26 +1,16 @@
-const { Client, GatewayIntentBits, SlashCommandBuilder, EmbedBuilder, ButtonBuilder, ActionRowBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
-const { Pool } = require('@neondatabase/serverless');
-const { drizzle } = require('drizzle-orm/neon-serverless');
-const { pgTable, text, timestamp, integer, boolean, json } = require('drizzle-orm/pg-core');
-const { eq, and, ne } = require('drizzle-orm');
+const { Client, GatewayIntentBits, SlashCommandBuilder, EmbedBuilder, ButtonBuilder, ActionRowBuilder, ButtonStyle, PermissionFlagsBits, ChannelType, OverwriteType, StringSelectMenuBuilder, UserSelectMenuBuilder } = require('discord.js');
 const cron = require('node-cron');
 const http = require('http');
-const WebSocket = require('ws');
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
 
-// WebSocket polyfill for Neon database
-global.WebSocket = WebSocket;
+// Health check and REST API server for Render
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
 
-// Database configuration optimized for Render hosting with Neon
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    max: 3, // Further reduced for Render hosting and Neon limits
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 15000
-});
-
-// Health check server for Render
-const server = http.createServer((req, res) => {
-    if (req.url === '/health') {
+    if (pathname.startsWith('/api/')) {
+        await handleApiRequest(req, res);
+    } else if (pathname === '/health') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
             status: 'ok',
@@ -36,230 +26,384 @@ const server = http.createServer((req, res) => {
 });
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`🌐 Health check server running on port ${PORT}`);
-    console.log(`📊 Health endpoint: http://localhost:${PORT}/health`);
-});
 
-// Database schema definitions
-const lfgSessions = pgTable('lfg_sessions', {
-    id: text('id').primaryKey(),
-    creatorId: text('creator_id').notNull(),
-    guildId: text('guild_id').notNull(),
-    channelId: text('channel_id').notNull(),
-    messageId: text('message_id'),
-    game: text('game').notNull(),
-    gamemode: text('gamemode').notNull(),
-    playersNeeded: integer('players_needed').notNull(),
-    info: text('info'),
-    status: text('status').notNull().default('waiting'),
-    currentPlayers: json('current_players').notNull().default([]),
-    confirmedPlayers: json('confirmed_players').notNull().default([]),
-    voiceChannelId: text('voice_channel_id'),
-    confirmationStartTime: timestamp('confirmation_start_time'),
-    createdAt: timestamp('created_at').notNull().defaultNow(),
-    updatedAt: timestamp('updated_at').notNull().defaultNow(),
-    expiresAt: timestamp('expires_at').notNull(),
-    isActive: boolean('is_active').notNull().default(true)
+// Storage backend (STORAGE_DRIVER=postgres|memory|sqlite, see storage/index.js)
+const storage = createStorage(process.env.STORAGE_DRIVER || 'postgres', {
+    databaseUrl: process.env.DATABASE_URL,
+    sqlitePath: process.env.SQLITE_PATH || 'lfg.sqlite'
 });
 
-const guildSettings = pgTable('guild_settings', {
-    guildId: text('guild_id').primaryKey(),
-    lfgChannelId: text('lfg_channel_id'),
-    createdAt: timestamp('created_at').notNull().defaultNow(),
-    updatedAt: timestamp('updated_at').notNull().defaultNow()
-});
+// Entry point for `node index.js migrate [status|up|down [steps]]`
+async function runMigrationCli(command = 'status', stepsArg) {
+    let exitCode = 0;
 
-const userSessions = pgTable('user_sessions', {
-    userId: text('user_id').primaryKey(),
-    sessionId: text('session_id').notNull(),
-    createdAt: timestamp('created_at').notNull().defaultNow(),
-    updatedAt: timestamp('updated_at').notNull().defaultNow()
-});
+    try {
+        if (typeof storage.migrateUp !== 'function') {
+            throw new Error(`The ${storage.name} storage driver has no migrate commands - only postgres does`);
+        }
 
-const db = drizzle(pool, {
-    schema: { lfgSessions, guildSettings, userSessions }
-});
+        if (command === 'up') {
+            const applied = await storage.migrateUp();
+            console.log(applied.length > 0 ? `✅ Applied: ${applied.join(', ')}` : '✅ No pending migrations');
+        } else if (command === 'down') {
+            const steps = stepsArg === undefined ? 1 : Number(stepsArg);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('Usage: node index.js migrate down [steps]');
+            }
 
-// Auto-create tables on startup for deployment environments
-async function ensureDatabaseTables(retryCount = 0) {
-    try {
-        console.log('🔧 Checking database connection and tables...');
-        
-        // Test database connection first with retry logic
-        await pool.query('SELECT 1');
-        console.log('✅ Database connection verified');
-        
-        // Create tables if they don't exist (safe for deployment)
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS lfg_sessions (
-                id TEXT PRIMARY KEY,
-                creator_id TEXT NOT NULL,
-                guild_id TEXT NOT NULL,
-                channel_id TEXT NOT NULL,
-                message_id TEXT,
-                game TEXT NOT NULL,
-                gamemode TEXT NOT NULL,
-                players_needed INTEGER NOT NULL,
-                info TEXT,
-                status TEXT NOT NULL DEFAULT 'waiting',
-                current_players JSON NOT NULL DEFAULT '[]',
-                confirmed_players JSON NOT NULL DEFAULT '[]',
-                voice_channel_id TEXT,
-                confirmation_start_time TIMESTAMP,
-                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
-                expires_at TIMESTAMP NOT NULL,
-                is_active BOOLEAN NOT NULL DEFAULT true
-            );
-        `);
-        
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS guild_settings (
-                guild_id TEXT PRIMARY KEY,
-                lfg_channel_id TEXT,
-                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-                updated_at TIMESTAMP NOT NULL DEFAULT NOW()
-            );
-        `);
-        
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS user_sessions (
-                user_id TEXT PRIMARY KEY,
-                session_id TEXT NOT NULL,
-                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-                updated_at TIMESTAMP NOT NULL DEFAULT NOW()
-            );
-        `);
-        
-        console.log('✅ Database tables verified/created successfully');
-    } catch (error) {
-        console.error('❌ Database setup failed:', error);
-        console.error('🔍 Check your DATABASE_URL environment variable');
-        
-        // Retry logic for Render hosting (connection issues are common during startup)
-        if (retryCount < 5 && (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.message.includes('terminating'))) {
-            console.log(`🔄 Retrying database setup (attempt ${retryCount + 1}/5) in 3 seconds...`);
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            return ensureDatabaseTables(retryCount + 1);
+            const reverted = await storage.migrateDown(steps);
+            console.log(reverted.length > 0 ? `✅ Reverted: ${reverted.join(', ')}` : '✅ No applied migrations to revert');
+        } else if (command === 'status') {
+            const { migrations, unknown } = await storage.getMigrationStatus();
+
+            for (const migration of migrations) {
+                const state = migration.appliedAt
+                    ? `✅ applied ${new Date(migration.appliedAt).toISOString()}`
+                    : '⏳ pending';
+                console.log(`${migration.tag}  ${state}${migration.reversible ? '' : '  (no down migration)'}`);
+            }
+
+            for (const migration of unknown) {
+                console.log(`${migration.tag}  ⚠️ applied but missing from migrations/`);
+            }
+        } else {
+            throw new Error(`Unknown migrate command "${command}" - use status, up or down`);
         }
-        
-        throw error;
+    } catch (error) {
+        console.error('❌ Migration command failed:', error.message);
+        exitCode = 1;
     }
+
+    await storage.close().catch(() => {});
+    process.exit(exitCode);
 }
 
-// Database storage class
-class DatabaseStorage {
-    async createSession(session) {
-        try {
-            const [createdSession] = await db
-                .insert(lfgSessions)
-                .values({
-                    ...session,
-                    expiresAt: new Date(Date.now() + 20 * 60 * 1000),
-                    updatedAt: new Date()
-                })
-                .returning();
-            return createdSession;
-        } catch (error) {
-            console.error('❌ Database error creating session:', error);
-            throw error;
-        }
+// 🌐 Read-only REST API for community websites (per-guild keys issued with /apikey)
+const apiKeysCache = new Map();
+const apiRateLimits = new Map();
+
+// Requests allowed per key per minute (configurable via API_RATE_LIMIT_PER_MINUTE)
+const API_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE, 10) || 60;
+const API_RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const API_DEFAULT_PAGE_SIZE = 25;
+const API_MAX_PAGE_SIZE = 100;
+const MAX_API_KEYS_PER_GUILD = 10;
+
+// Origins allowed to call the API from a browser (comma-separated, or * for any)
+const API_CORS_ORIGINS = (process.env.API_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Keys are only stored as a SHA-256 hash
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Write a JSON response
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// Get the CORS headers for a request's origin, if it is allowed
+function getCorsHeaders(origin) {
+    if (!origin || API_CORS_ORIGINS.length === 0) return {};
+    if (!API_CORS_ORIGINS.includes('*') && !API_CORS_ORIGINS.includes(origin)) return {};
+
+    return {
+        'Access-Control-Allow-Origin': API_CORS_ORIGINS.includes('*') ? '*' : origin,
+        'Access-Control-Allow-Headers': 'Authorization, X-API-Key',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin'
+    };
+}
+
+// Find the API key a request was made with (Authorization: Bearer <key> or X-API-Key)
+function authenticateApiRequest(req) {
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+    if (!key) return null;
+
+    const apiKey = apiKeysCache.get(hashApiKey(key));
+    if (!apiKey) return null;
+
+    // Record usage at most once a minute per key
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) > 60 * 1000) {
+        apiKey.lastUsedAt = now;
+        storage.touchApiKey(apiKey.id, now)
+            .catch(error => console.error(`❌ Failed to record use of API key ${apiKey.id}:`, error));
     }
 
-    async getSession(sessionId) {
-        try {
-            const [session] = await db
-                .select()
-                .from(lfgSessions)
-                .where(and(eq(lfgSessions.id, sessionId), eq(lfgSessions.isActive, true)));
-            return session || undefined;
-        } catch (error) {
-            console.error('❌ Database error getting session:', error);
-            throw error;
-        }
+    return apiKey;
+}
+
+// Count a request against its key's fixed one-minute window
+function checkApiRateLimit(keyId) {
+    const now = Date.now();
+    let window = apiRateLimits.get(keyId);
+    if (!window || now - window.startedAt >= API_RATE_LIMIT_WINDOW_MS) {
+        window = { startedAt: now, count: 0 };
+        apiRateLimits.set(keyId, window);
     }
+    window.count++;
+
+    return {
+        allowed: window.count <= API_RATE_LIMIT_PER_MINUTE,
+        headers: {
+            'X-RateLimit-Limit': String(API_RATE_LIMIT_PER_MINUTE),
+            'X-RateLimit-Remaining': String(Math.max(0, API_RATE_LIMIT_PER_MINUTE - window.count)),
+            'X-RateLimit-Reset': String(Math.ceil((window.startedAt + API_RATE_LIMIT_WINDOW_MS) / 1000))
+        },
+        retryAfterSeconds: Math.ceil((window.startedAt + API_RATE_LIMIT_WINDOW_MS - now) / 1000)
+    };
+}
 
-    async updateSession(sessionId, updates) {
-        try {
-            const [updatedSession] = await db
-                .update(lfgSessions)
-                .set({ ...updates, updatedAt: new Date() })
-                .where(eq(lfgSessions.id, sessionId))
-                .returning();
-            return updatedSession;
-        } catch (error) {
-            console.error('❌ Database error updating session:', error);
-            throw error;
+// Read a non-negative integer query parameter, clamped to a maximum
+function parseQueryInteger(value, fallback, max = Infinity) {
+    if (value === null || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) return null;
+    return Math.min(parsed, max);
+}
+
+// Shape a session row for API consumers
+function toApiSession(session) {
+    const players = session.currentPlayers || [];
+    return {
+        id: session.id,
+        shortId: session.id.slice(-6),
+        guildId: session.guildId,
+        game: session.game,
+        gameName: getGameDisplayName(session.guildId, session.game),
+        gamemode: session.gamemode,
+        status: session.status,
+        info: session.info,
+        creatorId: session.creatorId,
+        players: players.map(player => ({ id: player.id, username: player.username, role: player.role || null })),
+        playersNeeded: session.playersNeeded,
+        openSlots: Math.max(0, session.playersNeeded - players.length),
+        waitlistSize: (session.waitlist || []).length,
+        roleSlots: session.roleSlots || null,
+        requirements: session.requirements || null,
+        isLocked: Boolean(session.isLocked),
+        messageUrl: getSessionMessageUrl(session),
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        scheduledFor: session.scheduledFor || null
+    };
+}
+
+// Route an /api/ request: authenticate, rate limit, then serve read-only session data
+async function handleApiRequest(req, res) {
+    const corsHeaders = getCorsHeaders(req.headers.origin);
+
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders);
+            return res.end();
         }
-    }
 
-    async deleteSession(sessionId) {
-        try {
-            await db
-                .update(lfgSessions)
-                .set({ isActive: false, updatedAt: new Date() })
-                .where(eq(lfgSessions.id, sessionId));
-        } catch (error) {
-            console.error('❌ Database error deleting session:', error);
-            throw error;
+        if (req.method !== 'GET') {
+            return sendJson(res, 405, { error: 'Method not allowed' }, { ...corsHeaders, 'Allow': 'GET, OPTIONS' });
         }
-    }
 
-    async getActiveSessions() {
-        try {
-            const sessions = await db
-                .select()
-                .from(lfgSessions)
-                .where(eq(lfgSessions.isActive, true));
-            return sessions;
-        } catch (error) {
-            console.error('❌ Database error getting active sessions:', error);
-            return [];
+        const apiKey = authenticateApiRequest(req);
+        if (!apiKey) {
+            return sendJson(res, 401, { error: 'Missing or invalid API key' }, corsHeaders);
         }
-    }
 
-    async setUserSession(userId, sessionId) {
-        try {
-            await db
-                .insert(userSessions)
-                .values({ userId, sessionId, updatedAt: new Date() })
-                .onConflictDoUpdate({
-                    target: userSessions.userId,
-                    set: { sessionId, updatedAt: new Date() }
-                });
-        } catch (error) {
-            console.error('❌ Database error setting user session:', error);
-            throw error;
+        const rateLimit = checkApiRateLimit(apiKey.id);
+        const headers = { ...corsHeaders, ...rateLimit.headers };
+        if (!rateLimit.allowed) {
+            return sendJson(res, 429, { error: 'Rate limit exceeded' }, { ...headers, 'Retry-After': String(rateLimit.retryAfterSeconds) });
         }
-    }
 
-    async getUserSession(userId) {
-        try {
-            const [userSession] = await db
-                .select()
-                .from(userSessions)
-                .where(eq(userSessions.userId, userId));
-            return userSession?.sessionId;
-        } catch (error) {
-            console.error('❌ Database error getting user session:', error);
-            return null;
+        const url = new URL(req.url, 'http://localhost');
+        const guildRoute = url.pathname.match(/^\/api\/guilds\/(\d+)\/(sessions|stats)\/?$/);
+        const sessionRoute = url.pathname.match(/^\/api\/sessions\/([a-z0-9]+)\/?$/);
+
+        if (guildRoute) {
+            const [, guildId, resource] = guildRoute;
+            if (guildId !== apiKey.guildId) {
+                return sendJson(res, 403, { error: 'This API key belongs to another guild' }, headers);
+            }
+
+            const game = url.searchParams.get('game');
+
+            if (resource === 'stats') {
+                const stats = await storage.getSessionStats(guildId, game);
+                if (!stats) {
+                    return sendJson(res, 500, { error: 'Failed to load stats' }, headers);
+                }
+                return sendJson(res, 200, { data: stats }, headers);
+            }
+
+            const limit = parseQueryInteger(url.searchParams.get('limit'), API_DEFAULT_PAGE_SIZE, API_MAX_PAGE_SIZE);
+            const offset = parseQueryInteger(url.searchParams.get('offset'), 0);
+            if (limit === null || limit === 0 || offset === null) {
+                return sendJson(res, 400, { error: 'limit must be 1-100 and offset a non-negative integer' }, headers);
+            }
+
+            const { sessions, total } = await storage.getGuildSessions(guildId, {
+                game,
+                gamemode: url.searchParams.get('gamemode'),
+                limit,
+                offset
+            });
+
+            return sendJson(res, 200, {
+                data: sessions.map(toApiSession),
+                pagination: {
+                    limit,
+                    offset,
+                    total,
+                    nextOffset: offset + sessions.length < total ? offset + sessions.length : null
+                }
+            }, headers);
+        }
+
+        if (sessionRoute) {
+            const session = await storage.getSession(sessionRoute[1]);
+
+            // Sessions in other guilds are reported as missing so keys can't probe them
+            if (!session || session.guildId !== apiKey.guildId) {
+                return sendJson(res, 404, { error: 'Session not found' }, headers);
+            }
+
+            return sendJson(res, 200, { data: toApiSession(session) }, headers);
+        }
+
+        return sendJson(res, 404, { error: 'Not found' }, headers);
+
+    } catch (error) {
+        console.error('❌ Error handling API request:', error);
+        if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' }, corsHeaders);
         }
     }
+}
 
-    async removeUserSession(userId) {
-        try {
-            await db
-                .delete(userSessions)
-                .where(eq(userSessions.userId, userId));
-        } catch (error) {
-            console.error('❌ Database error removing user session:', error);
-            throw error;
+// 🪝 Outgoing webhooks for session lifecycle events (managed with /webhook)
+const webhooksCache = new Map();
+
+const WEBHOOK_EVENTS = ['session.created', 'player.joined', 'player.left', 'session.full', 'voice.created', 'session.ended'];
+const MAX_WEBHOOKS_PER_GUILD = 5;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Wait before each retry of a failed delivery; after the last one it goes to the dead-letter table
+const WEBHOOK_RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+
+// Sign "<timestamp>.<body>" so receivers can verify the payload and reject replays
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POST one delivery to a webhook once
+async function attemptWebhookDelivery(webhook, delivery) {
+    const body = JSON.stringify(delivery);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'LFG-Bot-Webhooks',
+                'X-LFG-Event': delivery.event,
+                'X-LFG-Delivery': delivery.id,
+                'X-LFG-Timestamp': String(timestamp),
+                'X-LFG-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+            },
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+
+        return response.ok ? { ok: true } : { ok: false, status: response.status, error: `HTTP ${response.status}` };
+    } catch (error) {
+        return { ok: false, status: null, error: error.message };
+    }
+}
+
+// Deliver with backoff. Each failure is saved with its next attempt time before the retry is scheduled, so a
+// restart resumes the retry instead of dropping it - once every retry has failed the row stays as a dead letter
+async function deliverWebhook(webhook, delivery, attempt = 1) {
+    const result = await attemptWebhookDelivery(webhook, delivery);
+    if (result.ok) {
+        // A retried delivery still has its pending row
+        if (attempt > 1) await storage.deleteWebhookDeadLetter(delivery.id);
+        return;
+    }
+
+    const retrying = attempt <= WEBHOOK_RETRY_DELAYS_MS.length;
+    const delay = retrying ? WEBHOOK_RETRY_DELAYS_MS[attempt - 1] : null;
+
+    await storage.upsertWebhookDeadLetter({
+        id: delivery.id,
+        webhookId: webhook.id,
+        guildId: webhook.guildId,
+        event: delivery.event,
+        payload: delivery,
+        attempts: attempt,
+        lastStatus: result.status,
+        lastError: result.error?.substring(0, 500) || null,
+        failedAt: new Date(),
+        nextAttemptAt: retrying ? new Date(Date.now() + delay) : null
+    });
+
+    if (retrying) {
+        console.error(`❌ Webhook ${webhook.id} failed ${delivery.event} delivery (${result.error}), retrying in ${formatDuration(delay / 1000)}`);
+        scheduleWebhookRetry(webhook.id, delivery, attempt + 1, delay);
+        return;
+    }
+
+    console.error(`❌ Webhook ${webhook.id} gave up on ${delivery.event} delivery ${delivery.id} after ${attempt} attempts`);
+}
+
+// Run a delivery's next attempt after a delay
+function scheduleWebhookRetry(webhookId, delivery, attempt, delay) {
+    setTimeout(() => {
+        // Webhooks removed in the meantime are dropped (their pending rows go with them)
+        const current = webhooksCache.get(webhookId);
+        if (current) {
+            deliverWebhook(current, delivery, attempt)
+                .catch(error => console.error(`❌ Error retrying webhook ${webhookId}:`, error));
         }
+    }, delay);
+}
+
+// Pick up the retries that were still scheduled when the bot last stopped
+async function resumeWebhookRetries() {
+    const pending = await storage.getPendingWebhookDeliveries();
+
+    for (const deadLetter of pending) {
+        if (!webhooksCache.has(deadLetter.webhookId)) {
+            await storage.deleteWebhookDeadLetter(deadLetter.id);
+            continue;
+        }
+
+        const delay = Math.max(new Date(deadLetter.nextAttemptAt).getTime() - Date.now(), 0);
+        scheduleWebhookRetry(deadLetter.webhookId, deadLetter.payload, deadLetter.attempts + 1, delay);
+    }
+
+    return pending.length;
+}
+
+// Send an event to every webhook in the guild that subscribed to it
+function emitWebhookEvent(guildId, event, data) {
+    for (const webhook of webhooksCache.values()) {
+        if (webhook.guildId !== guildId) continue;
+        if (webhook.events.length > 0 && !webhook.events.includes(event)) continue;
+
+        const delivery = { id: crypto.randomUUID(), event, guildId, createdAt: new Date().toISOString(), data };
+        deliverWebhook(webhook, delivery)
+            .catch(error => console.error(`❌ Error delivering webhook ${webhook.id}:`, error));
     }
 }
 
-const storage = new DatabaseStorage();
+// Send a session lifecycle event with a snapshot of the session
+function emitSessionEvent(session, event, extra = {}) {
+    emitWebhookEvent(session.guildId, event, { session: toApiSession(session), ...extra });
+}
 
 // Discord client setup with optimized intents
 const client = new Client({
@@ -281,45 +425,274 @@ const client = new Client({
 
 // In-memory session storage (backed by database for persistence)
 const activeSessions = new Map();
-const userCreatedSessions = new Map();
 const emptyChannelTimestamps = new Map();
+const voicePresenceUpdateTimeouts = new Map();
 const sessionTimeouts = new Map();
+const sessionWarningTimeouts = new Map();
+const sessionBumpTimestamps = new Map();
 const guildSettingsCache = new Map();
+const guildGamesCache = new Map();
+const requirementRolesCache = new Map();
+const userProfilesCache = new Map();
+const notificationSubscriptionsCache = new Map();
+const notificationSettingsCache = new Map();
+const notificationCooldowns = new Map();
+const queuedUsers = new Map();
+const sessionTemplatesCache = new Map();
+const templateTasks = new Map();
+const queueMatchLocks = new Set();
+const readyCheckTimeouts = new Map();
+const sessionBrowsers = new Map();
+const boardUpdateTimeouts = new Map();
+const boardUpdatedAt = new Map();
+
+// 🗂️ Session repository - the only code that writes sessions or their user_sessions rows.
+// Every transition (create, join, leave, fill, end, ...) is one storage transaction. Changes show up in
+// activeSessions straight away so concurrent handlers see them, writes for a session run in order, and a
+// failed write re-reads the session from the database - so the cache never outlives what was committed.
+const SESSION_TIMESTAMP_FIELDS = ['confirmationStartTime', 'scheduledFor', 'filledAt', 'voiceCreatedAt', 'expiresAt'];
+
+// Cached sessions hold timestamps as ISO strings or Dates, the database wants Dates
+function toSessionRow(changes) {
+    const row = { ...changes };
+    for (const field of SESSION_TIMESTAMP_FIELDS) {
+        if (row[field]) row[field] = new Date(row[field]);
+    }
+    return row;
+}
+
+// Build the cached form of an lfg_sessions row
+function toCachedSession(row) {
+    return {
+        id: row.id,
+        creatorId: row.creatorId,
+        guildId: row.guildId,
+        channelId: row.channelId,
+        messageId: row.messageId,
+        game: row.game,
+        gamemode: row.gamemode,
+        playersNeeded: row.playersNeeded,
+        info: row.info,
+        status: row.status,
+        currentPlayers: row.currentPlayers || [],
+        confirmedPlayers: row.confirmedPlayers || [],
+        voiceChannelId: row.voiceChannelId,
+        blockedUsers: row.blockedUsers || [],
+        isLocked: row.isLocked,
+        requirements: row.requirements,
+        roleSlots: row.roleSlots,
+        waitlist: row.waitlist || [],
+        confirmationStartTime: row.confirmationStartTime,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+        expiresAt: row.expiresAt,
+        scheduledFor: row.scheduledFor,
+        filledAt: row.filledAt,
+        voiceCreatedAt: row.voiceCreatedAt
+    };
+}
+
+class SessionRepository {
+    constructor(cache) {
+        this.cache = cache;
+        this.writeQueues = new Map();
+        this.pendingWrites = 0;
+        this.version = 0; // Bumped by every write so the invariant checker can tell it raced one
+        this.loaded = false;
+    }
+
+    // Run a write after any earlier write for the same session
+    async enqueue(sessionId, write) {
+        const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(write);
+        this.writeQueues.set(sessionId, current);
+        this.pendingWrites++;
+
+        try {
+            return await current;
+        } finally {
+            this.pendingWrites--;
+            this.version++;
+            if (this.writeQueues.get(sessionId) === current) {
+                this.writeQueues.delete(sessionId);
+            }
+        }
+    }
+
+    // Apply changes to the cached session and commit them, re-deriving it from the database on failure
+    async commit(session, changes, write) {
+        Object.assign(session, changes);
+        try {
+            return await this.enqueue(session.id, write);
+        } catch (error) {
+            await this.refresh(session);
+            throw error;
+        }
+    }
+
+    async refresh(session) {
+        try {
+            const row = await storage.getSession(session.id);
+            if (row) {
+                Object.assign(session, toCachedSession(row));
+            } else {
+                this.cache.delete(session.id);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to reload session ${session.id.slice(-6)} after a failed write:`, error);
+        }
+    }
+
+    async create(session) {
+        await this.enqueue(session.id, () => storage.createSession(session));
+        this.cache.set(session.id, session);
+    }
+
+    async update(session, changes) {
+        await this.commit(session, changes, () => storage.updateSession(session.id, toSessionRow(changes)));
+    }
+
+    async addPlayer(session, userId, changes) {
+        await this.commit(session, changes, () =>
+            storage.addSessionPlayer(session.id, session.guildId, userId, toSessionRow(changes)));
+    }
+
+    async removePlayers(session, userIds, changes) {
+        await this.commit(session, changes, () =>
+            storage.removeSessionPlayers(session.id, userIds, toSessionRow(changes)));
+    }
+
+    async end(session, history = null) {
+        await this.enqueue(session.id, () => storage.endSession(session.id, history));
+        this.cache.delete(session.id);
+    }
+
+    // Rebuild the cache from the database's active sessions
+    async load() {
+        const rows = await storage.getActiveSessions();
+        this.cache.clear();
+        for (const row of rows) {
+            this.cache.set(row.id, toCachedSession(row));
+        }
+        this.loaded = true;
+        return rows.length;
+    }
 
-// Game configurations
-const games = [
-    { name: 'Valorant', value: 'valorant' },
-    { name: 'Fortnite', value: 'fortnite' },
-    { name: 'Brawlhalla', value: 'brawlhalla' },
-    { name: 'The Finals', value: 'thefinals' },
-    { name: 'Roblox', value: 'roblox' },
-    { name: 'Minecraft', value: 'minecraft' },
-    { name: 'Marvel Rivals', value: 'marvelrivals' },
-    { name: 'Rocket League', value: 'rocketleague' },
-    { name: 'Apex Legends', value: 'apexlegends' },
-    { name: 'Call of Duty', value: 'callofduty' },
-    { name: 'Overwatch', value: 'overwatch' }
+    // Wait for in-flight writes, e.g. before shutting down
+    async flush() {
+        await Promise.allSettled(this.writeQueues.values());
+    }
+}
+
+const sessionRepository = new SessionRepository(activeSessions);
+
+// Ready-check window before unconfirmed players are dropped (configurable via READY_CHECK_SECONDS)
+const READY_CHECK_TIMEOUT_MS = (parseInt(process.env.READY_CHECK_SECONDS, 10) || 60) * 1000;
+
+// Session lifetime defaults (guilds can override them with /setup lifetime)
+const DEFAULT_SESSION_MINUTES = 20;
+const MAX_SESSION_MINUTES = 120;
+const SESSION_EXTEND_MINUTES = 10;
+const SESSION_WARNING_MS = 3 * 60 * 1000;
+const SESSION_BUMP_COOLDOWN_MS = 5 * 60 * 1000;
+
+// How far ahead /lfg schedule can plan a session
+const MAX_SCHEDULE_AHEAD_MS = 14 * 24 * 60 * 60 * 1000;
+
+// How many sessions a user can be in per guild unless admins change it
+const DEFAULT_SESSIONS_PER_USER = 1;
+const MAX_SESSIONS_PER_USER = 10;
+
+// Waitlist length per session, and how many entries the session embed lists before "+N more"
+const MAX_WAITLIST_SIZE = 20;
+const WAITLIST_DISPLAY_LIMIT = 10;
+
+// /sessions browser paging (Discord stops accepting button updates after 15 minutes anyway)
+const SESSIONS_PER_PAGE = 5;
+const SESSION_BROWSER_TTL_MS = 15 * 60 * 1000;
+
+// Minimum gap between LFG board edits so busy servers stay under Discord's edit rate limits
+const BOARD_UPDATE_INTERVAL_MS = 5000;
+
+// New-session alerts: at most one per user per cooldown (configurable via NOTIFY_COOLDOWN_MINUTES)
+const NOTIFY_COOLDOWN_MS = (parseInt(process.env.NOTIFY_COOLDOWN_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_SUBSCRIPTIONS_PER_USER = 15;
+
+// Recurring templates allowed per guild
+const MAX_TEMPLATES_PER_GUILD = 25;
+
+// How long a /quickjoin queue entry stays valid (configurable via QUEUE_TTL_MINUTES)
+const QUEUE_TTL_MS = (parseInt(process.env.QUEUE_TTL_MINUTES, 10) || 15) * 60 * 1000;
+
+// Default game catalog seeded into every guild (admins can edit it with /games)
+const DEFAULT_GAME_CATALOG = [
+    { name: 'Valorant', value: 'valorant', modes: [
+        { name: 'Competitive', defaultPlayers: 5 }, { name: 'Unrated', defaultPlayers: 5 },
+        { name: 'Spike Rush', defaultPlayers: 5 }, { name: 'Deathmatch', defaultPlayers: null }
+    ] },
+    { name: 'Fortnite', value: 'fortnite', modes: [
+        { name: 'Battle Royale', defaultPlayers: 4 }, { name: 'Zero Build', defaultPlayers: 4 },
+        { name: 'Creative', defaultPlayers: null }, { name: 'Save the World', defaultPlayers: 4 }
+    ] },
+    { name: 'Brawlhalla', value: 'brawlhalla', modes: [
+        { name: '1v1', defaultPlayers: 2 }, { name: '2v2', defaultPlayers: 2 },
+        { name: 'Ranked', defaultPlayers: null }, { name: 'Experimental', defaultPlayers: null }
+    ] },
+    { name: 'The Finals', value: 'thefinals', modes: [
+        { name: 'Quick Cash', defaultPlayers: 3 }, { name: 'Bank It', defaultPlayers: 3 },
+        { name: 'Tournament', defaultPlayers: 3 }
+    ] },
+    { name: 'Roblox', value: 'roblox', modes: [
+        { name: 'Various', defaultPlayers: null }, { name: 'Roleplay', defaultPlayers: null },
+        { name: 'Simulator', defaultPlayers: null }, { name: 'Obby', defaultPlayers: null }
+    ] },
+    { name: 'Minecraft', value: 'minecraft', modes: [
+        { name: 'Survival', defaultPlayers: null }, { name: 'Creative', defaultPlayers: null },
+        { name: 'PvP', defaultPlayers: null }, { name: 'Minigames', defaultPlayers: null }
+    ] },
+    { name: 'Marvel Rivals', value: 'marvelrivals', modes: [
+        { name: 'Quick Match', defaultPlayers: 6 },
+        { name: 'Competitive', defaultPlayers: 6, roles: [{ name: 'Vanguard', count: 2 }, { name: 'Duelist', count: 2 }, { name: 'Strategist', count: 2 }] },
+        { name: 'Custom', defaultPlayers: null }
+    ] },
+    { name: 'Rocket League', value: 'rocketleague', modes: [
+        { name: '3v3', defaultPlayers: 3 }, { name: '2v2', defaultPlayers: 2 },
+        { name: '1v1', defaultPlayers: 2 }, { name: 'Hoops', defaultPlayers: 2 }
+    ] },
+    { name: 'Apex Legends', value: 'apexlegends', modes: [
+        { name: 'Trios', defaultPlayers: 3 }, { name: 'Duos', defaultPlayers: 2 },
+        { name: 'Ranked', defaultPlayers: 3 }, { name: 'Arenas', defaultPlayers: 3 }
+    ] },
+    { name: 'Call of Duty', value: 'callofduty', modes: [
+        { name: 'Multiplayer', defaultPlayers: 6 }, { name: 'Warzone', defaultPlayers: 4 },
+        { name: 'Search & Destroy', defaultPlayers: 6 }
+    ] },
+    { name: 'Overwatch', value: 'overwatch', modes: [
+        { name: 'Competitive', defaultPlayers: 5, roles: [{ name: 'Tank', count: 1 }, { name: 'Damage', count: 2 }, { name: 'Support', count: 2 }] },
+        { name: 'Quick Play', defaultPlayers: 5, roles: [{ name: 'Tank', count: 1 }, { name: 'Damage', count: 2 }, { name: 'Support', count: 2 }] },
+        { name: 'Arcade', defaultPlayers: null }
+    ] }
 ];
 
-const gameModes = {
-    valorant: ['Competitive', 'Unrated', 'Spike Rush', 'Deathmatch'],
-    fortnite: ['Battle Royale', 'Zero Build', 'Creative', 'Save the World'],
-    brawlhalla: ['1v1', '2v2', 'Ranked', 'Experimental'],
-    thefinals: ['Quick Cash', 'Bank It', 'Tournament'],
-    roblox: ['Various', 'Roleplay', 'Simulator', 'Obby'],
-    minecraft: ['Survival', 'Creative', 'PvP', 'Minigames'],
-    marvelrivals: ['Quick Match', 'Competitive', 'Custom'],
-    rocketleague: ['3v3', '2v2', '1v1', 'Hoops'],
-    apexlegends: ['Trios', 'Duos', 'Ranked', 'Arenas'],
-    callofduty: ['Multiplayer', 'Warzone', 'Search & Destroy'],
-    overwatch: ['Competitive', 'Quick Play', 'Arcade']
+// Catalog limits (autocomplete and select menus cap out at 25 entries)
+const MAX_GAMES_PER_GUILD = 100;
+const MAX_MODES_PER_GAME = 25;
+
+// Session requirements that admins can back with guild roles
+const REQUIREMENT_KINDS = {
+    rank: '🏅 Rank',
+    region: '🌍 Region',
+    platform: '🖥️ Platform',
+    language: '🗣️ Language'
 };
+const PLATFORM_CHOICES = ['PC', 'Console', 'Crossplay'];
+const MAX_REQUIREMENT_ROLES_PER_KIND = 25;
 
 // Enhanced permission checking for administrator accounts
 function hasRequiredPermissions(guild, member) {
     try {
         // Check if user has administrator permission - this should override all other permissions
-        if (member.permissions.has(PermissionFlagsBits.Administrator)) {
+        if (member?.permissions.has(PermissionFlagsBits.Administrator)) {
             console.log(`✅ User ${member.user.username} has Administrator permission`);
             return true;
         }
@@ -361,140 +734,613 @@ function hasRequiredPermissions(guild, member) {
     }
 }
 
-// Generate unique session ID
-function generateSessionId() {
-    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+// Convert a guild_games row into a catalog entry
+function toCatalogEntry(row) {
+    return {
+        value: row.gameKey,
+        name: row.displayName,
+        modes: (row.modes || []).map(mode => ({
+            name: mode.name,
+            defaultPlayers: mode.defaultPlayers ?? null,
+            roles: mode.roles?.length ? mode.roles : null
+        }))
+    };
 }
 
-// Create safe category name
-function createSafeCategoryName(gameName) {
-    return `🎮 ${gameName}`.substring(0, 100);
+// Replace the cached catalog for a guild
+function setGuildGamesCache(guildId, rows) {
+    const catalog = rows.map(toCatalogEntry).sort((a, b) => a.name.localeCompare(b.name));
+    guildGamesCache.set(guildId, catalog);
 }
 
-// Create safe channel name
-function createSafeChannelName(gameName, gamemode, sessionId) {
-    const shortId = sessionId.slice(-6);
-    return `${gameName}-${gamemode}-${shortId}`.toLowerCase().replace(/[^a-z0-9-]/g, '').substring(0, 100);
+// Get the game catalog for a guild
+function getGuildGames(guildId) {
+    return guildGamesCache.get(guildId) || [];
 }
 
-// Get or create game category with enhanced error handling
-async function getOrCreateGameCategory(guild, gameName) {
-    try {
-        const categoryName = createSafeCategoryName(gameName);
-        
-        // Look for existing category (case-insensitive)
-        let category = guild.channels.cache.find(channel => 
-            channel.type === 4 && // CategoryChannel type
-            channel.name.toLowerCase() === categoryName.toLowerCase()
-        );
+// Find a game in a guild's catalog by key
+function findGuildGame(guildId, gameKey) {
+    return getGuildGames(guildId).find(game => game.value === gameKey);
+}
 
-        if (!category) {
-            console.log(`📁 Creating new category: ${categoryName}`);
-            category = await guild.channels.create({
-                name: categoryName,
-                type: 4, // CategoryChannel
-                reason: 'LFG Bot: Creating game category for voice channels'
-            });
-            console.log(`✅ Created category: ${category.name}`);
-        }
+// Get the display name for a game key, falling back to the key itself
+function getGameDisplayName(guildId, gameKey) {
+    return findGuildGame(guildId, gameKey)?.name || gameKey;
+}
 
-        return category;
-    } catch (error) {
-        console.error(`❌ Failed to get/create category for ${gameName}:`, error);
-        throw error;
-    }
+// Build a catalog key from a display name
+function createGameKey(displayName) {
+    return displayName.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 32);
 }
 
-// Create private voice channel with enhanced error handling
-async function createPrivateVoiceChannel(guild, gameName, gamemode, sessionId, members) {
-    try {
-        console.log(`🔊 Creating voice channel for ${gameName} - ${gamemode}`);
-        
-        const category = await getOrCreateGameCategory(guild, gameName);
-        const channelName = createSafeChannelName(gameName, gamemode, sessionId);
+// Seed the default catalog the first time a guild is seen
+async function ensureGuildCatalog(guildId) {
+    if (guildSettingsCache.get(guildId)?.gamesSeeded) return;
 
-        // Create permission overwrites for members
-        const permissionOverwrites = [
-            {
-                id: guild.roles.everyone.id,
-                deny: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect]
-            },
-            {
-                id: client.user.id,
-                allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect, PermissionFlagsBits.ManageChannels]
-            }
-        ];
+    await storage.seedGuildGames(guildId, DEFAULT_GAME_CATALOG.map(game => ({
+        gameKey: game.value,
+        displayName: game.name,
+        modes: game.modes
+    })));
 
-        // Add permissions for each member
-        members.forEach(member => {
-            permissionOverwrites.push({
-                id: member.id,
-                allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect]
-            });
-        });
+    const settings = await storage.upsertGuildSettings(guildId, { gamesSeeded: true });
+    guildSettingsCache.set(guildId, settings);
+    setGuildGamesCache(guildId, await storage.getGuildGames(guildId));
 
-        const voiceChannel = await guild.channels.create({
-            name: channelName,
-            type: 2, // VoiceChannel
-            parent: category.id,
-            permissionOverwrites: permissionOverwrites,
-            reason: `LFG Bot: Creating private voice channel for ${gameName} session`
-        });
+    console.log(`🎮 Seeded default game catalog for guild ${guildId}`);
+}
 
-        console.log(`✅ Created voice channel: ${voiceChannel.name}`);
-        return voiceChannel;
+// Filter catalog games for an autocomplete response
+function getGameAutocompleteChoices(guildId, query) {
+    const search = query.toLowerCase();
+    return getGuildGames(guildId)
+        .filter(game => game.name.toLowerCase().includes(search) || game.value.includes(search))
+        .slice(0, 25)
+        .map(game => ({ name: game.name, value: game.value }));
+}
 
-    } catch (error) {
-        console.error(`❌ Failed to create voice channel for ${gameName}:`, error);
-        throw error;
-    }
+// Parse a comma-separated mode list ("Competitive:5, Unrated") into catalog modes
+function parseModeList(input) {
+    if (!input) return [];
+
+    return input.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, size] = entry.split(':').map(part => part.trim());
+            const defaultPlayers = parseInt(size, 10);
+            return {
+                name: name.substring(0, 50),
+                defaultPlayers: defaultPlayers >= 2 && defaultPlayers <= 10 ? defaultPlayers : null
+            };
+        })
+        .filter((mode, index, modes) => mode.name && modes.findIndex(m => m.name.toLowerCase() === mode.name.toLowerCase()) === index);
 }
 
-// Enhanced permission error message
-function getPermissionErrorMessage() {
-    return '❌ **Bot is missing required permissions!** Please ensure the bot has:\n\n' +
-           '• **Manage Channels** permission\n' +
-           '• **Connect** to voice channels permission\n\n' +
-           'Contact a server admin to fix bot permissions.';
+// Parse a role slot list like "Tank:1, Damage:2, Support:2" (count defaults to 1)
+function parseRoleSlots(input) {
+    if (!input) return [];
+
+    return input.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, count] = entry.split(':').map(part => part.trim());
+            const slots = count === undefined ? 1 : parseInt(count, 10);
+            return { name: name.substring(0, 25), count: slots >= 1 && slots <= 10 ? slots : null };
+        })
+        .filter((role, index, roles) => role.name && role.count && roles.findIndex(r => r.name.toLowerCase() === role.name.toLowerCase()) === index);
 }
 
-// Create LFG embed with enhanced styling
+// Describe role slots, e.g. "Tank 1, Damage 2, Support 2"
+function formatRoleSlots(roles) {
+    return roles.map(role => `${role.name} ${role.count}`).join(', ');
+}
+
+// Describe a catalog mode with its party size and role slots
+function formatCatalogMode(mode) {
+    if (mode.roles) return `${mode.name} (${formatRoleSlots(mode.roles)})`;
+    return mode.defaultPlayers ? `${mode.name} (${mode.defaultPlayers})` : mode.name;
+}
+
+// Count how many players hold each of a session's role slots
+function getRoleSlotSummary(session) {
+    return (session.roleSlots || []).map(role => ({
+        ...role,
+        filled: session.currentPlayers.filter(player => player.role === role.name).length
+    }));
+}
+
+// Count the players a set of role slots makes room for
+function getRoleSlotTotal(roleSlots) {
+    return roleSlots.reduce((total, role) => total + role.count, 0);
+}
+
+// A catalog mode's roles for a session of this size - roles that don't add up to it fall back to a plain head count
+function getModeRoleSlots(modeRoles, playersNeeded) {
+    return modeRoles && getRoleSlotTotal(modeRoles) === playersNeeded ? modeRoles : null;
+}
+
+// Get the names of a session's role slots that still have room
+function getOpenRoles(session) {
+    return getRoleSlotSummary(session)
+        .filter(role => role.filled < role.count)
+        .map(role => role.name);
+}
+
+// A session is full when every role slot is filled, or when it reaches its head count if it has no roles
+function isSessionFull(session) {
+    if (session.roleSlots?.length) {
+        return getOpenRoles(session).length === 0;
+    }
+    return session.currentPlayers.length >= session.playersNeeded;
+}
+
+// Check whether a string is a timezone Intl understands
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Get the UTC offset (ms) of a timezone at a given instant
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time in a timezone to a Date
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    const result = guess - offset;
+
+    // Re-check the offset at the result in case we crossed a DST change
+    const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+    return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+}
+
+// Parse "YYYY-MM-DD HH:MM" or "HH:MM" (next occurrence) in a timezone
+function parseScheduledTime(input, timeZone) {
+    const match = input.trim().match(/^(?:(\d{4})-(\d{1,2})-(\d{1,2})[ T])?(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute] = match.map(value => value === undefined ? undefined : Number(value));
+    if (hour > 23 || minute > 59) return null;
+
+    if (year !== undefined) {
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return zonedTimeToDate(year, month, day, hour, minute, timeZone);
+    }
+
+    // Time only - use today in that timezone, or tomorrow if it already passed
+    const today = new Date(Date.now() + getTimeZoneOffset(new Date(), timeZone));
+    let result = zonedTimeToDate(today.getUTCFullYear(), today.getUTCMonth() + 1, today.getUTCDate(), hour, minute, timeZone);
+    if (result.getTime() <= Date.now()) {
+        result = zonedTimeToDate(today.getUTCFullYear(), today.getUTCMonth() + 1, today.getUTCDate() + 1, hour, minute, timeZone);
+    }
+    return result;
+}
+
+// Filter IANA timezones for an autocomplete response
+function getTimeZoneAutocompleteChoices(query) {
+    const search = query.toLowerCase().replace(/ /g, '_');
+    return ['UTC', ...Intl.supportedValuesOf('timeZone')]
+        .filter(timeZone => timeZone.toLowerCase().includes(search))
+        .slice(0, 25)
+        .map(timeZone => ({ name: timeZone, value: timeZone }));
+}
+
+// Get a guild's role mappings for one requirement kind (ranks sorted lowest tier first)
+function getRequirementRoles(guildId, kind) {
+    return (requirementRolesCache.get(guildId) || [])
+        .filter(mapping => mapping.kind === kind)
+        .sort((a, b) => (a.tier ?? 0) - (b.tier ?? 0) || a.name.localeCompare(b.name));
+}
+
+// Find a requirement mapping by name, case-insensitively
+function findRequirementRole(guildId, kind, name) {
+    if (!name) return null;
+    return getRequirementRoles(guildId, kind).find(mapping => mapping.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Filter requirement mappings for an autocomplete response
+function getRequirementAutocompleteChoices(guildId, kind, query) {
+    return getRequirementRoles(guildId, kind)
+        .filter(mapping => mapping.name.toLowerCase().includes(query.toLowerCase()))
+        .slice(0, 25)
+        .map(mapping => ({ name: mapping.name, value: mapping.name }));
+}
+
+// Read the requirement options of /lfg create|schedule, returning { requirements } or { error }
+function parseSessionRequirements(interaction) {
+    const guildId = interaction.guild.id;
+    const minRankName = interaction.options.getString('min_rank');
+    const maxRankName = interaction.options.getString('max_rank');
+    const regionName = interaction.options.getString('region');
+    const platform = interaction.options.getString('platform');
+    const language = interaction.options.getString('language');
+    const micRequired = interaction.options.getBoolean('mic') || false;
+
+    const minRank = findRequirementRole(guildId, 'rank', minRankName);
+    const maxRank = findRequirementRole(guildId, 'rank', maxRankName);
+    if ((minRankName && !minRank) || (maxRankName && !maxRank)) {
+        return { error: '❌ **Unknown rank!**\n\nPick a rank from the list. Admins can add ranks with `/requirements add`.' };
+    }
+    if (minRank && maxRank && minRank.tier > maxRank.tier) {
+        return { error: `❌ **Invalid rank range!**\n\n**${minRank.name}** is above **${maxRank.name}**.` };
+    }
+
+    const region = findRequirementRole(guildId, 'region', regionName);
+    if (regionName && !region) {
+        return { error: '❌ **Unknown region!**\n\nPick a region from the list. Admins can add regions with `/requirements add`.' };
+    }
+
+    if (!minRank && !maxRank && !region && !platform && !language && !micRequired) {
+        return { requirements: null };
+    }
+
+    return {
+        requirements: {
+            minRank: minRank?.name || null,
+            maxRank: maxRank?.name || null,
+            region: region?.name || null,
+            platform: platform || null,
+            language: findRequirementRole(guildId, 'language', language)?.name || language || null,
+            micRequired
+        }
+    };
+}
+
+// Describe a rank range, e.g. "Gold - Diamond" or "Gold or higher"
+function formatRankRange(minRank, maxRank) {
+    if (minRank && maxRank) return minRank === maxRank ? minRank : `${minRank} - ${maxRank}`;
+    return minRank ? `${minRank} or higher` : `${maxRank} or lower`;
+}
+
+// Describe a session's requirements, one per line
+function formatRequirements(requirements) {
+    const lines = [];
+    if (requirements.minRank || requirements.maxRank) {
+        lines.push(`🏅 **Rank:** ${formatRankRange(requirements.minRank, requirements.maxRank)}`);
+    }
+    if (requirements.region) lines.push(`🌍 **Region:** ${requirements.region}`);
+    if (requirements.platform) lines.push(`🖥️ **Platform:** ${requirements.platform}`);
+    if (requirements.language) lines.push(`🗣️ **Language:** ${requirements.language}`);
+    if (requirements.micRequired) lines.push('🎤 **Mic required**');
+    return lines.join('\n');
+}
+
+// Check a member's roles against a session's requirements, returning a reason if they don't qualify
+function getRequirementBlockReason(session, member) {
+    const requirements = session.requirements;
+    if (!requirements || !member) return null;
+
+    const guildId = session.guildId;
+    const hasRole = mapping => member.roles.cache.has(mapping.roleId);
+    const problems = [];
+
+    const minRank = findRequirementRole(guildId, 'rank', requirements.minRank);
+    const maxRank = findRequirementRole(guildId, 'rank', requirements.maxRank);
+    if (minRank || maxRank) {
+        // Members are ranked by the highest rank role they hold
+        const memberRank = getRequirementRoles(guildId, 'rank').filter(hasRole).pop();
+        if (!memberRank) {
+            problems.push('🏅 You need a rank role to join ranked sessions');
+        } else if ((minRank && memberRank.tier < minRank.tier) || (maxRank && memberRank.tier > maxRank.tier)) {
+            problems.push(`🏅 Your rank **${memberRank.name}** is outside **${formatRankRange(requirements.minRank, requirements.maxRank)}**`);
+        }
+    }
+
+    // Region, platform and language are only enforced when admins mapped them to a role
+    const region = findRequirementRole(guildId, 'region', requirements.region);
+    if (region && !hasRole(region)) {
+        problems.push(`🌍 This session is for the **${region.name}** region (<@&${region.roleId}>)`);
+    }
+
+    const platform = requirements.platform !== 'Crossplay' && findRequirementRole(guildId, 'platform', requirements.platform);
+    if (platform && !hasRole(platform)) {
+        problems.push(`🖥️ This session is **${platform.name}** only (<@&${platform.roleId}>)`);
+    }
+
+    const language = findRequirementRole(guildId, 'language', requirements.language);
+    if (language && !hasRole(language)) {
+        problems.push(`🗣️ This session plays in **${language.name}** (<@&${language.roleId}>)`);
+    }
+
+    if (problems.length === 0) return null;
+
+    return '🚫 **You don\'t meet this session\'s requirements!**\n\n' + problems.join('\n');
+}
+
+// Generate unique session ID
+function generateSessionId() {
+    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+}
+
+// Create safe category name
+function createSafeCategoryName(gameName) {
+    return `🎮 ${gameName}`.substring(0, 100);
+}
+
+// Create safe channel name
+function createSafeChannelName(gameName, gamemode, sessionId) {
+    const shortId = sessionId.slice(-6);
+    return `${gameName}-${gamemode}-${shortId}`.toLowerCase().replace(/[^a-z0-9-]/g, '').substring(0, 100);
+}
+
+// Get or create game category with enhanced error handling
+async function getOrCreateGameCategory(guild, gameName) {
+    try {
+        const categoryName = createSafeCategoryName(gameName);
+        
+        // Look for existing category (case-insensitive)
+        let category = guild.channels.cache.find(channel => 
+            channel.type === 4 && // CategoryChannel type
+            channel.name.toLowerCase() === categoryName.toLowerCase()
+        );
+
+        if (!category) {
+            console.log(`📁 Creating new category: ${categoryName}`);
+            category = await guild.channels.create({
+                name: categoryName,
+                type: 4, // CategoryChannel
+                reason: 'LFG Bot: Creating game category for voice channels'
+            });
+            console.log(`✅ Created category: ${category.name}`);
+        }
+
+        return category;
+    } catch (error) {
+        console.error(`❌ Failed to get/create category for ${gameName}:`, error);
+        throw error;
+    }
+}
+
+// Create private voice channel with enhanced error handling
+async function createPrivateVoiceChannel(guild, gameName, gamemode, sessionId, members) {
+    try {
+        console.log(`🔊 Creating voice channel for ${gameName} - ${gamemode}`);
+        
+        const category = await getOrCreateGameCategory(guild, gameName);
+        const channelName = createSafeChannelName(gameName, gamemode, sessionId);
+
+        // Create permission overwrites for members
+        const permissionOverwrites = [
+            {
+                id: guild.roles.everyone.id,
+                deny: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect]
+            },
+            {
+                id: client.user.id,
+                allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect, PermissionFlagsBits.ManageChannels]
+            }
+        ];
+
+        // Add permissions for each member
+        members.forEach(member => {
+            permissionOverwrites.push({
+                id: member.id,
+                allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect]
+            });
+        });
+
+        const voiceChannel = await guild.channels.create({
+            name: channelName,
+            type: 2, // VoiceChannel
+            parent: category.id,
+            permissionOverwrites: permissionOverwrites,
+            reason: `LFG Bot: Creating private voice channel for ${gameName} session`
+        });
+
+        console.log(`✅ Created voice channel: ${voiceChannel.name}`);
+        return voiceChannel;
+
+    } catch (error) {
+        console.error(`❌ Failed to create voice channel for ${gameName}:`, error);
+        throw error;
+    }
+}
+
+// Enhanced permission error message
+function getPermissionErrorMessage() {
+    return '❌ **Bot is missing required permissions!** Please ensure the bot has:\n\n' +
+           '• **Manage Channels** permission\n' +
+           '• **Connect** to voice channels permission\n\n' +
+           'Contact a server admin to fix bot permissions.';
+}
+
+// Check if a member may use admin-only commands
+function isGuildAdmin(member) {
+    return Boolean(member?.permissions?.has(PermissionFlagsBits.Administrator));
+}
+
+// Get the configured LFG channel for a guild, if it still exists
+function getConfiguredLFGChannel(guild) {
+    const settings = guildSettingsCache.get(guild.id);
+    if (!settings?.lfgChannelId) return null;
+
+    const channel = guild.channels.cache.get(settings.lfgChannelId);
+    if (!channel) {
+        console.error(`❌ Configured LFG channel ${settings.lfgChannelId} no longer exists in ${guild.name}`);
+        return null;
+    }
+
+    return channel;
+}
+
+// Create LFG embed with enhanced styling
 function createLFGEmbed(session) {
-    const gameDisplayName = games.find(g => g.value === session.game)?.name || session.game;
+    const gameDisplayName = getGameDisplayName(session.guildId, session.game);
     const slotsText = `${session.currentPlayers.length}/${session.playersNeeded}`;
-    const statusEmoji = session.currentPlayers.length >= session.playersNeeded ? '✅' : '🔍';
+    const isConfirming = session.status === 'confirming';
+    const isScheduled = session.status === 'scheduled';
+    const statusEmoji = isConfirming ? '⏳' : isScheduled ? '📅' : isSessionFull(session) ? '✅' : '🔍';
+    const titlePrefix = isConfirming ? `${statusEmoji} Ready? ` : `${statusEmoji} `;
+    const color = isConfirming ? 0xf39c12
+        : isScheduled ? 0x9b59b6
+        : isSessionFull(session) ? 0x00ff00 : 0x3498db;
     
     const embed = new EmbedBuilder()
-        .setTitle(`${statusEmoji} ${gameDisplayName} - ${session.gamemode}`)
-        .setColor(session.currentPlayers.length >= session.playersNeeded ? 0x00ff00 : 0x3498db)
+        .setTitle(`${titlePrefix}${gameDisplayName} - ${session.gamemode}`)
+        .setColor(color)
         .addFields(
             { name: '👥 Players', value: slotsText, inline: true },
             { name: '🎮 Game Mode', value: session.gamemode, inline: true },
-            { name: '👤 Created by', value: `<@${session.creatorId}>`, inline: true }
+            { name: '👤 Created by', value: `<@${session.creatorId}>`, inline: true },
+            isScheduled
+                ? { name: '📅 Starts', value: `<t:${Math.floor(new Date(session.scheduledFor).getTime() / 1000)}:f>`, inline: true }
+                : { name: '⏰ Expires', value: `<t:${Math.floor(getSessionExpiry(session) / 1000)}:R>`, inline: true }
         )
         .setFooter({ text: `Session ID: ${session.id.slice(-6)} | Created` })
         .setTimestamp(new Date(session.createdAt));
 
+    if (isScheduled) {
+        const startsAt = Math.floor(new Date(session.scheduledFor).getTime() / 1000);
+        embed.setDescription(
+            `🗓️ **Starts <t:${startsAt}:F>** (<t:${startsAt}:R>)\n` +
+            'Sign up now - the roster gets pinged at start time and a voice channel opens once everyone confirms.'
+        );
+    }
+
+    if (isConfirming) {
+        const deadline = Math.floor(getReadyCheckDeadline(session) / 1000);
+        embed.setDescription(
+            '**The group is full!** Every player must press **Confirm** to get a voice channel.\n' +
+            `⏱️ Unconfirmed players are dropped <t:${deadline}:R>.`
+        );
+    }
+
+    if (session.isLocked) {
+        embed.addFields({ name: '🔒 Locked', value: 'The creator isn\'t accepting new players right now.' });
+    }
+
+    if (session.roleSlots) {
+        embed.addFields({
+            name: '🎭 Roles',
+            value: getRoleSlotSummary(session)
+                .map(role => `${role.filled >= role.count ? '✅' : '🔍'} **${role.name}** ${role.filled}/${role.count}`)
+                .join('\n'),
+            inline: true
+        });
+    }
+
+    if (session.requirements) {
+        embed.addFields({ name: '📋 Requirements', value: formatRequirements(session.requirements) });
+    }
+
     if (session.info) {
         embed.addFields({ name: '📝 Additional Info', value: session.info });
     }
 
+    // A session with an open voice channel that lost a player is recruiting a replacement
+    const voiceMembers = getVoiceChannelMemberIds(session);
+    if (voiceMembers && !isConfirming && !isSessionFull(session)) {
+        embed.setDescription('🔍 **Recruiting a replacement!** The voice channel stays open - join to hop in.');
+    }
+
     if (session.currentPlayers.length > 0) {
-        const playerList = session.currentPlayers.map(player => `• <@${player.id}>`).join('\n');
+        const confirmed = session.confirmedPlayers || [];
+        const playerList = session.currentPlayers.map(player => {
+            const gameName = userProfilesCache.get(player.id)?.gameNames?.[session.game];
+            const mention = `<@${player.id}>` + (player.role ? ` *(${player.role})*` : '') + (gameName ? ` - 🎮 \`${gameName}\`` : '');
+            if (isConfirming) return `${confirmed.includes(player.id) ? '✅' : '⏳'} ${mention}`;
+            if (voiceMembers) return voiceMembers.has(player.id) ? `🎧 ${mention}` : `⚠️ ${mention} *(not in voice)*`;
+            return `• ${mention}`;
+        }).join('\n');
         embed.addFields({ name: '🎯 Current Players', value: playerList });
     }
 
+    if (session.waitlist?.length > 0) {
+        const hidden = session.waitlist.length - WAITLIST_DISPLAY_LIMIT;
+        embed.addFields({
+            name: `📋 Waitlist (${session.waitlist.length})`,
+            value: session.waitlist.slice(0, WAITLIST_DISPLAY_LIMIT).map((entry, index) => `${index + 1}. <@${entry.id}>`).join('\n') +
+                   (hidden > 0 ? `\n*+${hidden} more*` : '')
+        });
+    }
+
     return embed;
 }
 
+// Build every component row for a session message: the action buttons plus a role picker while role slots are open
+function createSessionComponents(session) {
+    const isFull = isSessionFull(session);
+    const isConfirming = session.status === 'confirming';
+    const rows = [createLFGButtons(session.id, isFull, isConfirming, session.isLocked, (session.waitlist || []).length)];
+
+    if (session.roleSlots && !isFull && !isConfirming && !session.isLocked) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`joinrole_${session.id}`)
+                .setPlaceholder('🎭 Pick a role to join')
+                .addOptions(getRoleSlotSummary(session)
+                    .filter(role => role.filled < role.count)
+                    .map(role => ({
+                        label: role.name,
+                        description: `${role.count - role.filled} of ${role.count} open`,
+                        value: role.name
+                    })))
+        ));
+    }
+
+    return rows;
+}
+
+// Get the IDs of members currently in a session's voice channel, or null if it has none
+function getVoiceChannelMemberIds(session) {
+    if (!session.voiceChannelId) return null;
+    const voiceChannel = client.guilds.cache.get(session.guildId)?.channels.cache.get(session.voiceChannelId);
+    return voiceChannel ? new Set(voiceChannel.members.keys()) : null;
+}
+
 // Create action buttons for LFG sessions
-function createLFGButtons(sessionId, isFull = false) {
-    const joinButton = new ButtonBuilder()
-        .setCustomId(`join_${sessionId}`)
-        .setLabel('Join Session')
-        .setStyle(ButtonStyle.Success)
-        .setEmoji('🎮')
-        .setDisabled(isFull);
+function createLFGButtons(sessionId, isFull = false, isConfirming = false, isLocked = false, waitlistSize = 0) {
+    if (isConfirming) {
+        const confirmButton = new ButtonBuilder()
+            .setCustomId(`confirm_${sessionId}`)
+            .setLabel('Confirm')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('✅');
+
+        const declineButton = new ButtonBuilder()
+            .setCustomId(`decline_${sessionId}`)
+            .setLabel('Decline')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('❌');
+
+        return new ActionRowBuilder().addComponents(confirmButton, declineButton);
+    }
+
+    // A full session offers its waitlist instead of the Join button
+    const joinButton = isFull
+        ? new ButtonBuilder()
+            .setCustomId(`waitlist_${sessionId}`)
+            .setLabel(waitlistSize > 0 ? `Join Waitlist (${waitlistSize})` : 'Join Waitlist')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji(isLocked ? '🔒' : '📋')
+            .setDisabled(isLocked)
+        : new ButtonBuilder()
+            .setCustomId(`join_${sessionId}`)
+            .setLabel('Join Session')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji(isLocked ? '🔒' : '🎮')
+            .setDisabled(isLocked);
 
     const leaveButton = new ButtonBuilder()
         .setCustomId(`leave_${sessionId}`)
@@ -502,7 +1348,19 @@ function createLFGButtons(sessionId, isFull = false) {
         .setStyle(ButtonStyle.Danger)
         .setEmoji('🚪');
 
-    return new ActionRowBuilder().addComponents(joinButton, leaveButton);
+    const extendButton = new ButtonBuilder()
+        .setCustomId(`extend_${sessionId}`)
+        .setLabel(`Extend +${SESSION_EXTEND_MINUTES} min`)
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⏰');
+
+    const manageButton = new ButtonBuilder()
+        .setCustomId(`manage_${sessionId}`)
+        .setLabel('Manage')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⚙️');
+
+    return new ActionRowBuilder().addComponents(joinButton, leaveButton, extendButton, manageButton);
 }
 
 // Start voice channel creation process
@@ -536,6 +1394,14 @@ async function startVoiceChannelCreation(session) {
             return;
         }
 
+        // A group that already has its channel open just lets the new players in
+        const existingChannel = session.voiceChannelId ? guild.channels.cache.get(session.voiceChannelId) : null;
+        if (existingChannel) {
+            await syncVoiceChannelPermissions(session);
+            await updateSessionMessage(session);
+            return;
+        }
+
         // Create the voice channel
         const voiceChannel = await createPrivateVoiceChannel(
             guild, 
@@ -546,10 +1412,13 @@ async function startVoiceChannelCreation(session) {
         );
 
         // Update session with voice channel ID
-        session.voiceChannelId = voiceChannel.id;
-        await storage.updateSession(session.id, { voiceChannelId: voiceChannel.id });
+        await sessionRepository.update(session, {
+            voiceChannelId: voiceChannel.id,
+            voiceCreatedAt: session.voiceCreatedAt || new Date().toISOString()
+        });
 
         console.log(`✅ Voice channel created for session ${session.id.slice(-6)}: ${voiceChannel.name}`);
+        emitSessionEvent(session, 'voice.created', { voiceChannelId: voiceChannel.id });
 
         // Update the session message with voice channel info
         await updateSessionMessage(session);
@@ -561,9 +1430,129 @@ async function startVoiceChannelCreation(session) {
         console.error('❌ Failed to create voice channel:', error);
         
         // Update session status to indicate voice channel creation failed
-        session.status = 'voice_creation_failed';
-        await storage.updateSession(session.id, { status: 'voice_creation_failed' });
+        await sessionRepository.update(session, { status: 'voice_creation_failed' });
+        await updateSessionMessage(session);
+    }
+}
+
+// Get the time (ms) at which the current ready-check runs out
+function getReadyCheckDeadline(session) {
+    return new Date(session.confirmationStartTime).getTime() + READY_CHECK_TIMEOUT_MS;
+}
+
+// Schedule the ready-check timeout for a confirming session
+function scheduleReadyCheckTimeout(session) {
+    clearReadyCheckTimeout(session.id);
+
+    const remaining = Math.max(getReadyCheckDeadline(session) - Date.now(), 0);
+    const timeoutId = setTimeout(async () => {
+        readyCheckTimeouts.delete(session.id);
+        await expireReadyCheck(session.id);
+    }, remaining);
+
+    readyCheckTimeouts.set(session.id, timeoutId);
+}
+
+// Clear a pending ready-check timeout
+function clearReadyCheckTimeout(sessionId) {
+    if (readyCheckTimeouts.has(sessionId)) {
+        clearTimeout(readyCheckTimeouts.get(sessionId));
+        readyCheckTimeouts.delete(sessionId);
+    }
+}
+
+// Switch a full session into the ready-check phase
+async function startReadyCheck(session) {
+    console.log(`🎯 Session ${session.id.slice(-6)} is now full! Starting ready-check...`);
+
+    await sessionRepository.update(session, {
+        status: 'confirming',
+        confirmedPlayers: [],
+        confirmationStartTime: new Date().toISOString()
+    });
+
+    scheduleReadyCheckTimeout(session);
+
+    // Ping the roster so AFK players notice the ready-check
+    try {
+        const channel = client.channels.cache.get(session.channelId);
+        if (channel) {
+            const deadline = Math.floor(getReadyCheckDeadline(session) / 1000);
+            const mentions = session.currentPlayers.map(player => `<@${player.id}>`).join(' ');
+            const pingMessage = await channel.send({
+                content: `⏳ ${mentions}\n**Your group is full!** Press **Confirm** on the session <t:${deadline}:R> or you'll be dropped.`
+            });
+            setTimeout(() => pingMessage.delete().catch(() => {}), READY_CHECK_TIMEOUT_MS);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to ping players for ready-check ${session.id.slice(-6)}:`, error);
+    }
+}
+
+// Reset a session from the ready-check phase back to recruiting
+async function cancelReadyCheck(session) {
+    clearReadyCheckTimeout(session.id);
+    await sessionRepository.update(session, getReadyCheckResetChanges());
+}
+
+// The fields that take a session out of the ready-check phase, shared with the roster transitions
+function getReadyCheckResetChanges() {
+    return { status: 'waiting', confirmedPlayers: [], confirmationStartTime: null };
+}
+
+// Everyone confirmed - lock the session and create the voice channel
+async function completeReadyCheck(session) {
+    // Simultaneous confirms and the ready-check timeout can all get here - the status flips to 'full'
+    // synchronously when the update is issued, so only the first caller goes on to create the voice channel
+    if (session.status !== 'confirming') return;
+
+    clearReadyCheckTimeout(session.id);
+    console.log(`✅ All players confirmed session ${session.id.slice(-6)}! Starting voice channel creation...`);
+
+    await sessionRepository.update(session, { status: 'full' });
+
+    await startVoiceChannelCreation(session);
+}
+
+// Drop players who did not confirm in time and reopen their slots
+async function expireReadyCheck(sessionId) {
+    try {
+        const session = activeSessions.get(sessionId);
+        if (!session || session.status !== 'confirming') return;
+
+        const confirmed = session.confirmedPlayers || [];
+        const unconfirmed = session.currentPlayers.filter(player => !confirmed.includes(player.id));
+
+        if (unconfirmed.length === 0) {
+            await completeReadyCheck(session);
+            return;
+        }
+
+        console.log(`⏰ Ready-check expired for session ${sessionId.slice(-6)}, dropping ${unconfirmed.length} player(s)`);
+
+        // Without its creator the session can't continue
+        if (unconfirmed.some(player => player.id === session.creatorId)) {
+            await endLFGSession(sessionId, 'creator_left');
+            return;
+        }
+
+        // Dropping the players and reopening recruitment is one transition
+        clearReadyCheckTimeout(sessionId);
+        await sessionRepository.removePlayers(session, unconfirmed.map(player => player.id), {
+            currentPlayers: session.currentPlayers.filter(player => confirmed.includes(player.id)),
+            ...getReadyCheckResetChanges()
+        });
         await updateSessionMessage(session);
+        for (const player of unconfirmed) {
+            emitSessionEvent(session, 'player.left', {
+                player: { id: player.id, username: player.username, role: player.role || null },
+                reason: 'ready_check_expired'
+            });
+        }
+        await fillOpenSlots(session);
+
+    } catch (error) {
+        console.error(`❌ Error expiring ready-check for session ${sessionId}:`, error);
     }
 }
 
@@ -577,20 +1566,21 @@ async function updateSessionMessage(session, interaction = null) {
         if (!channel) return;
 
         const embed = createLFGEmbed(session);
-        const buttons = createLFGButtons(session.id, session.currentPlayers.length >= session.playersNeeded);
 
         // Add voice channel info if available
         if (session.voiceChannelId) {
+            const voiceMembers = getVoiceChannelMemberIds(session);
+            const inVoice = voiceMembers ? session.currentPlayers.filter(player => voiceMembers.has(player.id)).length : 0;
             embed.addFields({ 
                 name: '🔊 Voice Channel', 
-                value: `<#${session.voiceChannelId}>`, 
+                value: `<#${session.voiceChannelId}>\n🎧 ${inVoice}/${session.currentPlayers.length} in voice`, 
                 inline: true 
             });
         }
 
         const messagePayload = {
             embeds: [embed],
-            components: [buttons]
+            components: createSessionComponents(session)
         };
 
         if (session.messageId) {
@@ -602,945 +1592,5061 @@ async function updateSessionMessage(session, interaction = null) {
                 console.error('❌ Failed to update existing message:', error);
                 // If message doesn't exist, create a new one
                 const newMessage = await channel.send(messagePayload);
-                session.messageId = newMessage.id;
-                await storage.updateSession(session.id, { messageId: newMessage.id });
+                await sessionRepository.update(session, { messageId: newMessage.id });
             }
         } else {
             // Create new message
             const message = await channel.send(messagePayload);
-            session.messageId = message.id;
-            await storage.updateSession(session.id, { messageId: message.id });
+            await sessionRepository.update(session, { messageId: message.id });
         }
 
     } catch (error) {
         console.error('❌ Failed to update session message:', error);
     }
+
+    scheduleBoardUpdate(session.guildId);
 }
 
-// Handle user joining session
-async function handleJoinSession(interaction, sessionId) {
-    try {
-        await interaction.deferReply({ flags: 64 });
+// Queue an LFG board refresh, batching bursts of changes into one edit per interval
+function scheduleBoardUpdate(guildId) {
+    if (!guildSettingsCache.get(guildId)?.boardChannelId || boardUpdateTimeouts.has(guildId)) return;
 
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            return interaction.editReply({
-                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
-            });
-        }
+    const lastUpdate = boardUpdatedAt.get(guildId) || 0;
+    const delay = Math.max(0, lastUpdate + BOARD_UPDATE_INTERVAL_MS - Date.now());
 
-        const userId = interaction.user.id;
+    boardUpdateTimeouts.set(guildId, setTimeout(() => {
+        boardUpdateTimeouts.delete(guildId);
+        boardUpdatedAt.set(guildId, Date.now());
+        updateLFGBoard(guildId);
+    }, delay));
+}
 
-        // Check if user is already in this session
-        if (session.currentPlayers.some(player => player.id === userId)) {
-            return interaction.editReply({
-                content: '✅ **You\'re already in this session!**\n\n🎮 You\'re all set to play.',
-            });
-        }
+// Build the LFG board: every active session grouped by game, plus a join picker
+function createBoardPayload(guild) {
+    const sessions = Array.from(activeSessions.values())
+        .filter(session => session.guildId === guild.id)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 
-        // Check if session is full
-        if (session.currentPlayers.length >= session.playersNeeded) {
-            return interaction.editReply({
-                content: '❌ **Session is full!**\n\n🔍 Look for other sessions or create your own with `/lfg`.',
-            });
+    const sessionsByGame = new Map();
+    for (const session of sessions) {
+        if (!sessionsByGame.has(session.game)) sessionsByGame.set(session.game, []);
+        sessionsByGame.get(session.game).push(session);
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(`📋 LFG Board - ${guild.name}`)
+        .setColor(0x3498db)
+        .setDescription(sessions.length > 0
+            ? `🎮 **${sessions.length}** active session${sessions.length === 1 ? '' : 's'} - pick one below to join`
+            : '😴 No active sessions right now - start one with `/lfg create`!')
+        .setFooter({ text: 'Updates automatically' })
+        .setTimestamp();
+
+    for (const [game, gameSessions] of Array.from(sessionsByGame).slice(0, 25)) {
+        const lines = gameSessions.map(session => {
+            const openSlots = Math.max(0, session.playersNeeded - session.currentPlayers.length);
+            const url = getSessionMessageUrl(session);
+            const createdAt = Math.floor(new Date(session.createdAt).getTime() / 1000);
+            return `${getSessionStatusLabel(session)} **${session.gamemode}** ${session.currentPlayers.length}/${session.playersNeeded}` +
+                (openSlots > 0 ? ` (${openSlots} open)` : '') +
+                ` | <t:${createdAt}:R> | ${url ? `[\`${session.id.slice(-6)}\`](${url})` : `\`${session.id.slice(-6)}\``}`;
+        });
+
+        // Stay inside the embed field limit, noting how many sessions didn't fit
+        let value = '';
+        for (let i = 0; i < lines.length; i++) {
+            const more = `\n…and ${lines.length - i} more`;
+            if ((value + '\n' + lines[i]).length > 1024 - more.length) {
+                value += more;
+                break;
+            }
+            value += (value ? '\n' : '') + lines[i];
         }
 
-        // Check if user is already in another session
-        const existingUserSession = userCreatedSessions.get(userId);
-        if (existingUserSession && existingUserSession !== sessionId) {
-            return interaction.editReply({
-                content: '❌ **You\'re already in another LFG session!**\n\n' +
-                        '🎮 You can only be in one session at a time\n' +
-                        '💡 Leave your current session first to join this one',
-            });
+        embed.addFields({ name: `🎮 ${getGameDisplayName(guild.id, game)}`.substring(0, 256), value });
+    }
+
+    const joinable = sessions.filter(session =>
+        (session.status === 'waiting' || session.status === 'scheduled') && !isSessionFull(session) && !session.isLocked
+    );
+
+    const components = joinable.length > 0 ? [
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`boardjoin_${guild.id}`)
+                .setPlaceholder('Join a session...')
+                .addOptions(joinable.slice(0, 25).map(session => ({
+                    label: `${getGameDisplayName(guild.id, session.game)} - ${session.gamemode}`.substring(0, 100),
+                    description: `${session.currentPlayers.length}/${session.playersNeeded} players | ID ${session.id.slice(-6)}`,
+                    value: session.id
+                })))
+        )
+    ] : [];
+
+    return { embeds: [embed], components };
+}
+
+// Edit the guild's LFG board in place, re-posting it if the message was deleted
+async function updateLFGBoard(guildId) {
+    try {
+        const settings = guildSettingsCache.get(guildId);
+        const guild = client.guilds.cache.get(guildId);
+        if (!settings?.boardChannelId || !guild) return;
+
+        const channel = await fetchIfExists(guild.channels.fetch(settings.boardChannelId));
+        if (!channel) {
+            console.error(`❌ LFG board channel ${settings.boardChannelId} no longer exists in ${guild.name}`);
+            return;
         }
 
-        // Check if user is a participant in any other session
-        const participantSession = Array.from(activeSessions.values()).find(s => 
-            s.id !== sessionId && s.currentPlayers.some(player => player.id === userId)
-        );
+        const payload = createBoardPayload(guild);
+        const message = settings.boardMessageId
+            ? await fetchIfExists(channel.messages.fetch(settings.boardMessageId))
+            : null;
 
-        if (participantSession) {
-            return interaction.editReply({
-                content: '❌ **You\'re already in another LFG session!**\n\n' +
-                        `🎮 Currently in: **${participantSession.game}** - ${participantSession.gamemode}\n` +
-                        '💡 Leave that session first to join this one',
-            });
+        if (message) {
+            await message.edit(payload);
+        } else {
+            const newMessage = await channel.send(payload);
+            const updated = await storage.upsertGuildSettings(guildId, { boardMessageId: newMessage.id });
+            guildSettingsCache.set(guildId, updated);
         }
 
-        // Add user to session
-        session.currentPlayers.push({
-            id: userId,
-            username: interaction.user.username,
-            joinedAt: new Date().toISOString()
-        });
+    } catch (error) {
+        console.error(`❌ Failed to update LFG board for guild ${guildId}:`, error);
+    }
+}
 
-        // Update database
-        await storage.updateSession(sessionId, {
-            currentPlayers: session.currentPlayers,
-            updatedAt: new Date()
-        });
+// Get the default and maximum session lifetime (minutes) for a guild
+function getSessionLifetime(guildId) {
+    const settings = guildSettingsCache.get(guildId);
+    const maxMinutes = settings?.maxSessionMinutes || MAX_SESSION_MINUTES;
+    const defaultMinutes = Math.min(settings?.defaultSessionMinutes || DEFAULT_SESSION_MINUTES, maxMinutes);
+    return { defaultMinutes, maxMinutes };
+}
 
-        // Track user session
-        await storage.setUserSession(userId, sessionId);
+// Get the time (ms) at which a session expires
+function getSessionExpiry(session) {
+    return new Date(session.expiresAt).getTime();
+}
 
-        const gameDisplayName = games.find(g => g.value === session.game)?.name || session.game;
+// Get the latest time (ms) a session can be extended to (scheduled sessions count from their start)
+function getSessionMaxExpiry(session) {
+    const start = new Date(session.scheduledFor || session.createdAt).getTime();
+    return start + getSessionLifetime(session.guildId).maxMinutes * 60 * 1000;
+}
 
-        await interaction.editReply({
-            content: `✅ **Successfully joined ${gameDisplayName}!**\n\n` +
-                    `🎮 **Game:** ${gameDisplayName} - ${session.gamemode}\n` +
-                    `👥 **Players:** ${session.currentPlayers.length}/${session.playersNeeded}\n` +
-                    `👤 **Session Creator:** <@${session.creatorId}>`,
-        });
+// Schedule (or reschedule) the expiry timer and warning ping for a session
+function scheduleSessionExpiry(session) {
+    clearSessionExpiry(session.id);
 
-        // Check if session is now full and start voice channel creation
-        if (session.currentPlayers.length >= session.playersNeeded) {
-            console.log(`🎯 Session ${sessionId.slice(-6)} is now full! Starting voice channel creation...`);
-            session.status = 'full';
-            await storage.updateSession(sessionId, { status: 'full' });
-            
-            // Start voice channel creation
-            await startVoiceChannelCreation(session);
-        }
+    const remaining = Math.max(getSessionExpiry(session) - Date.now(), 0);
+    const timeoutId = setTimeout(async () => {
+        console.log(`⏰ Session ${session.id.slice(-6)} expired`);
+        await endLFGSession(session.id, 'expired');
+    }, remaining);
 
-        // Update the session message
-        await updateSessionMessage(session);
+    sessionTimeouts.set(session.id, timeoutId);
 
-        console.log(`🎮 User ${interaction.user.username} joined ${gameDisplayName} session ${sessionId.slice(-6)}`);
+    // Only warn if the warning point is still ahead of us
+    if (remaining > SESSION_WARNING_MS) {
+        const warningId = setTimeout(async () => {
+            sessionWarningTimeouts.delete(session.id);
+            await sendExpiryWarning(session.id);
+        }, remaining - SESSION_WARNING_MS);
 
-    } catch (error) {
-        console.error('❌ Error in handleJoinSession:', error);
-        
-        if (!interaction.replied) {
-            await interaction.editReply({
-                content: '❌ **Failed to join session!**\n\nSomething went wrong. Please try again.',
-            }).catch(console.error);
-        }
+        sessionWarningTimeouts.set(session.id, warningId);
     }
 }
 
-// Handle user leaving session
-async function handleLeaveSession(interaction, sessionId) {
-    try {
-        await interaction.deferReply({ flags: 64 });
+// Clear the expiry timer and warning ping for a session
+function clearSessionExpiry(sessionId) {
+    if (sessionTimeouts.has(sessionId)) {
+        clearTimeout(sessionTimeouts.get(sessionId));
+        sessionTimeouts.delete(sessionId);
+    }
+    if (sessionWarningTimeouts.has(sessionId)) {
+        clearTimeout(sessionWarningTimeouts.get(sessionId));
+        sessionWarningTimeouts.delete(sessionId);
+    }
+}
 
+// Ping the roster shortly before a session expires
+async function sendExpiryWarning(sessionId) {
+    try {
         const session = activeSessions.get(sessionId);
-        if (!session) {
-            return interaction.editReply({
-                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
-            });
-        }
-
-        const userId = interaction.user.id;
+        if (!session) return;
 
-        // Check if user is in this session
-        const playerIndex = session.currentPlayers.findIndex(player => player.id === userId);
-        if (playerIndex === -1) {
-            return interaction.editReply({
-                content: '❌ **You\'re not in this session!**\n\n🔍 You can only leave sessions you\'ve joined.',
-            });
-        }
+        const channel = client.channels.cache.get(session.channelId);
+        if (!channel) return;
 
-        // Remove user from session
-        session.currentPlayers.splice(playerIndex, 1);
+        const expiresAt = Math.floor(getSessionExpiry(session) / 1000);
+        const canExtend = getSessionExpiry(session) < getSessionMaxExpiry(session);
+        const mentions = session.currentPlayers.map(player => `<@${player.id}>`).join(' ');
 
-        // Update database
-        await storage.updateSession(sessionId, {
-            currentPlayers: session.currentPlayers,
-            updatedAt: new Date()
+        await channel.send({
+            content: `⏰ ${mentions}\n**Your ${getGameDisplayName(session.guildId, session.game)} session expires <t:${expiresAt}:R>!**` +
+                    (canExtend ? `\n💡 <@${session.creatorId}> can press **Extend +${SESSION_EXTEND_MINUTES} min** to keep it open.` : '')
         });
 
-        // Remove user session tracking
-        await storage.removeUserSession(userId);
+        console.log(`⏰ Sent expiry warning for session ${sessionId.slice(-6)}`);
+    } catch (error) {
+        console.error(`❌ Failed to send expiry warning for session ${sessionId}:`, error);
+    }
+}
 
-        const gameDisplayName = games.find(g => g.value === session.game)?.name || session.game;
+// Create a new session with its creator as the first player (the caller posts the message)
+async function createLFGSession({ guildId, channelId, creator, game, gamemode, playersNeeded, info = null, scheduledFor = null, requirements = null, roleSlots = null, creatorRole = null }) {
+    const sessionId = generateSessionId();
+    const lifetimeStart = scheduledFor ? new Date(scheduledFor).getTime() : Date.now();
+    const session = {
+        id: sessionId,
+        creatorId: creator.id,
+        guildId: guildId,
+        channelId: channelId,
+        messageId: null,
+        game: game,
+        gamemode: gamemode,
+        playersNeeded: playersNeeded,
+        info: info,
+        status: scheduledFor ? 'scheduled' : 'waiting',
+        currentPlayers: [{
+            id: creator.id,
+            username: creator.username,
+            joinedAt: new Date().toISOString(),
+            ...(roleSlots ? { role: creatorRole || roleSlots[0].name } : {})
+        }],
+        confirmedPlayers: [],
+        voiceChannelId: null,
+        blockedUsers: [],
+        isLocked: false,
+        requirements: requirements,
+        roleSlots: roleSlots,
+        waitlist: [],
+        confirmationStartTime: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        expiresAt: new Date(lifetimeStart + getSessionLifetime(guildId).defaultMinutes * 60 * 1000).toISOString(),
+        scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : null,
+        filledAt: null,
+        voiceCreatedAt: null
+    };
+
+    // Save the session and the creator's membership, then cache it
+    await sessionRepository.create(session);
+
+    await removeFromQueue(guildId, creator.id);
+
+    // Set timeout for session expiration
+    scheduleSessionExpiry(session);
+
+    return session;
+}
 
-        await interaction.editReply({
-            content: `✅ **Successfully left ${gameDisplayName} session!**\n\n` +
-                    '🔍 You can now join other sessions or create your own.',
-        });
+// Build the in-memory key for a user's queue entry
+function getQueueKey(guildId, userId) {
+    return `${guildId}:${userId}`;
+}
 
-        // If this was the session creator leaving, end the session
-        if (userId === session.creatorId) {
-            console.log(`👤 Session creator left session ${sessionId.slice(-6)}, ending session...`);
-            await endLFGSession(sessionId, 'creator_left');
-            return;
-        }
+// Get the live queue entries waiting for a guild/game/mode, oldest first
+function getQueueEntriesFor(guildId, game, gamemode) {
+    const now = Date.now();
+    return Array.from(queuedUsers.values())
+        .filter(entry =>
+            entry.guildId === guildId &&
+            entry.game === game &&
+            entry.gamemode === gamemode &&
+            new Date(entry.expiresAt).getTime() > now
+        )
+        .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+}
+
+// Add (or move) a user into the matchmaking queue
+async function addToQueue({ guildId, channelId, user, game, gamemode }) {
+    const entry = {
+        userId: user.id,
+        guildId: guildId,
+        channelId: channelId,
+        username: user.username,
+        game: game,
+        gamemode: gamemode,
+        queuedAt: new Date(),
+        expiresAt: new Date(Date.now() + QUEUE_TTL_MS)
+    };
+
+    await storage.upsertQueueEntry(entry);
+    queuedUsers.set(getQueueKey(guildId, user.id), entry);
+
+    return entry;
+}
+
+// Remove a user from a guild's matchmaking queue (no-op if they aren't queued)
+async function removeFromQueue(guildId, userId) {
+    const key = getQueueKey(guildId, userId);
+    if (!queuedUsers.has(key)) return false;
+
+    queuedUsers.delete(key);
+    await storage.removeQueueEntry(userId, guildId);
+    return true;
+}
+
+// Let a queued user know something happened to their queue entry
+async function notifyUser(userId, content) {
+    try {
+        const user = await client.users.fetch(userId);
+        await user.send({ content });
+    } catch (error) {
+        console.error(`❌ Failed to DM user ${userId}:`, error.message);
+    }
+}
+
+// Check whether a user's quiet hours cover the current time in their timezone
+function isInQuietHours(settings, date = new Date()) {
+    if (!settings || settings.quietStartHour === null || settings.quietEndHour === null) return false;
+
+    const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone, hour: 'numeric', hourCycle: 'h23' }).format(date));
+    const { quietStartHour: start, quietEndHour: end } = settings;
+
+    // Quiet hours may wrap past midnight, e.g. 23 -> 7
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// Format a user's quiet hours for display
+function formatQuietHours(settings) {
+    if (!settings || settings.quietStartHour === null || settings.quietEndHour === null) return 'Off';
+    const pad = hour => `${String(hour).padStart(2, '0')}:00`;
+    return `${pad(settings.quietStartHour)} - ${pad(settings.quietEndHour)} (${settings.timezone})`;
+}
 
-        // Update session status if it's no longer full
-        if (session.currentPlayers.length < session.playersNeeded && session.status === 'full') {
-            session.status = 'waiting';
-            await storage.updateSession(sessionId, { status: 'waiting' });
+// Get a user's subscriptions in a guild
+function getUserSubscriptions(guildId, userId) {
+    return (notificationSubscriptionsCache.get(guildId) || []).filter(subscription => subscription.userId === userId);
+}
+
+// Let subscribers know a new session for their game is open, by DM or by pinging the guild's notify role
+async function notifySubscribers(session) {
+    try {
+        const now = Date.now();
+        const recipients = [...new Set((notificationSubscriptionsCache.get(session.guildId) || [])
+            .filter(subscription =>
+                subscription.game === session.game &&
+                (!subscription.gamemode || subscription.gamemode === session.gamemode))
+            .map(subscription => subscription.userId))]
+            .filter(userId =>
+                !getJoinBlockReason(session, userId) &&
+                !isInQuietHours(notificationSettingsCache.get(userId)) &&
+                now - (notificationCooldowns.get(userId) || 0) >= NOTIFY_COOLDOWN_MS);
+
+        if (recipients.length === 0) return;
+
+        for (const userId of recipients) {
+            notificationCooldowns.set(userId, now);
         }
 
-        // If session becomes empty, clean it up
-        if (session.currentPlayers.length === 0) {
-            console.log(`🧹 Session ${sessionId.slice(-6)} is now empty, cleaning up...`);
-            await endLFGSession(sessionId, 'empty');
+        const guild = client.guilds.cache.get(session.guildId);
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+        const url = getSessionMessageUrl(session);
+        const settings = guildSettingsCache.get(session.guildId);
+
+        if (settings?.notifyMode === 'role' && settings.notifyRoleId) {
+            const channel = guild?.channels.cache.get(session.channelId);
+            await channel?.send({
+                content: `🔔 <@&${settings.notifyRoleId}> **New ${gameDisplayName} - ${session.gamemode} session!**` +
+                        ` ${session.currentPlayers.length}/${session.playersNeeded} players${url ? ` | ${url}` : ''}`,
+                allowedMentions: { roles: [settings.notifyRoleId] }
+            });
+            console.log(`🔔 Pinged notify role for session ${session.id.slice(-6)} (${recipients.length} subscriber(s) eligible)`);
             return;
         }
 
-        // Update the session message
-        await updateSessionMessage(session);
+        const content = `🔔 **New ${gameDisplayName} - ${session.gamemode} session${guild ? ` in ${guild.name}` : ''}!**\n\n` +
+            `👥 ${session.currentPlayers.length}/${session.playersNeeded} players | 👤 Hosted by <@${session.creatorId}>\n` +
+            (url ? `🔗 ${url}\n` : '') +
+            '💡 Use `/notify remove` to stop these alerts or `/notify quiet` to mute them at night';
 
-        console.log(`🚪 User ${interaction.user.username} left ${gameDisplayName} session ${sessionId.slice(-6)}`);
+        for (const userId of recipients) {
+            await notifyUser(userId, content);
+        }
+
+        console.log(`🔔 Notified ${recipients.length} subscriber(s) about session ${session.id.slice(-6)}`);
 
     } catch (error) {
-        console.error('❌ Error in handleLeaveSession:', error);
-        
-        if (!interaction.replied) {
-            await interaction.editReply({
-                content: '❌ **Failed to leave session!**\n\nSomething went wrong. Please try again.',
-            }).catch(console.error);
+        console.error(`❌ Failed to notify subscribers for session ${session.id}:`, error);
+    }
+}
+
+// Pull matching queued users into a session that has open slots
+async function pullQueuedPlayers(session) {
+    const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+
+    for (const entry of getQueueEntriesFor(session.guildId, session.game, session.gamemode)) {
+        if (session.status !== 'waiting' || isSessionFull(session)) break;
+
+        // Skip users who got into another session since they queued, or who don't meet the requirements
+        if (getJoinBlockReason(session, entry.userId)) continue;
+        if (session.requirements) {
+            const member = await client.guilds.cache.get(session.guildId)?.members.fetch(entry.userId).catch(() => null);
+            if (!member || getRequirementBlockReason(session, member)) continue;
         }
+
+        await addPlayerToSession(session, { id: entry.userId, username: entry.username });
+        await notifyUser(entry.userId,
+            `🎯 **Match found!** You've been added to a **${gameDisplayName} - ${session.gamemode}** session from the queue.\n` +
+            `👉 Head to <#${session.channelId}> to see your group.`
+        );
+
+        console.log(`🎯 Queue: moved ${entry.username} into session ${session.id.slice(-6)}`);
     }
 }
 
-// End LFG session and cleanup
-async function endLFGSession(sessionId, reason = 'manual') {
-    try {
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            console.log(`⚠️ Attempted to end non-existent session: ${sessionId}`);
-            return;
+// Move waitlisted players into open slots, in the order they joined the waitlist
+async function promoteFromWaitlist(session) {
+    const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+    const guild = client.guilds.cache.get(session.guildId);
+    let changed = false;
+
+    while (session.waitlist?.length > 0 && !isSessionFull(session) && !session.isLocked &&
+           ['waiting', 'full', 'scheduled'].includes(session.status)) {
+        const entry = session.waitlist[0];
+        changed = true;
+
+        // Skip players who found another group or no longer qualify
+        const member = await guild?.members.fetch(entry.id).catch(() => null);
+        const blockReason = getJoinBlockReason(session, entry.id) || getRequirementBlockReason(session, member);
+        await sessionRepository.update(session, { waitlist: session.waitlist.filter(waiting => waiting.id !== entry.id) });
+        if (!member || blockReason) {
+            console.log(`📋 Waitlist: skipped ${entry.username} for session ${session.id.slice(-6)}`);
+            continue;
         }
 
-        console.log(`🛑 Ending LFG session ${sessionId.slice(-6)} (reason: ${reason})`);
+        await addPlayerToSession(session, { id: entry.id, username: entry.username });
+        await notifyUser(entry.id,
+            `🎉 **A spot opened up!** You've been moved off the waitlist into the **${gameDisplayName} - ${session.gamemode}** session.\n` +
+            (session.voiceChannelId
+                ? `🔊 You now have access to <#${session.voiceChannelId}> - hop in!`
+                : `👉 Head to <#${session.channelId}> to see your group.`)
+        );
 
-        // Clean up voice channel if it exists
-        if (session.voiceChannelId) {
-            try {
-                const guild = client.guilds.cache.get(session.guildId);
-                if (guild) {
-                    const voiceChannel = guild.channels.cache.get(session.voiceChannelId);
-                    if (voiceChannel) {
-                        console.log(`🗑️ Deleting voice channel: ${voiceChannel.name}`);
-                        await voiceChannel.delete('LFG session ended');
-                        
-                        // Check if category is now empty and clean it up
-                        if (voiceChannel.parent) {
-                            await cleanupEmptyCategory(voiceChannel.parent);
-                        }
-                    }
+        console.log(`📋 Waitlist: promoted ${entry.username} into session ${session.id.slice(-6)}`);
+    }
+
+    if (changed) {
+        await updateSessionMessage(session);
+    }
+}
+
+// Fill reopened slots - the session's own waitlist goes first, then the matchmaking queue
+async function fillOpenSlots(session) {
+    await promoteFromWaitlist(session);
+    await pullQueuedPlayers(session);
+}
+
+// Create sessions from the queue whenever enough players are waiting for the same game/mode.
+// A matched group is a full session, so it goes through the ready-check and only gets voice once
+// everyone confirms. Modes without a default party size never match here - their queue waits
+// for someone to post a matching /lfg create, which pulls queued players in.
+async function tryMatchQueue(guildId, game, gamemode) {
+    const lockKey = `${guildId}:${game}:${gamemode}`;
+    if (queueMatchLocks.has(lockKey)) return;
+    queueMatchLocks.add(lockKey);
+
+    try {
+        const catalogMode = findGuildGame(guildId, game)?.modes.find(mode => mode.name === gamemode);
+        const partySize = catalogMode?.defaultPlayers;
+        if (!partySize) return;
+
+        const guild = client.guilds.cache.get(guildId);
+
+        while (true) {
+            // Drop entries for users who have since ended up in a session
+            const entries = [];
+            for (const entry of getQueueEntriesFor(guildId, game, gamemode)) {
+                if (getMembershipBlockReason(entry.userId, guildId)) {
+                    await removeFromQueue(guildId, entry.userId);
+                } else {
+                    entries.push(entry);
                 }
-            } catch (error) {
-                console.error(`❌ Failed to delete voice channel for session ${sessionId}:`, error);
             }
-        }
 
-        // Remove user session tracking for all participants
-        for (const player of session.currentPlayers) {
-            await storage.removeUserSession(player.id);
-        }
+            if (entries.length < partySize) return;
 
-        // Remove session creator tracking
-        userCreatedSessions.delete(session.creatorId);
+            const [creatorEntry, ...otherEntries] = entries.slice(0, partySize);
+            const channelId = (guild && getConfiguredLFGChannel(guild)?.id) || creatorEntry.channelId;
 
-        // Update database to mark session as inactive
-        await storage.deleteSession(sessionId);
+            const session = await createLFGSession({
+                guildId,
+                channelId,
+                creator: { id: creatorEntry.userId, username: creatorEntry.username },
+                game,
+                gamemode,
+                playersNeeded: partySize,
+                info: '🤖 Matched from the /quickjoin queue',
+                roleSlots: getModeRoleSlots(catalogMode.roles, partySize)
+            });
 
-        // Remove from active sessions
-        activeSessions.delete(sessionId);
+            await updateSessionMessage(session);
+            emitSessionEvent(session, 'session.created');
 
-        // Clear any timeouts
-        if (sessionTimeouts.has(sessionId)) {
-            clearTimeout(sessionTimeouts.get(sessionId));
-            sessionTimeouts.delete(sessionId);
+            for (const entry of otherEntries) {
+                await addPlayerToSession(session, { id: entry.userId, username: entry.username });
+            }
+
+            const gameDisplayName = getGameDisplayName(guildId, game);
+            for (const entry of entries.slice(0, partySize)) {
+                await notifyUser(entry.userId,
+                    `🎯 **Match found!** A **${gameDisplayName} - ${gamemode}** group was created from the queue.\n` +
+                    `👉 Confirm the ready-check in <#${channelId}> to get your voice channel.`
+                );
+            }
+
+            console.log(`🎯 Queue: created ${gameDisplayName} - ${gamemode} session ${session.id.slice(-6)} for ${partySize} queued players`);
         }
+    } catch (error) {
+        console.error(`❌ Error matching queue for ${lockKey}:`, error);
+    } finally {
+        queueMatchLocks.delete(lockKey);
+    }
+}
+
+// Drop queue entries that have outlived their TTL
+async function cleanupExpiredQueueEntries() {
+    const now = Date.now();
+
+    for (const entry of Array.from(queuedUsers.values())) {
+        if (new Date(entry.expiresAt).getTime() > now) continue;
 
-        // Update the session message to show it's ended
         try {
-            const guild = client.guilds.cache.get(session.guildId);
-            if (guild) {
-                const channel = guild.channels.cache.get(session.channelId);
-                if (channel && session.messageId) {
-                    const message = await channel.messages.fetch(session.messageId);
-                    if (message) {
-                        const embed = new EmbedBuilder()
-                            .setTitle(`⛔ Session Ended - ${games.find(g => g.value === session.game)?.name || session.game}`)
-                            .setColor(0x95a5a6)
-                            .setDescription('This LFG session has ended.')
-                            .setFooter({ text: `Session ID: ${sessionId.slice(-6)} | Ended` })
-                            .setTimestamp();
-
-                        await message.edit({
-                            embeds: [embed],
-                            components: []
-                        });
-                    }
-                }
-            }
+            await removeFromQueue(entry.guildId, entry.userId);
+            await notifyUser(entry.userId,
+                `⌛ **Your queue entry for ${getGameDisplayName(entry.guildId, entry.game)} - ${entry.gamemode} expired.**\n` +
+                '💡 Use `/quickjoin` with `queue: True` to queue again.'
+            );
+            console.log(`⌛ Queue entry for ${entry.username} (${entry.game} - ${entry.gamemode}) expired`);
         } catch (error) {
-            console.error(`❌ Failed to update ended session message:`, error);
+            console.error(`❌ Failed to remove expired queue entry for ${entry.userId}:`, error);
         }
+    }
+}
 
-        console.log(`✅ Successfully ended session ${sessionId.slice(-6)}`);
+// Check whether a user can join a session, returning the reason they can't (or null)
+function getJoinBlockReason(session, userId) {
+    // Check if user is already in this session
+    if (session.currentPlayers.some(player => player.id === userId)) {
+        return '✅ **You\'re already in this session!**\n\n🎮 You\'re all set to play.';
+    }
 
-    } catch (error) {
-        console.error(`❌ Error ending session ${sessionId}:`, error);
+    // Check if the creator has blocked this user
+    if ((session.blockedUsers || []).some(blocked => blocked.id === userId)) {
+        return '🚫 **You can\'t join this session!**\n\n🔍 Look for other sessions or create your own with `/lfg create`.';
     }
+
+    // Check if the creator has locked the session
+    if (session.isLocked) {
+        return '🔒 **Session is locked!**\n\nThe creator isn\'t accepting new players right now.';
+    }
+
+    // Check if session is full
+    if (isSessionFull(session)) {
+        return '❌ **Session is full!**\n\n📋 Use **Join Waitlist** to get the next open spot, or create your own with `/lfg create`.';
+    }
+
+    return getMembershipBlockReason(userId, session.guildId, session.id);
 }
 
-// Start monitoring empty voice channel for cleanup
-function startEmptyChannelMonitoring(channelId) {
-    emptyChannelTimestamps.set(channelId, Date.now());
+// Check whether a user is already tied up in another session, returning the reason (or null)
+function getMembershipBlockReason(userId, guildId, excludeSessionId = null, { countWaitlists = false } = {}) {
+    // Only sessions in this guild count towards its limit
+    const memberSessions = getMemberSessions(userId, guildId, countWaitlists).filter(s => s.id !== excludeSessionId);
+    const limit = getSessionLimit(guildId);
+
+    if (memberSessions.length < limit) return null;
+
+    if (limit === 1) {
+        const participantSession = memberSessions[0];
+        const gameDisplayName = getGameDisplayName(participantSession.guildId, participantSession.game);
+        const waitlisted = !participantSession.currentPlayers.some(player => player.id === userId);
+        return (waitlisted ? '❌ **You\'re already on another session\'s waitlist!**\n\n' : '❌ **You\'re already in another LFG session!**\n\n') +
+               `🎮 Currently ${waitlisted ? 'waiting for' : 'in'}: **${gameDisplayName}** - ${participantSession.gamemode}\n` +
+               '💡 Leave that session first to join or create another one';
+    }
+
+    return `❌ **You're already in ${memberSessions.length} LFG sessions here${countWaitlists ? ' (counting waitlists)' : ''}!**\n\n` +
+           `🎮 This server allows up to **${limit}** at a time\n` +
+           '💡 Leave one of them first to join or create another one';
 }
 
-// Stop monitoring voice channel
-function stopEmptyChannelMonitoring(channelId) {
-    emptyChannelTimestamps.delete(channelId);
+// Get a guild's limit on how many sessions one user can be in at once
+function getSessionLimit(guildId) {
+    return guildSettingsCache.get(guildId)?.maxSessionsPerUser || DEFAULT_SESSIONS_PER_USER;
 }
 
-// Clean up empty categories
-async function cleanupEmptyCategory(category) {
-    try {
-        if (!category || category.children.cache.size > 0) {
-            return; // Category not empty
-        }
+// Get the active sessions in a guild that a user is playing in (or waitlisted for, if asked)
+function getMemberSessions(userId, guildId, includeWaitlists = false) {
+    return Array.from(activeSessions.values()).filter(session =>
+        session.guildId === guildId && (
+            session.currentPlayers.some(player => player.id === userId) ||
+            (includeWaitlists && (session.waitlist || []).some(entry => entry.id === userId))
+        )
+    );
+}
 
-        console.log(`🗑️ Cleaning up empty category: ${category.name}`);
-        await category.delete('Empty game category cleanup');
-        console.log(`✅ Deleted empty category: ${category.name}`);
+// Get the active sessions in a guild that a user owns, newest first
+function getOwnedSessions(userId, guildId) {
+    return Array.from(activeSessions.values())
+        .filter(session => session.guildId === guildId && session.creatorId === userId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
 
-    } catch (error) {
-        console.error(`❌ Failed to cleanup category ${category?.name}:`, error);
-    }
+// Build a select menu for choosing one of a user's sessions
+function createSessionPicker(customId, sessions, placeholder) {
+    return new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId(customId)
+            .setPlaceholder(placeholder)
+            .addOptions(sessions.slice(0, 25).map(session => ({
+                label: `${getGameDisplayName(session.guildId, session.game)} - ${session.gamemode}`.substring(0, 100),
+                description: `Session ${session.id.slice(-6)} | ${session.currentPlayers.length}/${session.playersNeeded} players`,
+                value: session.id
+            })))
+    );
 }
 
-// Cleanup expired sessions and empty channels
-async function cleanupExpiredSessions() {
-    try {
-        const now = Date.now();
-        const sessionsToEnd = [];
+// Add a player to a session - the single join path shared by the Join button and /quickjoin
+async function addPlayerToSession(session, user, role = null) {
+    const wasFull = isSessionFull(session);
+    const currentPlayers = [...session.currentPlayers, {
+        id: user.id,
+        username: user.username,
+        joinedAt: new Date().toISOString(),
+        // Players who didn't pick a role take the first open slot
+        ...(session.roleSlots ? { role: role || getOpenRoles(session)[0] } : {})
+    }];
+    const fills = isSessionFull({ ...session, currentPlayers });
+
+    // Remember when the group first filled up, for the session history
+    const changes = { currentPlayers };
+    if (!session.filledAt && fills) {
+        changes.filledAt = new Date().toISOString();
+    }
 
-        // Check for expired sessions
-        for (const [sessionId, session] of activeSessions) {
-            const sessionAge = now - new Date(session.createdAt).getTime();
-            const maxAge = 20 * 60 * 1000; // 20 minutes
+    // The group is already in voice - a replacement slots straight in
+    if (session.status === 'waiting' && fills && session.voiceChannelId) {
+        changes.status = 'full';
+    }
 
-            if (sessionAge > maxAge) {
-                console.log(`⏰ Session ${sessionId.slice(-6)} expired (${Math.round(sessionAge / 60000)} minutes old)`);
-                sessionsToEnd.push(sessionId);
-            }
-        }
+    // Roster, fill time and membership row are committed together
+    await sessionRepository.addPlayer(session, user.id, changes);
+    await removeFromQueue(session.guildId, user.id);
 
-        // End expired sessions
-        for (const sessionId of sessionsToEnd) {
-            await endLFGSession(sessionId, 'expired');
-        }
+    // A newly full session starts its ready-check (scheduled sessions wait for their start time)
+    if (session.status === 'waiting' && isSessionFull(session)) {
+        await startReadyCheck(session);
+    }
 
-        // Check for empty voice channels
-        for (const [channelId, timestamp] of emptyChannelTimestamps) {
-            const emptyDuration = now - timestamp;
-            const maxEmptyTime = 60000; // 1 minute
+    // Let the new player into an already open voice channel
+    await syncVoiceChannelPermissions(session);
 
-            if (emptyDuration > maxEmptyTime) {
-                try {
-                    const channel = client.channels.cache.get(channelId);
-                    if (channel && channel.members.size === 0) {
-                        console.log(`🗑️ Cleaning up empty voice channel: ${channel.name}`);
-                        
-                        const category = channel.parent;
-                        await channel.delete('Empty voice channel cleanup');
-                        
-                        // Clean up category if now empty
-                        if (category) {
-                            await cleanupEmptyCategory(category);
-                        }
-                        
-                        emptyChannelTimestamps.delete(channelId);
-                    } else {
-                        // Channel has members, stop monitoring
-                        emptyChannelTimestamps.delete(channelId);
-                    }
-                } catch (error) {
-                    console.error(`❌ Error cleaning up channel ${channelId}:`, error);
-                    emptyChannelTimestamps.delete(channelId);
-                }
-            }
-        }
+    // Update the session message
+    await updateSessionMessage(session);
 
-    } catch (error) {
-        console.error('❌ Error in cleanup function:', error);
+    const player = session.currentPlayers.find(p => p.id === user.id);
+    emitSessionEvent(session, 'player.joined', { player: { id: player.id, username: player.username, role: player.role || null } });
+    if (!wasFull && isSessionFull(session)) {
+        emitSessionEvent(session, 'session.full');
+    }
+}
+
+// Take a player off a session's roster - shared by Leave/Decline and the creator's kick and block actions
+async function removePlayerFromSession(session, userId, reason = 'left') {
+    const removed = session.currentPlayers.find(player => player.id === userId);
+    const changes = { currentPlayers: session.currentPlayers.filter(player => player.id !== userId) };
+
+    // A player dropping out cancels any running ready-check, and a full session reopens
+    if (session.status === 'confirming') {
+        clearReadyCheckTimeout(session.id);
+        Object.assign(changes, getReadyCheckResetChanges());
+    } else if (session.status === 'full' && !isSessionFull({ ...session, currentPlayers: changes.currentPlayers })) {
+        changes.status = 'waiting';
+    }
+
+    // Roster, status and membership row are committed together
+    await sessionRepository.removePlayers(session, [userId], changes);
+
+    if (removed) {
+        emitSessionEvent(session, 'player.left', { player: { id: removed.id, username: removed.username, role: removed.role || null }, reason });
     }
 }
 
-// Save session data to database before shutdown
-async function saveSessionData() {
+// Make a session's voice channel overwrites match its roster: grant players access, revoke everyone else
+async function syncVoiceChannelPermissions(session) {
+    if (!session.voiceChannelId) return;
+
     try {
-        console.log('💾 Saving session data to database...');
-        
-        for (const [sessionId, session] of activeSessions) {
-            await storage.updateSession(sessionId, {
-                currentPlayers: session.currentPlayers,
-                status: session.status,
-                voiceChannelId: session.voiceChannelId,
-                updatedAt: new Date()
-            });
+        const guild = client.guilds.cache.get(session.guildId);
+        const voiceChannel = guild?.channels.cache.get(session.voiceChannelId);
+        if (!voiceChannel) return;
+
+        const rosterIds = new Set(session.currentPlayers.map(player => player.id));
+
+        // Revoke access for members who are no longer on the roster
+        const revokedIds = [];
+        for (const overwrite of voiceChannel.permissionOverwrites.cache.values()) {
+            if (overwrite.type === OverwriteType.Member && overwrite.id !== client.user.id && !rosterIds.has(overwrite.id)) {
+                await overwrite.delete('LFG Bot: Player removed from session');
+                revokedIds.push(overwrite.id);
+            }
         }
-        
-        console.log(`✅ Saved ${activeSessions.size} sessions to database`);
+
+        // Removed players still in the channel get disconnected
+        for (const memberId of revokedIds) {
+            const member = voiceChannel.members.get(memberId);
+            if (member) {
+                await member.voice.disconnect('LFG Bot: Player removed from session').catch(error =>
+                    console.error(`❌ Failed to disconnect ${memberId} from voice:`, error.message)
+                );
+            }
+        }
+
+        // Grant access to everyone on the roster
+        for (const player of session.currentPlayers) {
+            const overwrite = voiceChannel.permissionOverwrites.cache.get(player.id);
+            if (!overwrite || !overwrite.allow.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect])) {
+                await voiceChannel.permissionOverwrites.edit(player.id, { ViewChannel: true, Connect: true }, {
+                    reason: 'LFG Bot: Player joined session'
+                });
+            }
+        }
+
     } catch (error) {
-        console.error('❌ Error saving session data:', error);
+        console.error(`❌ Failed to sync voice permissions for session ${session.id.slice(-6)}:`, error);
     }
 }
 
-// Load session data from database on startup
-async function loadSessionData() {
+// Kick off a scheduled session once its start time arrives
+async function startScheduledSession(session) {
     try {
-        console.log('💾 Loading persistent sessions from database...');
-        
-        const dbSessions = await storage.getActiveSessions();
-        console.log(`📋 Found ${dbSessions.length} active sessions in database`);
-        
-        let restoredSessions = 0;
-        let cleanedSessions = 0;
-        
-        for (const dbSession of dbSessions) {
-            // Check if session is expired
-            const sessionAge = Date.now() - new Date(dbSession.createdAt).getTime();
-            const maxAge = 20 * 60 * 1000; // 20 minutes
-            
-            if (sessionAge > maxAge) {
-                // Session expired, mark as inactive
-                await storage.deleteSession(dbSession.id);
-                cleanedSessions++;
-                continue;
-            }
-            
-            // Restore session to memory
-            const session = {
-                id: dbSession.id,
-                creatorId: dbSession.creatorId,
-                guildId: dbSession.guildId,
-                channelId: dbSession.channelId,
-                messageId: dbSession.messageId,
-                game: dbSession.game,
-                gamemode: dbSession.gamemode,
-                playersNeeded: dbSession.playersNeeded,
-                info: dbSession.info,
-                status: dbSession.status,
-                currentPlayers: dbSession.currentPlayers || [],
-                confirmedPlayers: dbSession.confirmedPlayers || [],
-                voiceChannelId: dbSession.voiceChannelId,
-                confirmationStartTime: dbSession.confirmationStartTime,
-                createdAt: dbSession.createdAt,
-                updatedAt: dbSession.updatedAt
-            };
-            
-            activeSessions.set(session.id, session);
-            userCreatedSessions.set(session.creatorId, session.id);
-            
-            // Restore user session tracking
-            for (const player of session.currentPlayers) {
-                await storage.setUserSession(player.id, session.id);
+        const isFull = isSessionFull(session);
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+
+        console.log(`📅 Scheduled session ${session.id.slice(-6)} is starting (${session.currentPlayers.length}/${session.playersNeeded} signed up)`);
+
+        // Back to recruiting - a full roster goes through the ready-check below like any other full session
+        await sessionRepository.update(session, { status: 'waiting' });
+
+        // Ping the roster in the channel and by DM
+        const channel = client.channels.cache.get(session.channelId);
+        if (channel) {
+            const mentions = session.currentPlayers.map(player => `<@${player.id}>`).join(' ');
+            await channel.send({
+                content: `📅 ${mentions}\n**Your scheduled ${gameDisplayName} - ${session.gamemode} session is starting now!**` +
+                        (isFull
+                            ? '\n✅ Press **Confirm** on the session to get your voice channel.'
+                            : `\n👥 Still looking for ${session.playersNeeded - session.currentPlayers.length} more player(s).`)
+            }).catch(error => console.error('❌ Failed to ping scheduled session roster:', error));
+        }
+
+        for (const player of session.currentPlayers) {
+            try {
+                const user = await client.users.fetch(player.id);
+                await user.send({
+                    content: `📅 **Your ${gameDisplayName} - ${session.gamemode} session is starting now!**\n👉 Join your group in <#${session.channelId}>.`
+                });
+            } catch (error) {
+                console.error(`❌ Failed to DM ${player.id} about scheduled session:`, error.message);
             }
-            
-            restoredSessions++;
         }
-        
-        // Load guild settings
-        console.log('📋 Loading guild settings...');
-        // Note: Guild settings loading would go here if implemented
-        console.log(`📋 Loaded settings for ${guildSettingsCache.size} guilds`);
-        
-        console.log('✅ Session restoration complete:');
-        console.log(`   🔄 Restored: ${restoredSessions} active sessions`);
-        console.log(`   🧹 Cleaned: ${cleanedSessions} expired sessions`);
-        
+
+        // Voice only opens once everyone confirms; an unfilled session keeps recruiting and
+        // starts its ready-check when the waitlist or matchmaking queue fills it
+        if (isFull) {
+            await startReadyCheck(session);
+        } else {
+            await fillOpenSlots(session);
+        }
+
+        await updateSessionMessage(session);
+
     } catch (error) {
-        console.error('❌ Error loading session data:', error);
+        console.error(`❌ Failed to start scheduled session ${session.id}:`, error);
     }
 }
 
-// Discord event handlers
-client.once('ready', async () => {
-    console.log(`🚀 ${client.user.tag} Bot is online! Logged in as ${client.user.tag}`);
-    console.log(`🎮 Serving ${client.guilds.cache.size} servers with premium LFG features`);
-    
-    // Load persistent session data
-    await loadSessionData();
-    
-    // Register slash commands
-    const commands = [
-        new SlashCommandBuilder()
-            .setName('lfg')
-            .setDescription('Create a Looking for Group session')
-            .addStringOption(option =>
-                option.setName('game')
-                    .setDescription('Select the game you want to play')
-                    .setRequired(true)
-                    .addChoices(...games))
-            .addStringOption(option =>
-                option.setName('gamemode')
-                    .setDescription('Select the game mode')
-                    .setRequired(true)
-                    .setAutocomplete(true))
-            .addIntegerOption(option =>
-                option.setName('players')
-                    .setDescription('Number of players needed (including yourself)')
-                    .setRequired(true)
-                    .setMinValue(2)
-                    .setMaxValue(10))
-            .addStringOption(option =>
-                option.setName('info')
-                    .setDescription('Additional information about your session')
-                    .setRequired(false)
-                    .setMaxLength(200)),
-        
-        new SlashCommandBuilder()
-            .setName('quickjoin')
-            .setDescription('Instantly join an available LFG session')
-            .addStringOption(option =>
-                option.setName('game')
-                    .setDescription('Game you want to join')
-                    .setRequired(true)
-                    .addChoices(...games))
-            .addStringOption(option =>
-                option.setName('gamemode')
-                    .setDescription('Game mode you want to join')
-                    .setRequired(true)
-                    .setAutocomplete(true)),
-        
-        new SlashCommandBuilder()
-            .setName('endlfg')
-            .setDescription('End your current LFG session'),
-        
-        new SlashCommandBuilder()
-            .setName('help')
-            .setDescription('Show bot commands and features')
-    ];
+// Start every scheduled session whose time has come
+async function startDueScheduledSessions() {
+    const now = Date.now();
 
-    try {
-        console.log('Started refreshing application (/) commands.');
-        await client.application.commands.set(commands);
-        console.log('Successfully reloaded application (/) commands.');
-    } catch (error) {
-        console.error('Error registering commands:', error);
+    for (const session of Array.from(activeSessions.values())) {
+        if (session.status === 'scheduled' && new Date(session.scheduledFor).getTime() <= now) {
+            await startScheduledSession(session);
+        }
     }
-    
-    console.log('🎯 Bot ready and operational!');
-});
+}
 
-// Handle autocomplete interactions
-client.on('interactionCreate', async (interaction) => {
-    if (!interaction.isAutocomplete()) return;
+// Check a template schedule: standard 5-field cron that fires at most once an hour
+function isValidTemplateSchedule(expression) {
+    const fields = expression.trim().split(/\s+/);
+    return fields.length === 5 && /^\d{1,2}$/.test(fields[0]) && Number(fields[0]) < 60 && cron.validate(expression);
+}
 
-    if (interaction.commandName === 'lfg' || interaction.commandName === 'quickjoin') {
-        const focusedOption = interaction.options.getFocused(true);
-        
-        if (focusedOption.name === 'gamemode') {
-            const selectedGame = interaction.options.getString('game');
-            const modes = gameModes[selectedGame] || [];
-            
-            const filtered = modes.filter(mode =>
-                mode.toLowerCase().includes(focusedOption.value.toLowerCase())
-            );
+// Register (or re-register) the cron task for a recurring template
+function scheduleTemplate(template) {
+    unscheduleTemplate(template.id);
+    if (template.isPaused) return;
 
-            await interaction.respond(
-                filtered.slice(0, 25).map(mode => ({ name: mode, value: mode }))
-            );
-        }
+    const task = cron.schedule(template.cronExpression, () => postTemplateSession(template.id), {
+        timezone: template.timezone,
+        name: `template-${template.id}`
+    });
+
+    templateTasks.set(template.id, task);
+}
+
+// Stop the cron task for a recurring template
+function unscheduleTemplate(templateId) {
+    const task = templateTasks.get(templateId);
+    if (task) {
+        task.destroy();
+        templateTasks.delete(templateId);
     }
-});
+}
 
-// Handle slash command interactions with enhanced error handling
-client.on('interactionCreate', async (interaction) => {
-    if (!interaction.isChatInputCommand()) return;
+// Get the next time (Date) a template will post, if it's active
+function getTemplateNextRun(template) {
+    return templateTasks.get(template.id)?.getNextRun() || null;
+}
 
+// Post a fresh session from a recurring template
+async function postTemplateSession(templateId) {
     try {
-        if (interaction.commandName === 'lfg') {
-            await handleLFGCommand(interaction);
-        } else if (interaction.commandName === 'quickjoin') {
-            await handleQuickJoinCommand(interaction);
-        } else if (interaction.commandName === 'endlfg') {
-            await handleEndLFGCommand(interaction);
-        } else if (interaction.commandName === 'help') {
-            await handleHelpCommand(interaction);
+        const template = sessionTemplatesCache.get(templateId);
+        if (!template || template.isPaused) return;
+
+        const guild = client.guilds.cache.get(template.guildId);
+        const channel = guild?.channels.cache.get(template.channelId);
+        if (!channel) {
+            console.error(`❌ Template ${templateId}: channel ${template.channelId} is gone, skipping`);
+            return;
         }
-    } catch (error) {
-        console.error(`❌ Error handling command ${interaction.commandName}:`, error);
-        
-        if (!interaction.replied && !interaction.deferred) {
-            await interaction.reply({
-                content: '❌ **Something went wrong!**\n\nPlease try again. If the problem persists, contact support.',
-                flags: 64
-            }).catch(console.error);
-        } else if (interaction.deferred) {
-            await interaction.editReply({
-                content: '❌ **Something went wrong!**\n\nPlease try again. If the problem persists, contact support.'
-            }).catch(console.error);
+
+        // The creator leads the session, so they must be free
+        if (getMembershipBlockReason(template.creatorId, template.guildId)) {
+            console.log(`⏭️ Template ${templateId}: creator is already in a session, skipping this occurrence`);
+            return;
         }
-    }
-});
 
-// Handle button interactions with enhanced error handling
-client.on('interactionCreate', async (interaction) => {
-    if (!interaction.isButton()) return;
+        const creator = await client.users.fetch(template.creatorId);
+        const modeRoles = findGuildGame(template.guildId, template.game)?.modes.find(mode => mode.name === template.gamemode)?.roles;
+        const roleSlots = getModeRoleSlots(modeRoles, template.playersNeeded);
+        const session = await createLFGSession({
+            guildId: template.guildId,
+            channelId: template.channelId,
+            creator,
+            game: template.game,
+            gamemode: template.gamemode,
+            playersNeeded: template.playersNeeded,
+            info: template.info,
+            roleSlots
+        });
 
-    const [action, sessionId] = interaction.customId.split('_');
+        await updateSessionMessage(session);
+        emitSessionEvent(session, 'session.created');
+        await pullQueuedPlayers(session);
+
+        const updatedTemplate = await storage.updateSessionTemplate(templateId, { lastPostedAt: new Date() });
+        sessionTemplatesCache.set(templateId, updatedTemplate);
+
+        console.log(`🔁 Template ${templateId} posted ${getGameDisplayName(template.guildId, template.game)} session ${session.id.slice(-6)}`);
+
+    } catch (error) {
+        console.error(`❌ Failed to post session for template ${templateId}:`, error);
+    }
+}
 
+// Handle user joining session
+async function handleJoinSession(interaction, sessionId, role = null) {
     try {
-        if (action === 'join') {
-            await handleJoinSession(interaction, sessionId);
-        } else if (action === 'leave') {
-            await handleLeaveSession(interaction, sessionId);
+        await interaction.deferReply({ flags: 64 });
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return interaction.editReply({
+                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
+            });
+        }
+
+        const blockReason = getJoinBlockReason(session, interaction.user.id)
+            || getRequirementBlockReason(session, interaction.member);
+        if (blockReason) {
+            return interaction.editReply({ content: blockReason });
+        }
+
+        // Role sessions assign a specific slot - the Join button only picks one when a single role is open
+        if (session.roleSlots) {
+            const openRoles = getOpenRoles(session);
+            if (role && !openRoles.includes(role)) {
+                return interaction.editReply({
+                    content: `❌ **The ${role} slot is already taken!**\n\n🎭 Still open: ${openRoles.join(', ')}`
+                });
+            }
+            if (!role && openRoles.length > 1) {
+                return interaction.editReply({
+                    content: `🎭 **Pick your role!**\n\nUse the role menu under the session to join as ${openRoles.join(', ')}.`
+                });
+            }
+            role = role || openRoles[0];
         }
+
+        await addPlayerToSession(session, interaction.user, role);
+
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+
+        await interaction.editReply({
+            content: `✅ **Successfully joined ${gameDisplayName}!**\n\n` +
+                    `🎮 **Game:** ${gameDisplayName} - ${session.gamemode}\n` +
+                    (role ? `🎭 **Role:** ${role}\n` : '') +
+                    `👥 **Players:** ${session.currentPlayers.length}/${session.playersNeeded}\n` +
+                    `👤 **Session Creator:** <@${session.creatorId}>`,
+        });
+
+        console.log(`🎮 User ${interaction.user.username} joined ${gameDisplayName} session ${sessionId.slice(-6)}`);
+
     } catch (error) {
-        console.error(`❌ Error handling button interaction ${action}:`, error);
+        console.error('❌ Error in handleJoinSession:', error);
         
-        if (!interaction.replied && !interaction.deferred) {
-            await interaction.reply({
-                content: '❌ **Action failed!**\n\nPlease try again.',
-                flags: 64
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to join session!**\n\nSomething went wrong. Please try again.',
             }).catch(console.error);
         }
     }
-});
+}
 
-// Handle voice state updates for channel monitoring
-client.on('voiceStateUpdate', (oldState, newState) => {
+// 📋 Handle Join Waitlist Button
+async function handleJoinWaitlist(interaction, sessionId) {
     try {
-        // Check if someone left a voice channel
-        if (oldState.channelId && oldState.channelId !== newState.channelId) {
-            const oldChannel = oldState.channel;
-            if (oldChannel && oldChannel.members.size === 0) {
-                // Channel is now empty, start monitoring
-                startEmptyChannelMonitoring(oldChannel.id);
+        await interaction.deferReply({ flags: 64 });
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return interaction.editReply({
+                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
+            });
+        }
+
+        const userId = interaction.user.id;
+        session.waitlist = session.waitlist || [];
+
+        if (session.waitlist.some(entry => entry.id === userId)) {
+            const position = session.waitlist.findIndex(entry => entry.id === userId) + 1;
+            return interaction.editReply({
+                content: `📋 **You're already on the waitlist** at position **${position}**.\n\n🚪 Use **Leave Session** to leave it.`,
+            });
+        }
+
+        // A spot may have opened since the message was rendered
+        if (!isSessionFull(session)) {
+            return interaction.editReply({
+                content: '🎮 **A spot just opened up!**\n\nPress **Join Session** on the session to grab it.',
+            });
+        }
+
+        if (session.currentPlayers.some(player => player.id === userId)) {
+            return interaction.editReply({
+                content: '✅ **You\'re already in this session!**\n\n🎮 You\'re all set to play.',
+            });
+        }
+
+        if (session.blockedUsers?.some(blocked => blocked.id === userId) || session.isLocked) {
+            return interaction.editReply({
+                content: '🚫 **You can\'t join this session\'s waitlist!**',
+            });
+        }
+
+        if (session.waitlist.length >= MAX_WAITLIST_SIZE) {
+            return interaction.editReply({
+                content: `📋 **The waitlist is full!**\n\nIt already has ${MAX_WAITLIST_SIZE} players - look for another session or create your own with \`/lfg create\`.`,
+            });
+        }
+
+        // Waitlist spots count towards the session limit, so nobody waits on more groups than they could play in
+        const blockReason = getMembershipBlockReason(userId, session.guildId, session.id, { countWaitlists: true })
+            || getRequirementBlockReason(session, interaction.member);
+        if (blockReason) {
+            return interaction.editReply({ content: blockReason });
+        }
+
+        await sessionRepository.update(session, {
+            waitlist: [...session.waitlist, {
+                id: userId,
+                username: interaction.user.username,
+                joinedAt: new Date().toISOString()
+            }]
+        });
+        await updateSessionMessage(session);
+
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+
+        await interaction.editReply({
+            content: `📋 **You're on the ${gameDisplayName} waitlist!**\n\n` +
+                    `📍 **Position:** ${session.waitlist.length}\n` +
+                    '📨 You\'ll get a DM and voice access as soon as a spot opens up.',
+        });
+
+        console.log(`📋 User ${interaction.user.username} joined the waitlist for session ${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('❌ Error in handleJoinWaitlist:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to join the waitlist!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// Handle user confirming the ready-check
+async function handleConfirmSession(interaction, sessionId) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return interaction.editReply({
+                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
+            });
+        }
+
+        const userId = interaction.user.id;
+
+        if (!session.currentPlayers.some(player => player.id === userId)) {
+            return interaction.editReply({
+                content: '❌ **You\'re not in this session!**\n\n🔍 Only players in the group can confirm.',
+            });
+        }
+
+        if (session.status !== 'confirming') {
+            return interaction.editReply({
+                content: '❌ **No ready-check in progress!**\n\nThis session isn\'t waiting for confirmations.',
+            });
+        }
+
+        if (session.confirmedPlayers.includes(userId)) {
+            return interaction.editReply({
+                content: '✅ **You\'ve already confirmed!**\n\n⏳ Waiting for the rest of the group.',
+            });
+        }
+
+        await sessionRepository.update(session, { confirmedPlayers: [...session.confirmedPlayers, userId] });
+
+        const remaining = session.currentPlayers.length - session.confirmedPlayers.length;
+        await interaction.editReply({
+            content: remaining > 0
+                ? `✅ **Confirmed!**\n\n⏳ Waiting for ${remaining} more player(s) to confirm.`
+                : '✅ **Confirmed!**\n\n🔊 Everyone is ready - creating your voice channel...',
+        });
+
+        console.log(`✅ User ${interaction.user.username} confirmed session ${sessionId.slice(-6)} (${session.confirmedPlayers.length}/${session.currentPlayers.length})`);
+
+        if (remaining <= 0) {
+            await completeReadyCheck(session);
+        }
+
+        await updateSessionMessage(session);
+
+    } catch (error) {
+        console.error('❌ Error in handleConfirmSession:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to confirm!**\n\nSomething went wrong. Please try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// Handle the creator extending their session
+async function handleExtendSession(interaction, sessionId) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return interaction.editReply({
+                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
+            });
+        }
+
+        if (interaction.user.id !== session.creatorId) {
+            return interaction.editReply({
+                content: '❌ **Only the session creator can extend it!**',
+            });
+        }
+
+        const maxExpiry = getSessionMaxExpiry(session);
+        if (getSessionExpiry(session) >= maxExpiry) {
+            return interaction.editReply({
+                content: `❌ **This session can't be extended any further!**\n\n⏰ Sessions here can last up to **${getSessionLifetime(session.guildId).maxMinutes} minutes**.`,
+            });
+        }
+
+        const newExpiry = Math.min(
+            Math.max(getSessionExpiry(session), Date.now()) + SESSION_EXTEND_MINUTES * 60 * 1000,
+            maxExpiry
+        );
+
+        await sessionRepository.update(session, { expiresAt: new Date(newExpiry).toISOString() });
+        scheduleSessionExpiry(session);
+
+        await interaction.editReply({
+            content: `✅ **Session extended!**\n\n⏰ It now expires <t:${Math.floor(newExpiry / 1000)}:R>.`,
+        });
+
+        await updateSessionMessage(session);
+
+        console.log(`⏰ User ${interaction.user.username} extended session ${sessionId.slice(-6)} until ${session.expiresAt}`);
+
+    } catch (error) {
+        console.error('❌ Error in handleExtendSession:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to extend session!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// Build the creator-only management panel for a session
+function createManagePanel(session) {
+    const rows = [];
+    const otherPlayers = session.currentPlayers
+        .filter(player => player.id !== session.creatorId)
+        .slice(0, 25)
+        .map(player => ({ label: player.username || player.id, value: player.id }));
+
+    if (otherPlayers.length > 0) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`kick_${session.id}`)
+                .setPlaceholder('👢 Kick a player')
+                .addOptions(otherPlayers)
+        ));
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`transfer_${session.id}`)
+                .setPlaceholder('👑 Transfer ownership')
+                .addOptions(otherPlayers)
+        ));
+    }
+
+    rows.push(new ActionRowBuilder().addComponents(
+        new UserSelectMenuBuilder()
+            .setCustomId(`block_${session.id}`)
+            .setPlaceholder('🚫 Block a user from this session')
+    ));
+
+    const blockedUsers = session.blockedUsers || [];
+    if (blockedUsers.length > 0) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`unblock_${session.id}`)
+                .setPlaceholder('✅ Unblock a user')
+                .addOptions(blockedUsers.slice(0, 25).map(user => ({ label: user.username || user.id, value: user.id })))
+        ));
+    }
+
+    rows.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`lock_${session.id}`)
+            .setLabel(session.isLocked ? 'Unlock Session' : 'Lock Session')
+            .setStyle(session.isLocked ? ButtonStyle.Success : ButtonStyle.Secondary)
+            .setEmoji(session.isLocked ? '🔓' : '🔒')
+    ));
+
+    return rows;
+}
+
+// ⚙️ Handle Manage Button - opens the creator's management panel
+async function handleManageSession(interaction, sessionId) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return interaction.editReply({
+                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
+            });
+        }
+
+        if (interaction.user.id !== session.creatorId) {
+            return interaction.editReply({
+                content: '❌ **Only the session creator can manage it!**',
+            });
+        }
+
+        await interaction.editReply({
+            content: `⚙️ **Manage your ${getGameDisplayName(session.guildId, session.game)} session**\n\n` +
+                    'Kick or block players, lock the session to new joins, or hand it over to another player before you leave.',
+            components: createManagePanel(session)
+        });
+
+    } catch (error) {
+        console.error('❌ Error in handleManageSession:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to open the management panel!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// 🛡️ Handle a creator action from the management panel
+async function handleModerationAction(interaction, action, sessionId) {
+    try {
+        await interaction.deferUpdate();
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return interaction.editReply({
+                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
+                components: []
+            });
+        }
+
+        if (interaction.user.id !== session.creatorId) {
+            return interaction.editReply({
+                content: '❌ **Only the session creator can manage it!**',
+                components: []
+            });
+        }
+
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+        const targetId = interaction.values?.[0];
+        const target = session.currentPlayers.find(player => player.id === targetId);
+        let result;
+
+        if (action === 'kick') {
+            if (!target) {
+                result = '❌ **That player is no longer in the session.**';
+            } else {
+                await removePlayerFromSession(session, targetId, 'kicked');
+                await notifyUser(targetId, `👢 You were removed from the **${gameDisplayName} - ${session.gamemode}** session by its creator.`);
+                result = `👢 **Kicked <@${targetId}>.** They can rejoin unless you block them.`;
+            }
+
+        } else if (action === 'block') {
+            const targetUser = interaction.users.get(targetId);
+            if (targetId === session.creatorId || targetUser?.bot) {
+                result = '❌ **You can\'t block that user.**';
+            } else if ((session.blockedUsers || []).some(blocked => blocked.id === targetId)) {
+                result = `🚫 **<@${targetId}> is already blocked.**`;
+            } else {
+                await sessionRepository.update(session, {
+                    blockedUsers: [...(session.blockedUsers || []), { id: targetId, username: targetUser?.username }],
+                    waitlist: (session.waitlist || []).filter(entry => entry.id !== targetId)
+                });
+
+                if (target) {
+                    await removePlayerFromSession(session, targetId, 'blocked');
+                    await notifyUser(targetId, `🚫 You were removed from the **${gameDisplayName} - ${session.gamemode}** session by its creator.`);
+                }
+                result = `🚫 **Blocked <@${targetId}>** from joining this session.`;
+            }
+
+        } else if (action === 'unblock') {
+            await sessionRepository.update(session, {
+                blockedUsers: (session.blockedUsers || []).filter(blocked => blocked.id !== targetId)
+            });
+            result = `✅ **Unblocked <@${targetId}>.** They can join again.`;
+
+        } else if (action === 'transfer') {
+            if (!target) {
+                result = '❌ **That player is no longer in the session.**';
+            } else {
+                await sessionRepository.update(session, { creatorId: targetId });
+
+                await notifyUser(targetId, `👑 You're now the creator of the **${gameDisplayName} - ${session.gamemode}** session - use **Manage** on the session post to run it.`);
+                await updateSessionMessage(session);
+
+                console.log(`👑 User ${interaction.user.username} transferred session ${sessionId.slice(-6)} to ${target.username}`);
+
+                return interaction.editReply({
+                    content: `👑 **<@${targetId}> now owns this session.**\n\n🚪 You can leave without ending it.`,
+                    components: []
+                });
+            }
+
+        } else if (action === 'lock') {
+            await sessionRepository.update(session, { isLocked: !session.isLocked });
+            result = session.isLocked
+                ? '🔒 **Session locked.** Nobody new can join until you unlock it.'
+                : '🔓 **Session unlocked.** Players can join again.';
+        }
+
+        await syncVoiceChannelPermissions(session);
+        await updateSessionMessage(session);
+
+        // Reopened slots can fill straight from the waitlist and matchmaking queue
+        if (!session.isLocked) {
+            await fillOpenSlots(session);
+        }
+
+        console.log(`🛡️ User ${interaction.user.username} used ${action} on session ${sessionId.slice(-6)}${targetId ? ` (target ${targetId})` : ''}`);
+
+        await interaction.editReply({
+            content: result,
+            components: createManagePanel(session)
+        });
+
+    } catch (error) {
+        console.error('❌ Error in handleModerationAction:', error);
+        
+        await interaction.editReply({
+            content: '❌ **Action failed!**\n\nPlease try again.',
+            components: []
+        }).catch(console.error);
+    }
+}
+
+// Handle user leaving session
+async function handleLeaveSession(interaction, sessionId) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return interaction.editReply({
+                content: '❌ **Session not found!**\n\nThis LFG session may have expired or been deleted.',
+            });
+        }
+
+        const userId = interaction.user.id;
+
+        // Waitlisted users leave the waitlist instead
+        if ((session.waitlist || []).some(entry => entry.id === userId)) {
+            await sessionRepository.update(session, { waitlist: session.waitlist.filter(entry => entry.id !== userId) });
+            await updateSessionMessage(session);
+
+            return interaction.editReply({
+                content: '✅ **You left the waitlist.**',
+            });
+        }
+
+        // Check if user is in this session
+        const playerIndex = session.currentPlayers.findIndex(player => player.id === userId);
+        if (playerIndex === -1) {
+            return interaction.editReply({
+                content: '❌ **You\'re not in this session!**\n\n🔍 You can only leave sessions you\'ve joined.',
+            });
+        }
+
+        // Remove user from session
+        await removePlayerFromSession(session, userId);
+
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+
+        await interaction.editReply({
+            content: `✅ **Successfully left ${gameDisplayName} session!**\n\n` +
+                    '🔍 You can now join other sessions or create your own.',
+        });
+
+        // If session becomes empty, clean it up - checked first so a creator leaving alone counts as everyone leaving
+        if (session.currentPlayers.length === 0) {
+            console.log(`🧹 Session ${sessionId.slice(-6)} is now empty, cleaning up...`);
+            await endLFGSession(sessionId, 'empty');
+            return;
+        }
+
+        // If this was the session creator leaving, end the session (ownership can be handed over first via Manage)
+        if (userId === session.creatorId) {
+            console.log(`👤 Session creator left session ${sessionId.slice(-6)}, ending session...`);
+            await endLFGSession(sessionId, 'creator_left');
+            return;
+        }
+
+        // Revoke their voice access and reopen the slot
+        await syncVoiceChannelPermissions(session);
+        await updateSessionMessage(session);
+        await fillOpenSlots(session);
+
+        console.log(`🚪 User ${interaction.user.username} left ${gameDisplayName} session ${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('❌ Error in handleLeaveSession:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to leave session!**\n\nSomething went wrong. Please try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// End LFG session and cleanup - resolves to whether the session is no longer active
+async function endLFGSession(sessionId, reason = 'manual') {
+    try {
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            console.log(`⚠️ Attempted to end non-existent session: ${sessionId}`);
+            return false;
+        }
+
+        console.log(`🛑 Ending LFG session ${sessionId.slice(-6)} (reason: ${reason})`);
+
+        // Clean up voice channel if it exists
+        if (session.voiceChannelId) {
+            try {
+                const guild = client.guilds.cache.get(session.guildId);
+                if (guild) {
+                    const voiceChannel = guild.channels.cache.get(session.voiceChannelId);
+                    if (voiceChannel) {
+                        console.log(`🗑️ Deleting voice channel: ${voiceChannel.name}`);
+                        await voiceChannel.delete('LFG session ended');
+                        
+                        // Check if category is now empty and clean it up
+                        if (voiceChannel.parent) {
+                            await cleanupEmptyCategory(voiceChannel.parent);
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error(`❌ Failed to delete voice channel for session ${sessionId}:`, error);
+            }
+        }
+
+        // Mark the session inactive, drop every membership row and record its history in one transaction, then uncache it.
+        // Drift repairs only finish cleaning up a session that already ended elsewhere, so they add no history.
+        await sessionRepository.end(session, reason === 'drift' ? null : buildSessionHistory(session, reason));
+
+        // Clear any timeouts
+        clearSessionExpiry(sessionId);
+        clearReadyCheckTimeout(sessionId);
+        sessionBumpTimestamps.delete(sessionId);
+        clearTimeout(voicePresenceUpdateTimeouts.get(sessionId));
+        voicePresenceUpdateTimeouts.delete(sessionId);
+
+        // Update the session message to show it's ended
+        await closeSessionMessage(session);
+        scheduleBoardUpdate(session.guildId);
+        emitSessionEvent(session, 'session.ended', { reason });
+
+        console.log(`✅ Successfully ended session ${sessionId.slice(-6)}`);
+        return true;
+
+    } catch (error) {
+        console.error(`❌ Error ending session ${sessionId}:`, error);
+        // Cleanup after the database write can fail without un-ending the session
+        return !activeSessions.has(sessionId);
+    }
+}
+
+// Build the history rows for an ended session and everyone who played in it
+function buildSessionHistory(session, reason) {
+    const endedAt = new Date();
+    const createdAt = new Date(session.createdAt);
+    const filledAt = session.filledAt ? new Date(session.filledAt) : null;
+
+    // Scheduled sessions fill from sign-ups, so their wait is counted from the start time
+    const waitStart = session.scheduledFor ? Math.max(createdAt.getTime(), new Date(session.scheduledFor).getTime()) : createdAt.getTime();
+    const fillSeconds = filledAt ? Math.max(0, Math.round((filledAt.getTime() - waitStart) / 1000)) : null;
+
+    // The creator counts as a player even if they left before the end
+    const players = [...session.currentPlayers];
+    if (!players.some(player => player.id === session.creatorId)) {
+        players.push({ id: session.creatorId, joinedAt: session.createdAt });
+    }
+
+    return {
+        entry: {
+            sessionId: session.id,
+            guildId: session.guildId,
+            creatorId: session.creatorId,
+            game: session.game,
+            gamemode: session.gamemode,
+            playersNeeded: session.playersNeeded,
+            playerCount: session.currentPlayers.length,
+            fillSeconds,
+            voiceChannelCreated: Boolean(session.voiceCreatedAt || session.voiceChannelId),
+            endReason: reason,
+            createdAt,
+            filledAt,
+            endedAt
+        },
+        players: players.map(player => ({
+            sessionId: session.id,
+            userId: player.id,
+            guildId: session.guildId,
+            game: session.game,
+            gamemode: session.gamemode,
+            isCreator: player.id === session.creatorId,
+            joinedAt: player.joinedAt ? new Date(player.joinedAt) : null,
+            endedAt
+        }))
+    };
+}
+
+// Replace a session's embed with the "Session Ended" state
+async function closeSessionMessage(session) {
+    try {
+        const guild = client.guilds.cache.get(session.guildId);
+        if (guild) {
+            const channel = guild.channels.cache.get(session.channelId);
+            if (channel && session.messageId) {
+                const message = await channel.messages.fetch(session.messageId);
+                if (message) {
+                    const embed = new EmbedBuilder()
+                        .setTitle(`⛔ Session Ended - ${getGameDisplayName(session.guildId, session.game)}`)
+                        .setColor(0x95a5a6)
+                        .setDescription('This LFG session has ended.')
+                        .setFooter({ text: `Session ID: ${session.id.slice(-6)} | Ended` })
+                        .setTimestamp();
+
+                    await message.edit({
+                        embeds: [embed],
+                        components: []
+                    });
+                }
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Failed to update ended session message:`, error);
+    }
+}
+
+// Refresh the in-voice markers on a session embed, batching bursts of voice activity
+function scheduleVoicePresenceUpdate(channelId) {
+    const session = Array.from(activeSessions.values()).find(s => s.voiceChannelId === channelId);
+    if (!session || voicePresenceUpdateTimeouts.has(session.id)) return;
+
+    voicePresenceUpdateTimeouts.set(session.id, setTimeout(async () => {
+        voicePresenceUpdateTimeouts.delete(session.id);
+        if (activeSessions.has(session.id)) {
+            await updateSessionMessage(session);
+        }
+    }, 3000));
+}
+
+// Start monitoring empty voice channel for cleanup
+function startEmptyChannelMonitoring(channelId) {
+    emptyChannelTimestamps.set(channelId, Date.now());
+}
+
+// Stop monitoring voice channel
+function stopEmptyChannelMonitoring(channelId) {
+    emptyChannelTimestamps.delete(channelId);
+}
+
+// Clean up empty categories
+async function cleanupEmptyCategory(category) {
+    try {
+        if (!category || category.children.cache.size > 0) {
+            return; // Category not empty
+        }
+
+        console.log(`🗑️ Cleaning up empty category: ${category.name}`);
+        await category.delete('Empty game category cleanup');
+        console.log(`✅ Deleted empty category: ${category.name}`);
+
+    } catch (error) {
+        console.error(`❌ Failed to cleanup category ${category?.name}:`, error);
+    }
+}
+
+// Cleanup expired sessions and empty channels
+async function cleanupExpiredSessions() {
+    try {
+        const now = Date.now();
+        const sessionsToEnd = [];
+
+        // Check for expired sessions
+        for (const [sessionId, session] of activeSessions) {
+            if (now >= getSessionExpiry(session)) {
+                const sessionAge = now - new Date(session.createdAt).getTime();
+                console.log(`⏰ Session ${sessionId.slice(-6)} expired (${Math.round(sessionAge / 60000)} minutes old)`);
+                sessionsToEnd.push(sessionId);
+            }
+        }
+
+        // End expired sessions
+        for (const sessionId of sessionsToEnd) {
+            await endLFGSession(sessionId, 'expired');
+        }
+
+        // Drop expired matchmaking queue entries
+        await cleanupExpiredQueueEntries();
+
+        // Check for empty voice channels
+        for (const [channelId, timestamp] of emptyChannelTimestamps) {
+            const emptyDuration = now - timestamp;
+            const maxEmptyTime = 60000; // 1 minute
+
+            if (emptyDuration > maxEmptyTime) {
+                try {
+                    const channel = client.channels.cache.get(channelId);
+                    if (channel && channel.members.size === 0) {
+                        console.log(`🗑️ Cleaning up empty voice channel: ${channel.name}`);
+                        
+                        const category = channel.parent;
+                        await channel.delete('Empty voice channel cleanup');
+                        
+                        // Clean up category if now empty
+                        if (category) {
+                            await cleanupEmptyCategory(category);
+                        }
+                        
+                        emptyChannelTimestamps.delete(channelId);
+                    } else {
+                        // Channel has members, stop monitoring
+                        emptyChannelTimestamps.delete(channelId);
+                    }
+                } catch (error) {
+                    console.error(`❌ Error cleaning up channel ${channelId}:`, error);
+                    emptyChannelTimestamps.delete(channelId);
+                }
+            }
+        }
+
+    } catch (error) {
+        console.error('❌ Error in cleanup function:', error);
+    }
+}
+
+// 🩺 Session invariant checker - activeSessions and user_sessions must both match lfg_sessions, which wins
+const SESSION_INVARIANT_CHECK_SCHEDULE = '*/5 * * * *';
+const SESSION_COMPARED_FIELDS = ['status', 'creatorId', 'messageId', 'voiceChannelId', 'isLocked'];
+const SESSION_COMPARED_LISTS = ['currentPlayers', 'confirmedPlayers', 'waitlist', 'blockedUsers'];
+
+// List the fields where a cached session disagrees with its database row
+function getSessionDriftFields(session, row) {
+    const listIds = list => JSON.stringify((list || []).map(entry => entry?.id ?? entry));
+    return [
+        ...SESSION_COMPARED_FIELDS.filter(field => (session[field] ?? null) !== (row[field] ?? null)),
+        ...SESSION_COMPARED_LISTS.filter(field => listIds(session[field]) !== listIds(row[field]))
+    ];
+}
+
+async function checkSessionInvariants() {
+    if (!sessionRepository.loaded || sessionRepository.pendingWrites > 0) return null;
+    const version = sessionRepository.version;
+
+    let snapshot;
+    try {
+        snapshot = await storage.getSessionSnapshot();
+    } catch (error) {
+        console.error('❌ Session invariant check could not read the database:', error);
+        return null;
+    }
+
+    // A write landed while the snapshot was read, so it may already be stale - try again next run
+    const isStale = () => sessionRepository.pendingWrites > 0 || sessionRepository.version !== version;
+    if (isStale()) return null;
+
+    let driftCount = 0;
+    const reportDrift = (kind, message) => {
+        driftCount++;
+        console.warn(`🩺 Session drift (${kind}): ${message}`);
+    };
+
+    const rows = new Map(snapshot.sessions.map(row => [row.id, row]));
+    const endedSessionIds = [];
+    const uncachedRows = [];
+
+    // Cached sessions - fix field drift in place before anything else can run
+    for (const session of activeSessions.values()) {
+        const row = rows.get(session.id);
+        if (!row) {
+            reportDrift('ended_in_database', `session ${session.id.slice(-6)} is cached but no longer active`);
+            endedSessionIds.push(session.id);
+            continue;
+        }
+
+        const fields = getSessionDriftFields(session, row);
+        if (fields.length > 0) {
+            reportDrift('cache_mismatch', `session ${session.id.slice(-6)} differs in ${fields.join(', ')}`);
+            Object.assign(session, toCachedSession(row));
+        }
+    }
+
+    for (const row of rows.values()) {
+        if (!activeSessions.has(row.id)) {
+            reportDrift('not_cached', `session ${row.id.slice(-6)} is active but not cached`);
+            uncachedRows.push(row);
+        }
+    }
+
+    // user_sessions must hold exactly each active session's roster
+    const memberIds = new Map();
+    for (const member of snapshot.members) {
+        if (!memberIds.has(member.sessionId)) memberIds.set(member.sessionId, new Set());
+        memberIds.get(member.sessionId).add(member.userId);
+    }
+
+    const membershipRepairs = [];
+    for (const row of rows.values()) {
+        const expected = (row.currentPlayers || []).map(player => player.id);
+        const actual = memberIds.get(row.id) || new Set();
+        if (expected.length !== actual.size || expected.some(userId => !actual.has(userId))) {
+            reportDrift('membership_mismatch', `user_sessions for session ${row.id.slice(-6)} don't match its roster`);
+            membershipRepairs.push({ sessionId: row.id, guildId: row.guildId, userIds: expected });
+        }
+    }
+    for (const sessionId of memberIds.keys()) {
+        if (!rows.has(sessionId)) {
+            reportDrift('orphaned_membership', `user_sessions still point at inactive session ${sessionId.slice(-6)}`);
+            membershipRepairs.push({ sessionId, guildId: null, userIds: [] });
+        }
+    }
+
+    // Repairs that need the database - stop as soon as a real transition races them
+    try {
+        for (const repair of membershipRepairs) {
+            if (isStale()) break;
+            await storage.replaceSessionPlayers(repair.sessionId, repair.guildId, repair.userIds);
+        }
+
+        for (const row of uncachedRows) {
+            if (isStale()) break;
+            const session = toCachedSession(row);
+            activeSessions.set(session.id, session);
+            scheduleSessionExpiry(session);
+        }
+
+        // Already ended in the database, so finishing the cleanup is safe even if other writes landed
+        for (const sessionId of endedSessionIds) {
+            if (activeSessions.has(sessionId)) await endLFGSession(sessionId, 'drift');
+        }
+    } catch (error) {
+        console.error('❌ Failed to repair session drift:', error);
+    }
+
+    if (driftCount > 0) {
+        console.warn(`🩺 Session invariant check found ${driftCount} problem(s) across ${rows.size} active sessions`);
+    }
+    return driftCount;
+}
+
+// Load session data from database on startup
+async function loadSessionData() {
+    try {
+        console.log('💾 Loading persistent sessions from database...');
+        
+        // Expired sessions are restored too - reconcileSessionsWithDiscord ends them so their
+        // embeds are closed and their voice channels removed
+        const restoredSessions = await sessionRepository.load();
+        console.log(`📋 Found ${restoredSessions} active sessions in database`);
+
+        // Bring user_sessions back in line with the restored rosters in one pass
+        await checkSessionInvariants();
+        
+        // Load guild settings
+        console.log('📋 Loading guild settings...');
+        const dbGuildSettings = await storage.getAllGuildSettings();
+        for (const settings of dbGuildSettings) {
+            guildSettingsCache.set(settings.guildId, settings);
+        }
+        console.log(`📋 Loaded settings for ${guildSettingsCache.size} guilds`);
+
+        // Load game catalogs
+        const catalogRows = await storage.getAllGuildGames();
+        const rowsByGuild = new Map();
+        for (const row of catalogRows) {
+            if (!rowsByGuild.has(row.guildId)) rowsByGuild.set(row.guildId, []);
+            rowsByGuild.get(row.guildId).push(row);
+        }
+        for (const [guildId, rows] of rowsByGuild) {
+            setGuildGamesCache(guildId, rows);
+        }
+        console.log(`🎮 Loaded game catalogs for ${rowsByGuild.size} guilds`);
+
+        // Load rank/region role mappings
+        const requirementRows = await storage.getAllRequirementRoles();
+        for (const row of requirementRows) {
+            if (!requirementRolesCache.has(row.guildId)) requirementRolesCache.set(row.guildId, []);
+            requirementRolesCache.get(row.guildId).push(row);
+        }
+        console.log(`🏅 Loaded ${requirementRows.length} requirement role mappings`);
+
+        // Load player profiles
+        const profiles = await storage.getAllUserProfiles();
+        for (const profile of profiles) {
+            userProfilesCache.set(profile.userId, profile);
+        }
+        console.log(`🪪 Loaded ${profiles.length} player profiles`);
+
+        // Load new-session alert subscriptions and quiet hours
+        const subscriptions = await storage.getAllNotificationSubscriptions();
+        for (const subscription of subscriptions) {
+            if (!notificationSubscriptionsCache.has(subscription.guildId)) notificationSubscriptionsCache.set(subscription.guildId, []);
+            notificationSubscriptionsCache.get(subscription.guildId).push(subscription);
+        }
+        for (const settings of await storage.getAllNotificationSettings()) {
+            notificationSettingsCache.set(settings.userId, settings);
+        }
+        console.log(`🔔 Loaded ${subscriptions.length} notification subscriptions`);
+
+        // Load REST API keys
+        const keys = await storage.getAllApiKeys();
+        for (const apiKey of keys) {
+            apiKeysCache.set(apiKey.keyHash, apiKey);
+        }
+        console.log(`🔑 Loaded ${keys.length} API keys`);
+
+        // Load outgoing webhooks
+        const guildWebhooks = await storage.getAllWebhooks();
+        for (const webhook of guildWebhooks) {
+            webhooksCache.set(webhook.id, webhook);
+        }
+        const resumedDeliveries = await resumeWebhookRetries();
+        console.log(`🪝 Loaded ${guildWebhooks.length} webhooks (${resumedDeliveries} deliveries awaiting a retry)`);
+
+        // Load matchmaking queue, dropping entries that expired while offline
+        const queueEntries = await storage.getQueueEntries();
+        for (const entry of queueEntries) {
+            if (new Date(entry.expiresAt).getTime() <= Date.now()) {
+                await storage.removeQueueEntry(entry.userId, entry.guildId);
+                continue;
+            }
+            queuedUsers.set(getQueueKey(entry.guildId, entry.userId), entry);
+        }
+        console.log(`⏳ Restored ${queuedUsers.size} matchmaking queue entries`);
+
+        // Load and schedule recurring templates
+        const templates = await storage.getSessionTemplates();
+        for (const template of templates) {
+            sessionTemplatesCache.set(template.id, template);
+            scheduleTemplate(template);
+        }
+        console.log(`🔁 Scheduled ${templateTasks.size} of ${templates.length} recurring templates`);
+        
+        console.log('✅ Session restoration complete:');
+        console.log(`   🔄 Restored: ${restoredSessions} active sessions`);
+        
+    } catch (error) {
+        console.error('❌ Error loading session data:', error);
+    }
+}
+
+// Fetch a Discord resource, resolving to null only when Discord says it no longer exists
+async function fetchIfExists(fetchPromise) {
+    try {
+        return await fetchPromise;
+    } catch (error) {
+        // 10003 = Unknown Channel, 10008 = Unknown Message
+        if (error.code === 10003 || error.code === 10008) return null;
+        throw error;
+    }
+}
+
+// Bring restored sessions back in line with what actually exists on Discord after a restart
+async function reconcileSessionsWithDiscord() {
+    console.log('🔍 Reconciling restored sessions with Discord...');
+
+    let expiredSessions = 0;
+    let orphanedSessions = 0;
+    let reconciledSessions = 0;
+
+    for (const session of Array.from(activeSessions.values())) {
+        try {
+            // Sessions that expired while the bot was offline
+            if (Date.now() >= getSessionExpiry(session)) {
+                await endLFGSession(session.id, 'expired');
+                expiredSessions++;
+                continue;
+            }
+
+            // Sessions whose guild or channel is gone can't be shown anywhere
+            const guild = client.guilds.cache.get(session.guildId);
+            const channel = guild ? await fetchIfExists(guild.channels.fetch(session.channelId)) : null;
+            if (!channel) {
+                console.log(`🧹 Session ${session.id.slice(-6)} lost its channel, ending it`);
+                await endLFGSession(session.id, 'channel_deleted');
+                orphanedSessions++;
+                continue;
+            }
+
+            // Forget voice channels that were deleted while offline and resume monitoring the rest
+            if (session.voiceChannelId) {
+                const voiceChannel = await fetchIfExists(guild.channels.fetch(session.voiceChannelId));
+                if (!voiceChannel) {
+                    console.log(`🔇 Voice channel for session ${session.id.slice(-6)} no longer exists`);
+                    await sessionRepository.update(session, { voiceChannelId: null });
+                } else {
+                    if (voiceChannel.members.size === 0) {
+                        startEmptyChannelMonitoring(voiceChannel.id);
+                    }
+                    await syncVoiceChannelPermissions(session);
+                }
+            }
+
+            // Re-render the embed, re-posting it if the message was deleted
+            if (session.messageId) {
+                const message = await fetchIfExists(channel.messages.fetch(session.messageId));
+                if (!message) {
+                    console.log(`📨 Message for session ${session.id.slice(-6)} is gone, re-posting`);
+                    session.messageId = null;
+                }
+            }
+            await updateSessionMessage(session);
+
+            // Restore timers
+            scheduleSessionExpiry(session);
+            if (session.status === 'confirming' && session.confirmationStartTime) {
+                scheduleReadyCheckTimeout(session);
+            }
+
+            reconciledSessions++;
+        } catch (error) {
+            console.error(`❌ Failed to reconcile session ${session.id.slice(-6)}:`, error);
+        }
+    }
+
+    let removedChannels = 0;
+    for (const guild of client.guilds.cache.values()) {
+        removedChannels += await cleanupOrphanedVoiceChannels(guild);
+    }
+
+    console.log('✅ Reconciliation complete:');
+    console.log(`   🔄 Reconciled: ${reconciledSessions} sessions`);
+    console.log(`   🧹 Expired: ${expiredSessions} | Orphaned: ${orphanedSessions} sessions`);
+    console.log(`   🗑️ Removed: ${removedChannels} orphaned voice channels`);
+}
+
+// Delete LFG voice channels no session owns, plus any 🎮 categories left empty
+async function cleanupOrphanedVoiceChannels(guild) {
+    let removed = 0;
+
+    try {
+        const ownedChannelIds = new Set(
+            Array.from(activeSessions.values())
+                .map(session => session.voiceChannelId)
+                .filter(Boolean)
+        );
+
+        // Only channels the bot recorded creating are ever deleted - a hand-made channel that happens
+        // to look like ours is left alone
+        const createdChannelIds = new Set(await storage.getSessionVoiceChannelIds(guild.id));
+
+        const categories = guild.channels.cache.filter(channel =>
+            channel.type === ChannelType.GuildCategory && channel.name.startsWith('🎮 ')
+        );
+
+        for (const category of categories.values()) {
+            let removedFromCategory = 0;
+
+            for (const channel of Array.from(category.children.cache.values())) {
+                const isLFGChannel = channel.type === ChannelType.GuildVoice && createdChannelIds.has(channel.id);
+                if (!isLFGChannel || ownedChannelIds.has(channel.id)) continue;
+
+                if (channel.members.size > 0) {
+                    // Someone is still talking - let the empty-channel monitor remove it later
+                    startEmptyChannelMonitoring(channel.id);
+                    continue;
+                }
+
+                console.log(`🗑️ Deleting orphaned voice channel: ${channel.name}`);
+                await channel.delete('LFG Bot: Orphaned voice channel cleanup');
+                removedFromCategory++;
+            }
+
+            // An admin's own empty category isn't ours to remove either
+            if (removedFromCategory > 0) {
+                removed += removedFromCategory;
+                await cleanupEmptyCategory(category);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Failed to clean up orphaned channels in ${guild.name}:`, error);
+    }
+
+    return removed;
+}
+
+// Discord event handlers
+client.once('ready', async () => {
+    console.log(`🚀 ${client.user.tag} Bot is online! Logged in as ${client.user.tag}`);
+    console.log(`🎮 Serving ${client.guilds.cache.size} servers with premium LFG features`);
+    
+    // Load persistent session data
+    await loadSessionData();
+
+    // Make sure every guild has a game catalog
+    for (const guild of client.guilds.cache.values()) {
+        await ensureGuildCatalog(guild.id).catch(error =>
+            console.error(`❌ Failed to seed game catalog for ${guild.name}:`, error)
+        );
+    }
+
+    // Restore timers, voice monitoring and embeds for restored sessions
+    await reconcileSessionsWithDiscord();
+
+    // Refresh LFG boards so they drop sessions that ended while offline
+    for (const guildId of guildSettingsCache.keys()) {
+        scheduleBoardUpdate(guildId);
+    }
+    
+    // Register slash commands
+    const commands = [
+        new SlashCommandBuilder()
+            .setName('lfg')
+            .setDescription('Create and manage Looking for Group sessions')
+            .addSubcommand(subcommand =>
+                subcommand.setName('create')
+                    .setDescription('Create a Looking for Group session')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Select the game you want to play')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('gamemode')
+                            .setDescription('Select the game mode')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('Number of players needed (including yourself) - defaults to the mode\'s party size')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('info')
+                            .setDescription('Additional information about your session')
+                            .setRequired(false)
+                            .setMaxLength(200))
+                    .addStringOption(option =>
+                        option.setName('min_rank')
+                            .setDescription('Lowest rank allowed to join')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('max_rank')
+                            .setDescription('Highest rank allowed to join')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('region')
+                            .setDescription('Region players must be in')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('platform')
+                            .setDescription('Platform players must be on')
+                            .setRequired(false)
+                            .addChoices(...PLATFORM_CHOICES.map(platform => ({ name: platform, value: platform }))))
+                    .addStringOption(option =>
+                        option.setName('language')
+                            .setDescription('Language the group plays in')
+                            .setRequired(false)
+                            .setMaxLength(50)
+                            .setAutocomplete(true))
+                    .addBooleanOption(option =>
+                        option.setName('mic')
+                            .setDescription('Whether players need a microphone')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('roles')
+                            .setDescription('Role slots like "Tank:1, DPS:2, Support:2" - overrides the mode\'s roles, "none" to skip')
+                            .setRequired(false)
+                            .setMaxLength(200))
+                    .addStringOption(option =>
+                        option.setName('my_role')
+                            .setDescription('Your own role slot (defaults to the first role)')
+                            .setRequired(false)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('schedule')
+                    .setDescription('Plan a session for a future time and collect sign-ups')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Select the game you want to play')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('gamemode')
+                            .setDescription('Select the game mode')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('start')
+                            .setDescription('Start time as "YYYY-MM-DD HH:MM" or "HH:MM"')
+                            .setRequired(true)
+                            .setMaxLength(16))
+                    .addStringOption(option =>
+                        option.setName('timezone')
+                            .setDescription('Timezone of the start time (default UTC)')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('Number of players needed (including yourself) - defaults to the mode\'s party size')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('info')
+                            .setDescription('Additional information about your session')
+                            .setRequired(false)
+                            .setMaxLength(200))
+                    .addStringOption(option =>
+                        option.setName('min_rank')
+                            .setDescription('Lowest rank allowed to join')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('max_rank')
+                            .setDescription('Highest rank allowed to join')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('region')
+                            .setDescription('Region players must be in')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('platform')
+                            .setDescription('Platform players must be on')
+                            .setRequired(false)
+                            .addChoices(...PLATFORM_CHOICES.map(platform => ({ name: platform, value: platform }))))
+                    .addStringOption(option =>
+                        option.setName('language')
+                            .setDescription('Language the group plays in')
+                            .setRequired(false)
+                            .setMaxLength(50)
+                            .setAutocomplete(true))
+                    .addBooleanOption(option =>
+                        option.setName('mic')
+                            .setDescription('Whether players need a microphone')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('roles')
+                            .setDescription('Role slots like "Tank:1, DPS:2, Support:2" - overrides the mode\'s roles, "none" to skip')
+                            .setRequired(false)
+                            .setMaxLength(200))
+                    .addStringOption(option =>
+                        option.setName('my_role')
+                            .setDescription('Your own role slot (defaults to the first role)')
+                            .setRequired(false)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('bump')
+                    .setDescription('Re-post your session at the bottom of the channel')),
+        
+        new SlashCommandBuilder()
+            .setName('quickjoin')
+            .setDescription('Instantly join an available LFG session')
+            .addStringOption(option =>
+                option.setName('game')
+                    .setDescription('Game you want to join')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('gamemode')
+                    .setDescription('Game mode you want to join')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addBooleanOption(option =>
+                option.setName('queue')
+                    .setDescription('Wait in the matchmaking queue if no session is available')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('role')
+                    .setDescription('Role you want to play (sessions with role slots only)')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('sessions')
+            .setDescription('Browse the active LFG sessions in this server')
+            .addStringOption(option =>
+                option.setName('game')
+                    .setDescription('Only show sessions for this game')
+                    .setRequired(false)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('gamemode')
+                    .setDescription('Only show sessions for this game mode')
+                    .setRequired(false)
+                    .setAutocomplete(true))
+            .addIntegerOption(option =>
+                option.setName('open_slots')
+                    .setDescription('Only show sessions with at least this many open slots')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(20)),
+
+        new SlashCommandBuilder()
+            .setName('session')
+            .setDescription('Look up a single LFG session')
+            .addSubcommand(subcommand =>
+                subcommand.setName('info')
+                    .setDescription('Show a session by the short ID in its footer')
+                    .addStringOption(option =>
+                        option.setName('id')
+                            .setDescription('Six-character session ID (e.g. a1b2c3)')
+                            .setRequired(true)
+                            .setMinLength(6)
+                            .setMaxLength(6))),
+
+        new SlashCommandBuilder()
+            .setName('queue')
+            .setDescription('Manage your place in the matchmaking queue')
+            .addSubcommand(subcommand =>
+                subcommand.setName('status')
+                    .setDescription('Show your place in the matchmaking queue'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('leave')
+                    .setDescription('Leave the matchmaking queue')),
+        
+        new SlashCommandBuilder()
+            .setName('template')
+            .setDescription('Manage recurring LFG sessions')
+            .addSubcommand(subcommand =>
+                subcommand.setName('create')
+                    .setDescription('Post a session automatically on a recurring schedule')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game for the recurring session')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('gamemode')
+                            .setDescription('Game mode for the recurring session')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('schedule')
+                            .setDescription('Cron schedule, e.g. "0 19 * * 2,4" for Tue & Thu at 19:00')
+                            .setRequired(true)
+                            .setMaxLength(100))
+                    .addStringOption(option =>
+                        option.setName('timezone')
+                            .setDescription('Timezone for the schedule (default UTC)')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('Number of players needed (including yourself) - defaults to the mode\'s party size')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('info')
+                            .setDescription('Additional information shown on each session')
+                            .setRequired(false)
+                            .setMaxLength(200))
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Channel to post in (defaults to the LFG channel)')
+                            .setRequired(false)
+                            .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show the recurring sessions in this server'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('pause')
+                    .setDescription('Stop a template from posting until resumed')
+                    .addStringOption(option =>
+                        option.setName('template')
+                            .setDescription('Template to pause')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('resume')
+                    .setDescription('Resume a paused template')
+                    .addStringOption(option =>
+                        option.setName('template')
+                            .setDescription('Template to resume')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('edit')
+                    .setDescription('Change a template')
+                    .addStringOption(option =>
+                        option.setName('template')
+                            .setDescription('Template to edit')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('New game')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('gamemode')
+                            .setDescription('New game mode')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('schedule')
+                            .setDescription('New cron schedule')
+                            .setRequired(false)
+                            .setMaxLength(100))
+                    .addStringOption(option =>
+                        option.setName('timezone')
+                            .setDescription('New timezone')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('New number of players')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('info')
+                            .setDescription('New additional information')
+                            .setRequired(false)
+                            .setMaxLength(200))
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('New channel to post in')
+                            .setRequired(false)
+                            .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('delete')
+                    .setDescription('Delete a template')
+                    .addStringOption(option =>
+                        option.setName('template')
+                            .setDescription('Template to delete')
+                            .setRequired(true)
+                            .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('endlfg')
+            .setDescription('End one of your LFG sessions'),
+        
+        new SlashCommandBuilder()
+            .setName('requirements')
+            .setDescription('Map ranks, regions, platforms and languages to roles (admin only)')
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show every requirement role mapping'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Map a rank, region, platform or language to a role')
+                    .addStringOption(option =>
+                        option.setName('kind')
+                            .setDescription('What the role represents')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Rank', value: 'rank' },
+                                { name: 'Region', value: 'region' },
+                                { name: 'Platform', value: 'platform' },
+                                { name: 'Language', value: 'language' }
+                            ))
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Name shown on sessions, e.g. "Gold" or "EU"')
+                            .setRequired(true)
+                            .setMaxLength(50))
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role members need for this requirement')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('tier')
+                            .setDescription('Rank order, 1 = lowest (ranks only - defaults to above the current highest)')
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(100)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Remove a requirement role mapping')
+                    .addStringOption(option =>
+                        option.setName('kind')
+                            .setDescription('What the role represents')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Rank', value: 'rank' },
+                                { name: 'Region', value: 'region' },
+                                { name: 'Platform', value: 'platform' },
+                                { name: 'Language', value: 'language' }
+                            ))
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Mapping to remove')
+                            .setRequired(true)
+                            .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('apikey')
+            .setDescription('Manage read-only REST API keys for this server (admin only)')
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+            .addSubcommand(subcommand =>
+                subcommand.setName('create')
+                    .setDescription('Issue a new API key (shown once)')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('What the key is for, e.g. "Community website"')
+                            .setRequired(true)
+                            .setMaxLength(50)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show this server\'s API keys'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('revoke')
+                    .setDescription('Revoke an API key')
+                    .addStringOption(option =>
+                        option.setName('key')
+                            .setDescription('Key to revoke')
+                            .setRequired(true)
+                            .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('webhook')
+            .setDescription('Send session events to your own services (admin only)')
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Register a URL to receive signed session events')
+                    .addStringOption(option =>
+                        option.setName('url')
+                            .setDescription('HTTPS endpoint that accepts JSON POSTs')
+                            .setRequired(true)
+                            .setMaxLength(500))
+                    .addStringOption(option =>
+                        option.setName('events')
+                            .setDescription('Comma-separated, e.g. "session.created, session.ended" (defaults to all events)')
+                            .setRequired(false)
+                            .setMaxLength(200)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show this server\'s webhooks'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Remove a webhook and its failed deliveries')
+                    .addStringOption(option =>
+                        option.setName('webhook')
+                            .setDescription('Webhook to remove')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('failures')
+                    .setDescription('Show deliveries that failed every retry')
+                    .addStringOption(option =>
+                        option.setName('webhook')
+                            .setDescription('Only show failures for this webhook')
+                            .setRequired(false)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('redeliver')
+                    .setDescription('Try a failed delivery again')
+                    .addStringOption(option =>
+                        option.setName('delivery')
+                            .setDescription('Failed delivery to resend')
+                            .setRequired(true)
+                            .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('profile')
+            .setDescription('Manage your player profile and in-game names')
+            .addSubcommand(subcommand =>
+                subcommand.setName('view')
+                    .setDescription('Show a player profile')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('Player to show (defaults to you)')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('set')
+                    .setDescription('Update your platform, region, main roles and availability')
+                    .addStringOption(option =>
+                        option.setName('platform')
+                            .setDescription('Platform you play on')
+                            .setRequired(false)
+                            .addChoices(...PLATFORM_CHOICES.map(platform => ({ name: platform, value: platform }))))
+                    .addStringOption(option =>
+                        option.setName('region')
+                            .setDescription('Region you play in')
+                            .setRequired(false)
+                            .setMaxLength(50)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('roles')
+                            .setDescription('Roles you usually play, e.g. "Support, Tank"')
+                            .setRequired(false)
+                            .setMaxLength(100))
+                    .addStringOption(option =>
+                        option.setName('availability')
+                            .setDescription('When you usually play, e.g. "Weeknights after 8pm CET"')
+                            .setRequired(false)
+                            .setMaxLength(100)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('ign')
+                    .setDescription('Set your in-game name for a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game the name is for')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Your in-game name or ID')
+                            .setRequired(true)
+                            .setMaxLength(50)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('clearign')
+                    .setDescription('Remove your in-game name for a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to remove the name for')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('clear')
+                    .setDescription('Delete your whole profile')),
+
+        new SlashCommandBuilder()
+            .setName('notify')
+            .setDescription('Get alerted when new sessions are posted for your games')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Subscribe to new sessions for a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to get alerts for')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Only alert for this mode (defaults to every mode)')
+                            .setRequired(false)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Stop alerts for a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to stop alerts for')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Only remove this mode (defaults to every alert for the game)')
+                            .setRequired(false)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show your alert subscriptions'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('quiet')
+                    .setDescription('Mute alerts during set hours (leave empty to turn quiet hours off)')
+                    .addIntegerOption(option =>
+                        option.setName('start')
+                            .setDescription('Hour quiet time starts (0-23)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(23))
+                    .addIntegerOption(option =>
+                        option.setName('end')
+                            .setDescription('Hour quiet time ends (0-23)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(23))
+                    .addStringOption(option =>
+                        option.setName('timezone')
+                            .setDescription('Your timezone, e.g. Europe/Berlin (defaults to UTC)')
+                            .setRequired(false)
+                            .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('stats')
+            .setDescription('Show LFG session statistics')
+            .addSubcommand(subcommand =>
+                subcommand.setName('me')
+                    .setDescription('Your session history in this server'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('server')
+                    .setDescription('Popular games, fill rate and wait times for this server'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('game')
+                    .setDescription('Statistics for a single game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to show statistics for')
+                            .setRequired(true)
+                            .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('help')
+            .setDescription('Show bot commands and features'),
+
+        new SlashCommandBuilder()
+            .setName('setup')
+            .setDescription('Configure the LFG bot for this server (admin only)')
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+            .addSubcommand(subcommand =>
+                subcommand.setName('channel')
+                    .setDescription('Set the dedicated channel where LFG sessions are posted')
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Channel for LFG session posts')
+                            .setRequired(true)
+                            .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('reset')
+                    .setDescription('Post LFG sessions in the channel where /lfg is used'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('lifetime')
+                    .setDescription('Set how long sessions stay open')
+                    .addIntegerOption(option =>
+                        option.setName('default')
+                            .setDescription(`Minutes a new session stays open (default ${DEFAULT_SESSION_MINUTES})`)
+                            .setRequired(true)
+                            .setMinValue(5)
+                            .setMaxValue(720))
+                    .addIntegerOption(option =>
+                        option.setName('max')
+                            .setDescription(`Maximum minutes a session can be extended to (default ${MAX_SESSION_MINUTES})`)
+                            .setRequired(true)
+                            .setMinValue(5)
+                            .setMaxValue(720)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('board')
+                    .setDescription('Keep a live board of every active session in one channel')
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Channel for the LFG board (leave empty to remove the board)')
+                            .setRequired(false)
+                            .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('notify')
+                    .setDescription('Choose how members subscribed with /notify hear about new sessions')
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('How alerts are delivered')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Direct message each subscriber', value: 'dm' },
+                                { name: 'Ping a role in the LFG channel', value: 'role' }
+                            ))
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role to ping (required for role mode)')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('limit')
+                    .setDescription('Set how many sessions one member can be in at the same time')
+                    .addIntegerOption(option =>
+                        option.setName('sessions')
+                            .setDescription(`Sessions per member (default ${DEFAULT_SESSIONS_PER_USER})`)
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_SESSIONS_PER_USER)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('view')
+                    .setDescription('Show the current LFG configuration')),
+
+        new SlashCommandBuilder()
+            .setName('games')
+            .setDescription('Manage this server\'s game catalog (admin only)')
+            .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show every game and mode in the catalog'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Add a game to the catalog')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Display name of the game')
+                            .setRequired(true)
+                            .setMaxLength(50))
+                    .addStringOption(option =>
+                        option.setName('modes')
+                            .setDescription('Comma-separated modes, optionally with party size (e.g. "Ranked:5, Casual")')
+                            .setRequired(false)
+                            .setMaxLength(500)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Remove a game from the catalog')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to remove')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('rename')
+                    .setDescription('Change the display name of a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to rename')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('New display name')
+                            .setRequired(true)
+                            .setMaxLength(50)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('addmode')
+                    .setDescription('Add a mode to a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to add the mode to')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Name of the mode')
+                            .setRequired(true)
+                            .setMaxLength(50))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('Default party size for this mode')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('roles')
+                            .setDescription('Role slots like "Tank:1, Damage:2, Support:2" - sets the party size')
+                            .setRequired(false)
+                            .setMaxLength(200)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('editmode')
+                    .setDescription('Rename a mode or change its default party size or role slots')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game the mode belongs to')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Mode to edit')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('New name for the mode')
+                            .setRequired(false)
+                            .setMaxLength(50))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('Default party size (0 to clear)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('roles')
+                            .setDescription('Role slots like "Tank:1, Damage:2, Support:2" - "none" to clear')
+                            .setRequired(false)
+                            .setMaxLength(200)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('removemode')
+                    .setDescription('Remove a mode from a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game the mode belongs to')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Mode to remove')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+    ];
+
+    try {
+        console.log('Started refreshing application (/) commands.');
+        await client.application.commands.set(commands);
+        console.log('Successfully reloaded application (/) commands.');
+    } catch (error) {
+        console.error('Error registering commands:', error);
+    }
+    
+    console.log('🎯 Bot ready and operational!');
+});
+
+// Handle autocomplete interactions
+client.on('interactionCreate', async (interaction) => {
+    if (!interaction.isAutocomplete()) return;
+
+    try {
+        const focusedOption = interaction.options.getFocused(true);
+        const guildId = interaction.guildId;
+
+        if (!['lfg', 'quickjoin', 'sessions', 'games', 'template', 'stats', 'requirements', 'profile', 'notify', 'apikey', 'webhook'].includes(interaction.commandName)) return;
+
+        if (focusedOption.name === 'my_role' || focusedOption.name === 'role') {
+            const typedRoles = parseRoleSlots(interaction.options.getString('roles'));
+            const modeRoles = findGuildGame(guildId, interaction.options.getString('game'))?.modes
+                .find(mode => mode.name === interaction.options.getString('gamemode'))?.roles || [];
+            const roles = typedRoles.length > 0 ? typedRoles : modeRoles;
+
+            await interaction.respond(roles
+                .filter(role => role.name.toLowerCase().includes(focusedOption.value.toLowerCase()))
+                .slice(0, 25)
+                .map(role => ({ name: role.name, value: role.name })));
+        } else if (focusedOption.name === 'min_rank' || focusedOption.name === 'max_rank') {
+            await interaction.respond(getRequirementAutocompleteChoices(guildId, 'rank', focusedOption.value));
+        } else if (focusedOption.name === 'region' || focusedOption.name === 'language') {
+            await interaction.respond(getRequirementAutocompleteChoices(guildId, focusedOption.name, focusedOption.value));
+        } else if (interaction.commandName === 'requirements' && focusedOption.name === 'name') {
+            await interaction.respond(getRequirementAutocompleteChoices(guildId, interaction.options.getString('kind') || 'rank', focusedOption.value));
+        } else if (focusedOption.name === 'webhook') {
+            await interaction.respond(getWebhookAutocompleteChoices(guildId, focusedOption.value));
+        } else if (focusedOption.name === 'delivery') {
+            await interaction.respond(await getDeadLetterAutocompleteChoices(guildId, focusedOption.value));
+        } else if (interaction.commandName === 'apikey' && focusedOption.name === 'key') {
+            await interaction.respond(getApiKeyAutocompleteChoices(guildId, focusedOption.value));
+        } else if (focusedOption.name === 'template') {
+            await interaction.respond(getTemplateAutocompleteChoices(interaction, focusedOption.value));
+        } else if (focusedOption.name === 'game') {
+            await interaction.respond(getGameAutocompleteChoices(guildId, focusedOption.value));
+        } else if (focusedOption.name === 'timezone') {
+            await interaction.respond(getTimeZoneAutocompleteChoices(focusedOption.value));
+        } else if (focusedOption.name === 'gamemode' || focusedOption.name === 'mode') {
+            const selectedGame = findGuildGame(guildId, interaction.options.getString('game'));
+            const modes = selectedGame?.modes || [];
+            
+            const filtered = modes.filter(mode =>
+                mode.name.toLowerCase().includes(focusedOption.value.toLowerCase())
+            );
+
+            await interaction.respond(
+                filtered.slice(0, 25).map(mode => ({
+                    name: mode.defaultPlayers ? `${mode.name} (${mode.defaultPlayers} players)` : mode.name,
+                    value: mode.name
+                }))
+            );
+        }
+    } catch (error) {
+        console.error('❌ Error handling autocomplete:', error);
+    }
+});
+
+// Handle slash command interactions with enhanced error handling
+client.on('interactionCreate', async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+
+    try {
+        if (interaction.commandName === 'lfg') {
+            const subcommand = interaction.options.getSubcommand();
+            if (subcommand === 'create' || subcommand === 'schedule') {
+                await handleLFGCommand(interaction);
+            } else if (subcommand === 'bump') {
+                await handleBumpCommand(interaction);
+            }
+        } else if (interaction.commandName === 'quickjoin') {
+            await handleQuickJoinCommand(interaction);
+        } else if (interaction.commandName === 'sessions') {
+            await handleSessionsCommand(interaction);
+        } else if (interaction.commandName === 'session') {
+            await handleSessionInfoCommand(interaction);
+        } else if (interaction.commandName === 'endlfg') {
+            await handleEndLFGCommand(interaction);
+        } else if (interaction.commandName === 'stats') {
+            await handleStatsCommand(interaction);
+        } else if (interaction.commandName === 'profile') {
+            await handleProfileCommand(interaction);
+        } else if (interaction.commandName === 'notify') {
+            await handleNotifyCommand(interaction);
+        } else if (interaction.commandName === 'help') {
+            await handleHelpCommand(interaction);
+        } else if (interaction.commandName === 'setup') {
+            await handleSetupCommand(interaction);
+        } else if (interaction.commandName === 'games') {
+            await handleGamesCommand(interaction);
+        } else if (interaction.commandName === 'requirements') {
+            await handleRequirementsCommand(interaction);
+        } else if (interaction.commandName === 'apikey') {
+            await handleApiKeyCommand(interaction);
+        } else if (interaction.commandName === 'webhook') {
+            await handleWebhookCommand(interaction);
+        } else if (interaction.commandName === 'queue') {
+            await handleQueueCommand(interaction);
+        } else if (interaction.commandName === 'template') {
+            await handleTemplateCommand(interaction);
+        }
+    } catch (error) {
+        console.error(`❌ Error handling command ${interaction.commandName}:`, error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({
+                content: '❌ **Something went wrong!**\n\nPlease try again. If the problem persists, contact support.',
+                flags: 64
+            }).catch(console.error);
+        } else if (interaction.deferred) {
+            await interaction.editReply({
+                content: '❌ **Something went wrong!**\n\nPlease try again. If the problem persists, contact support.'
+            }).catch(console.error);
+        }
+    }
+});
+
+// Handle button interactions with enhanced error handling
+client.on('interactionCreate', async (interaction) => {
+    if (!interaction.isButton() && !interaction.isAnySelectMenu()) return;
+
+    const [action, sessionId] = interaction.customId.split('_');
+
+    try {
+        if (action === 'join') {
+            await handleJoinSession(interaction, sessionId);
+        } else if (action === 'waitlist') {
+            await handleJoinWaitlist(interaction, sessionId);
+        } else if (action === 'joinrole') {
+            await handleJoinSession(interaction, sessionId, interaction.values[0]);
+        } else if (action === 'leave' || action === 'decline') {
+            await handleLeaveSession(interaction, sessionId);
+        } else if (action === 'confirm') {
+            await handleConfirmSession(interaction, sessionId);
+        } else if (action === 'extend') {
+            await handleExtendSession(interaction, sessionId);
+        } else if (action === 'manage') {
+            await handleManageSession(interaction, sessionId);
+        } else if (['kick', 'block', 'unblock', 'transfer', 'lock'].includes(action)) {
+            await handleModerationAction(interaction, action, sessionId);
+        } else if (action === 'endpick') {
+            await handleEndLFGCommand(interaction, interaction.values[0]);
+        } else if (action === 'bumppick') {
+            await handleBumpCommand(interaction, interaction.values[0]);
+        } else if (action === 'boardjoin') {
+            await handleJoinSession(interaction, interaction.values[0]);
+        } else if (action === 'sessionsprev' || action === 'sessionsnext') {
+            await handleSessionBrowserPage(interaction, sessionId, action === 'sessionsnext' ? 1 : -1);
+        }
+    } catch (error) {
+        console.error(`❌ Error handling button interaction ${action}:`, error);
+        
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({
+                content: '❌ **Action failed!**\n\nPlease try again.',
+                flags: 64
+            }).catch(console.error);
+        }
+    }
+});
+
+// Handle voice state updates for channel monitoring
+client.on('voiceStateUpdate', (oldState, newState) => {
+    try {
+        // Check if someone left a voice channel
+        if (oldState.channelId && oldState.channelId !== newState.channelId) {
+            const oldChannel = oldState.channel;
+            if (oldChannel && oldChannel.members.size === 0) {
+                // Channel is now empty, start monitoring
+                startEmptyChannelMonitoring(oldChannel.id);
+            }
+        }
+
+        // Check if someone joined a voice channel
+        if (newState.channelId && newState.channelId !== oldState.channelId) {
+            const newChannel = newState.channel;
+            if (newChannel) {
+                // Channel has members, stop monitoring for cleanup
+                stopEmptyChannelMonitoring(newChannel.id);
+            }
+        }
+
+        // Keep the "in voice" markers on session embeds current
+        if (oldState.channelId !== newState.channelId) {
+            if (oldState.channelId) scheduleVoicePresenceUpdate(oldState.channelId);
+            if (newState.channelId) scheduleVoicePresenceUpdate(newState.channelId);
+        }
+    } catch (error) {
+        console.error('❌ Error in voice state update handler:', error);
+    }
+});
+
+// Seed the game catalog when the bot joins a new guild
+client.on('guildCreate', async (guild) => {
+    try {
+        await ensureGuildCatalog(guild.id);
+    } catch (error) {
+        console.error(`❌ Failed to seed game catalog for ${guild.name}:`, error);
+    }
+});
+
+// 🎮 Handle LFG Command
+async function handleLFGCommand(interaction) {
+    try {
+        // Route the session to the guild's dedicated LFG channel if one is configured
+        const lfgChannel = getConfiguredLFGChannel(interaction.guild);
+        const postsElsewhere = Boolean(lfgChannel) && lfgChannel.id !== interaction.channel.id;
+
+        await interaction.deferReply(postsElsewhere ? { flags: 64 } : {});
+
+        const game = interaction.options.getString('game');
+        const gamemode = interaction.options.getString('gamemode');
+        const info = interaction.options.getString('info');
+        const userId = interaction.user.id;
+        const guildId = interaction.guild.id;
+        const channelId = postsElsewhere ? lfgChannel.id : interaction.channel.id;
+
+        await ensureGuildCatalog(guildId);
+
+        // Check the guild's per-user session limit (sessions you create count too)
+        const membershipBlockReason = getMembershipBlockReason(userId, guildId);
+        if (membershipBlockReason) {
+            return interaction.editReply({ content: membershipBlockReason });
+        }
+
+        // Validate game and gamemode against the guild's catalog
+        const catalogGame = findGuildGame(guildId, game);
+        if (!catalogGame) {
+            return interaction.editReply({
+                content: '❌ **Unknown game!**\n\nPlease pick a game from the list. Admins can add games with `/games add`.'
+            });
+        }
+
+        const catalogMode = catalogGame.modes.find(mode => mode.name === gamemode);
+        if (!catalogMode) {
+            return interaction.editReply({
+                content: '❌ **Invalid game mode!**\n\nPlease select a valid game mode for the chosen game.'
+            });
+        }
+
+        // Role slots come from the /lfg option or the mode's catalog entry
+        const rolesInput = interaction.options.getString('roles')?.trim();
+        const roleSlots = rolesInput
+            ? (rolesInput.toLowerCase() === 'none' ? null : parseRoleSlots(rolesInput))
+            : catalogMode.roles;
+        if (roleSlots && roleSlots.length === 0) {
+            return interaction.editReply({
+                content: '❌ **Invalid roles!**\n\nUse a list like `Tank:1, DPS:2, Support:2`, or `none` for a plain head count.'
+            });
+        }
+
+        const roleTotal = roleSlots ? getRoleSlotTotal(roleSlots) : null;
+        if (roleSlots && (roleTotal < 2 || roleTotal > 10)) {
+            return interaction.editReply({
+                content: `❌ **Invalid roles!**\n\nRole slots must add up to 2-10 players (${formatRoleSlots(roleSlots)} is ${roleTotal}).`
+            });
+        }
+
+        const playersOption = interaction.options.getInteger('players');
+        if (roleSlots && playersOption !== null && playersOption !== roleTotal) {
+            return interaction.editReply({
+                content: `❌ **Player count doesn't match the roles!**\n\n🎭 ${formatRoleSlots(roleSlots)} needs **${roleTotal}** players. Drop the \`players\` option or change \`roles\`.`
+            });
+        }
+
+        const myRoleInput = interaction.options.getString('my_role');
+        const creatorRole = myRoleInput
+            ? roleSlots?.find(role => role.name.toLowerCase() === myRoleInput.toLowerCase())?.name
+            : null;
+        if (myRoleInput && !creatorRole) {
+            return interaction.editReply({
+                content: roleSlots
+                    ? `❌ **Unknown role!**\n\n🎭 Pick one of: ${roleSlots.map(role => role.name).join(', ')}`
+                    : '❌ **This session has no role slots!**\n\nSet `roles` to use `my_role`.'
+            });
+        }
+
+        const playersNeeded = roleTotal ?? playersOption ?? catalogMode.defaultPlayers;
+        if (!playersNeeded) {
+            return interaction.editReply({
+                content: `❌ **Party size required!**\n\n**${catalogGame.name} - ${catalogMode.name}** has no default party size, please set the \`players\` option.`
+            });
+        }
+
+        // Scheduled sessions need a valid future start time
+        let scheduledFor = null;
+        if (interaction.options.getSubcommand() === 'schedule') {
+            const timeZone = interaction.options.getString('timezone') || 'UTC';
+            if (!isValidTimeZone(timeZone)) {
+                return interaction.editReply({
+                    content: `❌ **Unknown timezone \`${timeZone}\`!**\n\nPick one from the list, e.g. \`Europe/Berlin\` or \`America/New_York\`.`
+                });
+            }
+
+            scheduledFor = parseScheduledTime(interaction.options.getString('start'), timeZone);
+            if (!scheduledFor) {
+                return interaction.editReply({
+                    content: '❌ **Invalid start time!**\n\nUse `YYYY-MM-DD HH:MM` (e.g. `2025-06-01 19:30`) or just `HH:MM` for the next occurrence.'
+                });
+            }
+
+            if (scheduledFor.getTime() <= Date.now() || scheduledFor.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+                return interaction.editReply({
+                    content: '❌ **Start time out of range!**\n\nScheduled sessions must start in the future and within the next 14 days.'
+                });
+            }
+        }
+
+        // Optional rank/region/platform requirements
+        const { requirements, error: requirementsError } = parseSessionRequirements(interaction);
+        if (requirementsError) {
+            return interaction.editReply({ content: requirementsError });
+        }
+
+        // Check bot permissions before creating session
+        if (!hasRequiredPermissions(interaction.guild, interaction.member)) {
+            return interaction.editReply({
+                content: getPermissionErrorMessage()
+            });
+        }
+
+        // Create session
+        const session = await createLFGSession({
+            guildId,
+            channelId,
+            creator: interaction.user,
+            game,
+            gamemode,
+            playersNeeded,
+            info,
+            scheduledFor,
+            requirements,
+            roleSlots,
+            creatorRole
+        });
+        const sessionId = session.id;
+
+        // Create and send embed
+        const embed = createLFGEmbed(session);
+        const components = createSessionComponents(session);
+
+        let message;
+        if (postsElsewhere) {
+            message = await lfgChannel.send({
+                embeds: [embed],
+                components
+            });
+
+            await interaction.editReply({
+                content: `✅ **Your LFG session has been posted in <#${lfgChannel.id}>!**\n\n🔗 ${message.url}`
+            });
+        } else {
+            message = await interaction.editReply({
+                embeds: [embed],
+                components
+            });
+        }
+
+        // Update session with message ID
+        await sessionRepository.update(session, { messageId: message.id });
+        scheduleBoardUpdate(guildId);
+        emitSessionEvent(session, 'session.created');
+
+        const gameDisplayName = getGameDisplayName(guildId, game);
+        console.log(`🎮 New LFG session created: ${gameDisplayName} - ${gamemode} by ${interaction.user.username} (${sessionId.slice(-6)})`);
+
+        // Fill open slots with players waiting in the matchmaking queue
+        if (!scheduledFor) {
+            await pullQueuedPlayers(session);
+        }
+
+        if (!isSessionFull(session)) {
+            await notifySubscribers(session);
+        }
+
+    } catch (error) {
+        console.error('❌ Error in handleLFGCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to create LFG session!**\n\nPlease try again. If the problem persists, contact support.'
+            }).catch(console.error);
+        }
+    }
+}
+
+// Resolve which owned session a command acts on, replying with a picker when there are several
+async function resolveOwnedSession(interaction, pickedSessionId, pickerAction, placeholder) {
+    if (pickedSessionId) {
+        const session = activeSessions.get(pickedSessionId);
+        if (!session || session.creatorId !== interaction.user.id) {
+            await interaction.editReply({
+                content: '❌ **Session not found!**\n\nYour session may have already ended.',
+                components: []
+            });
+            return null;
+        }
+        return session;
+    }
+
+    const ownedSessions = getOwnedSessions(interaction.user.id, interaction.guildId);
+
+    if (ownedSessions.length === 0) {
+        await interaction.editReply({
+            content: '❌ **You don\'t have an active LFG session!**\n\n💡 Create a session with `/lfg create` first.',
+        });
+        return null;
+    }
+
+    if (ownedSessions.length > 1) {
+        await interaction.editReply({
+            content: `🎮 **You own ${ownedSessions.length} sessions here.** Pick one:`,
+            components: [createSessionPicker(`${pickerAction}_${interaction.user.id}`, ownedSessions, placeholder)]
+        });
+        return null;
+    }
+
+    return ownedSessions[0];
+}
+
+// 📌 Handle LFG Bump Command
+async function handleBumpCommand(interaction, pickedSessionId = null) {
+    try {
+        if (pickedSessionId) {
+            await interaction.deferUpdate();
+        } else {
+            await interaction.deferReply({ flags: 64 });
+        }
+
+        const session = await resolveOwnedSession(interaction, pickedSessionId, 'bumppick', 'Choose a session to bump');
+        if (!session) return;
+        const sessionId = session.id;
+
+        const lastBump = sessionBumpTimestamps.get(sessionId) || 0;
+        if (Date.now() - lastBump < SESSION_BUMP_COOLDOWN_MS) {
+            const nextBump = Math.floor((lastBump + SESSION_BUMP_COOLDOWN_MS) / 1000);
+            return interaction.editReply({
+                content: `⏳ **Slow down!**\n\nYou can bump this session again <t:${nextBump}:R>.`,
+                components: []
+            });
+        }
+
+        // Delete the old embed and post a fresh one at the bottom of the channel
+        const channel = client.channels.cache.get(session.channelId);
+        if (channel && session.messageId) {
+            const oldMessage = await fetchIfExists(channel.messages.fetch(session.messageId));
+            await oldMessage?.delete().catch(error => console.error('❌ Failed to delete bumped message:', error));
+        }
+
+        session.messageId = null;
+        await updateSessionMessage(session);
+        sessionBumpTimestamps.set(sessionId, Date.now());
+
+        await interaction.editReply({
+            content: `✅ **Session bumped!**\n\n📢 It's now at the bottom of <#${session.channelId}>.`,
+            components: []
+        });
+
+        console.log(`📌 User ${interaction.user.username} bumped session ${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('❌ Error in handleBumpCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to bump session!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// Get a link that jumps to a session's message
+function getSessionMessageUrl(session) {
+    return session.messageId
+        ? `https://discord.com/channels/${session.guildId}/${session.channelId}/${session.messageId}`
+        : null;
+}
+
+// Describe a session's status in one short label
+function getSessionStatusLabel(session) {
+    const label = session.status === 'scheduled' ? '📅 Scheduled'
+        : session.status === 'confirming' ? '⏳ Ready-check'
+        : isSessionFull(session) ? '✅ Full' : '🔍 Looking';
+    return session.isLocked ? `${label} 🔒` : label;
+}
+
+// Get the guild's active sessions matching a /sessions filter, oldest first
+function getBrowsableSessions(browser) {
+    return Array.from(activeSessions.values())
+        .filter(session =>
+            session.guildId === browser.guildId &&
+            (!browser.game || session.game === browser.game) &&
+            (!browser.gamemode || session.gamemode.toLowerCase() === browser.gamemode.toLowerCase()) &&
+            (!browser.openSlots || session.playersNeeded - session.currentPlayers.length >= browser.openSlots))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Build one page of the /sessions browser
+function createSessionBrowserPage(browserId, browser, guildName) {
+    const sessions = getBrowsableSessions(browser);
+    const pageCount = Math.max(1, Math.ceil(sessions.length / SESSIONS_PER_PAGE));
+    browser.page = Math.min(Math.max(browser.page, 0), pageCount - 1);
+
+    const filters = [
+        browser.game && getGameDisplayName(browser.guildId, browser.game),
+        browser.gamemode,
+        browser.openSlots && `${browser.openSlots}+ open slot${browser.openSlots === 1 ? '' : 's'}`
+    ].filter(Boolean);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🔍 Active Sessions - ${guildName}`)
+        .setColor(0x3498db)
+        .setFooter({ text: `Page ${browser.page + 1}/${pageCount} | ${sessions.length} session${sessions.length === 1 ? '' : 's'}` })
+        .setTimestamp();
+
+    if (filters.length > 0) {
+        embed.setDescription(`**Filters:** ${filters.join(' | ')}`);
+    }
+
+    const pageSessions = sessions.slice(browser.page * SESSIONS_PER_PAGE, (browser.page + 1) * SESSIONS_PER_PAGE);
+
+    if (pageSessions.length === 0) {
+        embed.addFields({
+            name: '😴 No sessions found',
+            value: 'Nothing matches right now - create one with `/lfg create` or wait with `/quickjoin queue: True`'
+        });
+    }
+
+    for (const session of pageSessions) {
+        const url = getSessionMessageUrl(session);
+        const openRoles = session.roleSlots ? [...new Set(getOpenRoles(session))] : [];
+        const requirementsText = session.requirements ? formatRequirements(session.requirements) : '';
+
+        embed.addFields({
+            name: `${getGameDisplayName(session.guildId, session.game)} - ${session.gamemode}`.substring(0, 256),
+            value: [
+                `${getSessionStatusLabel(session)} | 👥 ${session.currentPlayers.length}/${session.playersNeeded} | 👤 <@${session.creatorId}>`,
+                openRoles.length > 0 ? `🎭 Open roles: ${openRoles.join(', ')}` : null,
+                requirementsText ? `📋 ${requirementsText.replace(/\n/g, ' | ')}` : null,
+                `🆔 \`${session.id.slice(-6)}\`${url ? ` | [Jump to session](${url})` : ''}`
+            ].filter(Boolean).join('\n').substring(0, 1024)
+        });
+    }
+
+    const navigation = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`sessionsprev_${browserId}`)
+            .setLabel('Previous')
+            .setEmoji('◀️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(browser.page === 0),
+        new ButtonBuilder()
+            .setCustomId(`sessionsnext_${browserId}`)
+            .setLabel('Next')
+            .setEmoji('▶️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(browser.page >= pageCount - 1)
+    );
+
+    return { embeds: [embed], components: pageCount > 1 ? [navigation] : [] };
+}
+
+// 🔍 Handle Sessions Command
+async function handleSessionsCommand(interaction) {
+    try {
+        const gameOption = interaction.options.getString('game');
+        const catalogGame = gameOption ? findGuildGame(interaction.guildId, gameOption) : null;
+
+        if (gameOption && !catalogGame) {
+            return interaction.reply({
+                content: '❌ **Unknown game!**\n\nPick a game from the list or check `/help` for supported games.',
+                flags: 64
+            });
+        }
+
+        // Filters live in memory so the page buttons can re-run them against live sessions
+        const browserId = interaction.id;
+        const browser = {
+            userId: interaction.user.id,
+            guildId: interaction.guildId,
+            game: catalogGame?.value || null,
+            gamemode: interaction.options.getString('gamemode'),
+            openSlots: interaction.options.getInteger('open_slots'),
+            page: 0
+        };
+        sessionBrowsers.set(browserId, browser);
+        setTimeout(() => sessionBrowsers.delete(browserId), SESSION_BROWSER_TTL_MS);
+
+        await interaction.reply({
+            ...createSessionBrowserPage(browserId, browser, interaction.guild.name),
+            flags: 64
+        });
+
+    } catch (error) {
+        console.error('❌ Error in handleSessionsCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: '❌ **Failed to list sessions!**\n\nPlease try again.',
+                flags: 64
+            }).catch(console.error);
+        }
+    }
+}
+
+// Handle the /sessions page buttons
+async function handleSessionBrowserPage(interaction, browserId, direction) {
+    const browser = sessionBrowsers.get(browserId);
+    if (!browser || browser.userId !== interaction.user.id) {
+        return interaction.update({
+            content: '⌛ **This list has expired.** Run `/sessions` again for a fresh one.',
+            embeds: [],
+            components: []
+        });
+    }
+
+    browser.page += direction;
+    await interaction.update(createSessionBrowserPage(browserId, browser, interaction.guild.name));
+}
+
+// 🔎 Handle Session Info Command
+async function handleSessionInfoCommand(interaction) {
+    try {
+        const shortId = interaction.options.getString('id').trim().toLowerCase();
+        const session = Array.from(activeSessions.values()).find(s =>
+            s.guildId === interaction.guildId && s.id.slice(-6) === shortId
+        );
+
+        if (!session) {
+            return interaction.reply({
+                content: `❌ **No active session with ID \`${shortId}\`!**\n\n` +
+                        '💡 The ID is the six characters in the session footer - it may have already ended. Use `/sessions` to browse.',
+                flags: 64
+            });
+        }
+
+        const url = getSessionMessageUrl(session);
+
+        await interaction.reply({
+            content: `${getSessionStatusLabel(session)}${url ? ` | 🔗 ${url}` : ''}`,
+            embeds: [createLFGEmbed(session)],
+            flags: 64
+        });
+
+    } catch (error) {
+        console.error('❌ Error in handleSessionInfoCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: '❌ **Failed to load session!**\n\nPlease try again.',
+                flags: 64
+            }).catch(console.error);
+        }
+    }
+}
+
+// 🚀 Handle Quick Join Command
+async function handleQuickJoinCommand(interaction) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const game = interaction.options.getString('game');
+        const gamemode = interaction.options.getString('gamemode');
+        const userId = interaction.user.id;
+        const guildId = interaction.guild.id;
+        const gameDisplayName = getGameDisplayName(guildId, game);
+
+        // Check if user is already in a session
+        const membershipBlockReason = getMembershipBlockReason(userId, guildId);
+        if (membershipBlockReason) {
+            return interaction.editReply({ content: membershipBlockReason });
+        }
+        
+        // Find available sessions for the specified game and gamemode
+        const availableSessions = Array.from(activeSessions.values()).filter(session => 
+            session.guildId === guildId &&
+            session.game === game &&
+            session.gamemode === gamemode &&
+            !isSessionFull(session) &&
+            session.status === 'waiting'
+        );
+        
+        // Sort by creation time and pick the oldest session the user can join (in their role, if they named one)
+        const wantedRole = interaction.options.getString('role')?.toLowerCase();
+        const findOpenRole = session => getOpenRoles(session).find(role => !wantedRole || role.toLowerCase() === wantedRole);
+        availableSessions.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const targetSession = availableSessions.find(session =>
+            !getJoinBlockReason(session, userId) &&
+            !getRequirementBlockReason(session, interaction.member) &&
+            (!session.roleSlots || findOpenRole(session))
+        );
+        
+        if (!targetSession) {
+            if (!interaction.options.getBoolean('queue')) {
+                return interaction.editReply({
+                    content: `❌ **No available ${gameDisplayName} sessions found!**\n\n` +
+                            `🔍 **Game:** ${gameDisplayName} - ${gamemode}\n` +
+                            '💡 Create your own session with `/lfg create`, try a different game/mode, or use `queue: True` to wait for a match',
+                });
+            }
+
+            const catalogMode = findGuildGame(guildId, game)?.modes.find(mode => mode.name === gamemode);
+            if (!catalogMode) {
+                return interaction.editReply({
+                    content: '❌ **Invalid game mode!**\n\nPlease select a valid game mode for the chosen game.',
+                });
+            }
+
+            const entry = await addToQueue({
+                guildId,
+                channelId: interaction.channel.id,
+                user: interaction.user,
+                game,
+                gamemode
+            });
+
+            console.log(`⏳ Queue: ${interaction.user.username} queued for ${gameDisplayName} - ${gamemode}`);
+
+            await tryMatchQueue(guildId, game, gamemode);
+
+            // Matching may have placed the user straight into a new session
+            if (!queuedUsers.has(getQueueKey(guildId, userId))) {
+                return interaction.editReply({
+                    content: `🎯 **Match found!**\n\n🎮 A **${gameDisplayName} - ${gamemode}** group was created from the queue - confirm the ready-check to get your voice channel.`,
+                });
+            }
+
+            const waiting = getQueueEntriesFor(guildId, game, gamemode).length;
+            const expiresAt = Math.floor(new Date(entry.expiresAt).getTime() / 1000);
+
+            return interaction.editReply({
+                content: `⏳ **You're in the queue for ${gameDisplayName} - ${gamemode}!**\n\n` +
+                        (catalogMode.defaultPlayers
+                            ? `👥 **Waiting:** ${waiting}/${catalogMode.defaultPlayers} players needed for a group\n`
+                            : `👥 **Waiting:** ${waiting} - you'll be added when someone posts a matching \`/lfg create\`\n`) +
+                        `⌛ **Expires:** <t:${expiresAt}:R>\n` +
+                        '💡 Use `/queue status` to check in or `/queue leave` to stop waiting',
+            });
+        }
+        
+        const role = targetSession.roleSlots ? findOpenRole(targetSession) : null;
+        await addPlayerToSession(targetSession, interaction.user, role);
+        
+        await interaction.editReply({
+            content: `✅ **Quick Join successful!**\n\n` +
+                    `🎮 **Game:** ${gameDisplayName} - ${gamemode}\n` +
+                    (role ? `🎭 **Role:** ${role}\n` : '') +
+                    `👥 **Players:** ${targetSession.currentPlayers.length}/${targetSession.playersNeeded}\n` +
+                    `👤 **Session Creator:** <@${targetSession.creatorId}>\n` +
+                    `🆔 **Session ID:** ${targetSession.id.slice(-6)}`,
+        });
+        
+        console.log(`🚀 Quick Join: ${interaction.user.username} joined ${gameDisplayName} session #${targetSession.id.slice(-6)}`);
+        
+    } catch (error) {
+        console.error('Error in handleQuickJoinCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Quick Join failed!**\n\nSomething went wrong while trying to join a session. Please try again or use `/lfg create` to create your own session.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// ⏳ Handle Queue Command
+async function handleQueueCommand(interaction) {
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        const entry = queuedUsers.get(getQueueKey(guildId, interaction.user.id));
+
+        if (!entry) {
+            return interaction.reply({
+                content: '❌ **You\'re not in the matchmaking queue!**\n\n💡 Use `/quickjoin` with `queue: True` to start waiting for a match.',
+                flags: 64
+            });
+        }
+
+        const gameDisplayName = getGameDisplayName(guildId, entry.game);
+
+        if (subcommand === 'leave') {
+            await removeFromQueue(guildId, interaction.user.id);
+            console.log(`🚪 Queue: ${interaction.user.username} left the ${gameDisplayName} - ${entry.gamemode} queue`);
+
+            return interaction.reply({
+                content: `✅ **You left the ${gameDisplayName} - ${entry.gamemode} queue.**`,
+                flags: 64
+            });
+        }
+
+        if (subcommand === 'status') {
+            const entries = getQueueEntriesFor(guildId, entry.game, entry.gamemode);
+            const position = entries.findIndex(e => e.userId === interaction.user.id) + 1;
+            const partySize = findGuildGame(guildId, entry.game)?.modes.find(mode => mode.name === entry.gamemode)?.defaultPlayers;
+
+            const embed = new EmbedBuilder()
+                .setTitle(`⏳ Queue - ${gameDisplayName} - ${entry.gamemode}`)
+                .setColor(0xf39c12)
+                .addFields(
+                    { name: '📍 Position', value: `${position}/${entries.length}`, inline: true },
+                    { name: '👥 Group Size', value: partySize ? `${partySize} players` : 'Waiting for an `/lfg create` post', inline: true },
+                    { name: '⌛ Expires', value: `<t:${Math.floor(new Date(entry.expiresAt).getTime() / 1000)}:R>`, inline: true }
+                )
+                .setFooter({ text: 'Use /queue leave to stop waiting' })
+                .setTimestamp(new Date(entry.queuedAt));
+
+            return interaction.reply({
+                embeds: [embed],
+                flags: 64
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Error in handleQueueCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: '❌ **Failed to update your queue entry!**\n\nPlease try again.',
+                flags: 64
+            }).catch(console.error);
+        }
+    }
+}
+
+// Refresh the embeds of every session a player is in (after their profile changes)
+async function refreshPlayerSessions(userId) {
+    for (const session of activeSessions.values()) {
+        if (session.currentPlayers.some(player => player.id === userId)) {
+            await updateSessionMessage(session);
+        }
+    }
+}
+
+// 🪪 Handle Profile Command
+async function handleProfileCommand(interaction) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const subcommand = interaction.options.getSubcommand();
+        const userId = interaction.user.id;
+        const guildId = interaction.guild.id;
+        const profile = userProfilesCache.get(userId);
+        await ensureGuildCatalog(guildId);
+
+        if (subcommand === 'view') {
+            const user = interaction.options.getUser('user') || interaction.user;
+            const viewed = userProfilesCache.get(user.id);
+
+            if (!viewed) {
+                return interaction.editReply({
+                    content: user.id === userId
+                        ? '🪪 **You don\'t have a profile yet!**\n\n💡 Use `/profile ign` to add your in-game names and `/profile set` for the rest.'
+                        : `🪪 **<@${user.id}> hasn't set up a profile yet.**`
+                });
+            }
+
+            const gameNames = Object.entries(viewed.gameNames || {});
+            const embed = new EmbedBuilder()
+                .setTitle(`🪪 ${user.username}'s Profile`)
+                .setThumbnail(user.displayAvatarURL())
+                .setColor(0x3498db)
+                .addFields(
+                    { name: '🖥️ Platform', value: viewed.platform || 'Not set', inline: true },
+                    { name: '🌍 Region', value: viewed.region || 'Not set', inline: true },
+                    { name: '🎯 Main Roles', value: viewed.mainRoles || 'Not set', inline: true },
+                    { name: '🕒 Availability', value: viewed.availability || 'Not set' },
+                    {
+                        name: '🎮 In-Game Names',
+                        value: gameNames.length > 0
+                            ? gameNames.map(([game, name]) => `**${getGameDisplayName(guildId, game)}:** \`${name}\``).join('\n')
+                            : 'None yet'
+                    }
+                )
+                .setFooter({ text: 'Update yours with /profile set and /profile ign' })
+                .setTimestamp(viewed.updatedAt ? new Date(viewed.updatedAt) : undefined);
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        if (subcommand === 'clear') {
+            if (!profile) {
+                return interaction.editReply({ content: '🪪 **You don\'t have a profile to delete.**' });
+            }
+
+            await storage.deleteUserProfile(userId);
+            userProfilesCache.delete(userId);
+            await refreshPlayerSessions(userId);
+
+            console.log(`🪪 ${interaction.user.username} deleted their profile`);
+
+            return interaction.editReply({ content: '✅ **Your profile has been deleted.**' });
+        }
+
+        let updates;
+        let confirmation;
+
+        if (subcommand === 'set') {
+            updates = {};
+            for (const [option, field] of [['platform', 'platform'], ['region', 'region'], ['roles', 'mainRoles'], ['availability', 'availability']]) {
+                const value = interaction.options.getString(option);
+                if (value !== null) updates[field] = value.trim();
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return interaction.editReply({
+                    content: '❌ **Nothing to update!**\n\nSet at least one of `platform`, `region`, `roles` or `availability`.'
+                });
+            }
+            confirmation = '✅ **Profile updated!**\n\n💡 Use `/profile view` to see it.';
+
+        } else if (subcommand === 'ign') {
+            const game = interaction.options.getString('game');
+            const catalogGame = findGuildGame(guildId, game);
+            if (!catalogGame) {
+                return interaction.editReply({ content: '❌ **Unknown game!**\n\nPlease pick a game from the list.' });
+            }
+
+            // Backticks would break the code formatting on the session embed
+            const name = interaction.options.getString('name').replace(/`/g, '').trim();
+            if (!name) {
+                return interaction.editReply({ content: '❌ **Invalid in-game name!**' });
+            }
+
+            updates = { gameNames: { ...(profile?.gameNames || {}), [catalogGame.value]: name } };
+            confirmation = `✅ **Your ${catalogGame.name} name is now \`${name}\`!**\n\n🎮 It shows next to you on ${catalogGame.name} sessions.`;
+
+        } else if (subcommand === 'clearign') {
+            const game = interaction.options.getString('game');
+            if (!profile?.gameNames?.[game]) {
+                return interaction.editReply({ content: `❌ **You haven't set a name for ${getGameDisplayName(guildId, game)}.**` });
+            }
+
+            const { [game]: removed, ...gameNames } = profile.gameNames;
+            updates = { gameNames };
+            confirmation = `✅ **Removed your ${getGameDisplayName(guildId, game)} name.**`;
+        }
+
+        const savedProfile = await storage.upsertUserProfile(userId, updates);
+        userProfilesCache.set(userId, savedProfile);
+        await refreshPlayerSessions(userId);
+
+        console.log(`🪪 ${interaction.user.username} updated their profile (${subcommand})`);
+
+        return interaction.editReply({ content: confirmation });
+
+    } catch (error) {
+        console.error('❌ Error in handleProfileCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to update your profile!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// 🔔 Handle Notify Command
+async function handleNotifyCommand(interaction) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const subcommand = interaction.options.getSubcommand();
+        const userId = interaction.user.id;
+        const guildId = interaction.guild.id;
+        await ensureGuildCatalog(guildId);
+
+        if (subcommand === 'list') {
+            const subscriptions = getUserSubscriptions(guildId, userId);
+            const settings = notificationSettingsCache.get(userId);
+            const deliveryText = guildSettingsCache.get(guildId)?.notifyMode === 'role'
+                ? 'Role ping in the LFG channel'
+                : 'Direct message';
+
+            const embed = new EmbedBuilder()
+                .setTitle('🔔 Your Session Alerts')
+                .setColor(0x3498db)
+                .setDescription(subscriptions.length > 0
+                    ? subscriptions.map(subscription =>
+                        `🎮 **${getGameDisplayName(guildId, subscription.game)}** - ${subscription.gamemode || 'any mode'}`).join('\n')
+                    : 'No alerts yet - use `/notify add` to subscribe to a game.')
+                .addFields(
+                    { name: '📬 Delivery', value: deliveryText, inline: true },
+                    { name: '🌙 Quiet Hours', value: formatQuietHours(settings), inline: true },
+                    { name: '⏳ Cooldown', value: formatDuration(NOTIFY_COOLDOWN_MS / 1000), inline: true }
+                );
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        if (subcommand === 'quiet') {
+            const start = interaction.options.getInteger('start');
+            const end = interaction.options.getInteger('end');
+            const timeZone = interaction.options.getString('timezone') || notificationSettingsCache.get(userId)?.timezone || 'UTC';
+
+            if ((start === null) !== (end === null) || (start !== null && start === end)) {
+                return interaction.editReply({
+                    content: '❌ **Invalid quiet hours!**\n\nGive both a `start` and an `end` hour (and make them different), or neither to turn quiet hours off.'
+                });
+            }
+
+            if (!isValidTimeZone(timeZone)) {
+                return interaction.editReply({ content: `❌ **Unknown timezone \`${timeZone}\`!**\n\nPick one from the list, e.g. \`Europe/Berlin\`.` });
+            }
+
+            const settings = await storage.upsertNotificationSettings(userId, {
+                quietStartHour: start,
+                quietEndHour: end,
+                timezone: timeZone
+            });
+            notificationSettingsCache.set(userId, settings);
+
+            return interaction.editReply({
+                content: start === null
+                    ? '✅ **Quiet hours turned off.**'
+                    : `✅ **Quiet hours set to ${formatQuietHours(settings)}!**\n\n🌙 You won't get session alerts during that time.`
+            });
+        }
+
+        const catalogGame = findGuildGame(guildId, interaction.options.getString('game'));
+        if (!catalogGame) {
+            return interaction.editReply({ content: '❌ **Unknown game!**\n\nPlease pick a game from the list.' });
+        }
+
+        const modeName = interaction.options.getString('mode');
+        const catalogMode = modeName ? catalogGame.modes.find(mode => mode.name.toLowerCase() === modeName.toLowerCase()) : null;
+        if (modeName && !catalogMode) {
+            return interaction.editReply({ content: `❌ **Unknown mode for ${catalogGame.name}!**\n\nPlease pick a mode from the list.` });
+        }
+
+        const gamemode = catalogMode?.name || '';
+        const label = `${catalogGame.name} - ${gamemode || 'any mode'}`;
+        const guildSubscriptions = notificationSubscriptionsCache.get(guildId) || [];
+
+        if (subcommand === 'add') {
+            const subscriptions = getUserSubscriptions(guildId, userId);
+            if (subscriptions.some(subscription => subscription.game === catalogGame.value && subscription.gamemode === gamemode)) {
+                return interaction.editReply({ content: `🔔 **You're already subscribed to ${label}.**` });
+            }
+
+            if (subscriptions.length >= MAX_SUBSCRIPTIONS_PER_USER) {
+                return interaction.editReply({
+                    content: `❌ **Too many alerts!**\n\nYou can have up to ${MAX_SUBSCRIPTIONS_PER_USER} - remove one with \`/notify remove\` first.`
+                });
+            }
+
+            const subscription = await storage.addNotificationSubscription(guildId, userId, catalogGame.value, gamemode);
+            if (subscription) {
+                notificationSubscriptionsCache.set(guildId, [...guildSubscriptions, subscription]);
+            }
+
+            console.log(`🔔 ${interaction.user.username} subscribed to ${label}`);
+
+            return interaction.editReply({
+                content: `✅ **Subscribed to ${label}!**\n\n` +
+                        `🔔 You'll hear about new sessions at most once every ${formatDuration(NOTIFY_COOLDOWN_MS / 1000)}.\n` +
+                        '💡 Use `/notify quiet` to mute alerts overnight'
+            });
+        }
+
+        if (subcommand === 'remove') {
+            const removed = await storage.removeNotificationSubscriptions(guildId, userId, catalogGame.value, catalogMode ? gamemode : null);
+            if (removed.length === 0) {
+                return interaction.editReply({ content: `❌ **You're not subscribed to ${label}.**` });
+            }
+
+            notificationSubscriptionsCache.set(guildId, guildSubscriptions.filter(subscription =>
+                !(subscription.userId === userId &&
+                  subscription.game === catalogGame.value &&
+                  (!catalogMode || subscription.gamemode === gamemode))));
+
+            console.log(`🔕 ${interaction.user.username} unsubscribed from ${label}`);
+
+            return interaction.editReply({
+                content: `✅ **Removed ${removed.length} alert${removed.length === 1 ? '' : 's'} for ${catalogMode ? label : catalogGame.name}.**`
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Error in handleNotifyCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to update your alerts!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// Format a number of seconds as a short duration, e.g. "4m 30s"
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined || Number.isNaN(seconds)) return 'n/a';
+    const rounded = Math.round(seconds);
+    if (rounded < 60) return `${rounded}s`;
+    const minutes = Math.floor(rounded / 60);
+    if (minutes < 60) return rounded % 60 ? `${minutes}m ${rounded % 60}s` : `${minutes}m`;
+    return minutes % 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+// Format a share of a total as a percentage
+function formatPercent(part, total) {
+    return total > 0 ? `${Math.round((part / total) * 100)}%` : 'n/a';
+}
+
+const END_REASON_LABELS = {
+    expired: '⏰ Expired',
+    creator_left: '👤 Creator left',
+    empty: '🚪 Everyone left',
+    manual: '🛑 Ended manually',
+    channel_deleted: '🗑️ Channel deleted'
+};
+
+// 📊 Handle Stats Command
+async function handleStatsCommand(interaction) {
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+
+        await interaction.deferReply(subcommand === 'me' ? { flags: 64 } : {});
+        await ensureGuildCatalog(guildId);
+
+        if (subcommand === 'me') {
+            const stats = await storage.getPlayerStats(guildId, interaction.user.id);
+            if (!stats) throw new Error('Player stats unavailable');
+
+            const embed = new EmbedBuilder()
+                .setTitle(`📊 Your LFG Stats - ${interaction.guild.name}`)
+                .setColor(0x3498db)
+                .setTimestamp();
+
+            if (stats.sessionsPlayed === 0) {
+                embed.setDescription('You haven\'t finished any sessions here yet.\n\n💡 Use `/lfg create` or `/quickjoin` to find a group!');
+                return interaction.editReply({ embeds: [embed] });
+            }
+
+            embed.addFields(
+                { name: '🎮 Sessions Played', value: `${stats.sessionsPlayed}`, inline: true },
+                { name: '👑 Sessions Created', value: `${stats.sessionsCreated}`, inline: true },
+                { name: '🕒 Last Played', value: stats.lastPlayedAt ? `<t:${Math.floor(stats.lastPlayedAt.getTime() / 1000)}:R>` : 'n/a', inline: true },
+                {
+                    name: '⭐ Favourite Games',
+                    value: stats.topModes
+                        .map((row, index) => `${index + 1}. **${getGameDisplayName(guildId, row.game)}** - ${row.gamemode} (${row.sessions})`)
+                        .join('\n')
+                }
+            );
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        const game = subcommand === 'game' ? interaction.options.getString('game') : null;
+        const stats = await storage.getSessionStats(guildId, game);
+        if (!stats) throw new Error('Session stats unavailable');
+
+        const title = game
+            ? `📊 ${getGameDisplayName(guildId, game)} Stats`
+            : `📊 LFG Stats - ${interaction.guild.name}`;
+        const embed = new EmbedBuilder()
+            .setTitle(title)
+            .setColor(0x3498db)
+            .setFooter({ text: 'Fill rate counts sessions that reached their full group size' })
+            .setTimestamp();
+
+        if (stats.totalSessions === 0) {
+            embed.setDescription('No sessions have finished yet - check back after a few games!');
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        embed.addFields(
+            { name: '🎮 Sessions', value: `${stats.totalSessions}`, inline: true },
+            { name: '✅ Fill Rate', value: formatPercent(stats.filledSessions, stats.totalSessions), inline: true },
+            { name: '⏱️ Median Time to Fill', value: formatDuration(stats.medianFillSeconds), inline: true },
+            { name: '🔊 Voice Channels Opened', value: formatPercent(stats.voiceSessions, stats.totalSessions), inline: true },
+            {
+                name: game ? '🏆 Popular Modes' : '🏆 Popular Games',
+                value: stats.topModes
+                    .map((row, index) => `${index + 1}. **${getGameDisplayName(guildId, row.game)}** - ${row.gamemode} ` +
+                        `(${row.sessions} sessions, ${formatPercent(row.filledSessions, row.sessions)} filled)`)
+                    .join('\n')
+            },
+            {
+                name: '👥 Most Active Players',
+                value: stats.topPlayers
+                    .map((row, index) => `${index + 1}. <@${row.userId}> (${row.sessions})`)
+                    .join('\n') || 'n/a'
+            },
+            {
+                name: '🛑 How Sessions Ended',
+                value: stats.endReasons
+                    .sort((a, b) => b.sessions - a.sessions)
+                    .map(row => `${END_REASON_LABELS[row.endReason] || row.endReason}: ${row.sessions}`)
+                    .join('\n')
+            }
+        );
+
+        return interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+
+    } catch (error) {
+        console.error('❌ Error in handleStatsCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to load statistics!**\n\nPlease try again later.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// Check if a member may manage a template (its creator or an admin)
+function canManageTemplate(template, member) {
+    return template.creatorId === member.id || isGuildAdmin(member);
+}
+
+// Describe a template in one line for lists and autocomplete
+function describeTemplate(template) {
+    return `${getGameDisplayName(template.guildId, template.game)} - ${template.gamemode} | ${template.cronExpression} (${template.timezone})`;
+}
+
+// Filter manageable templates for an autocomplete response
+function getTemplateAutocompleteChoices(interaction, query) {
+    const search = query.toLowerCase();
+    return Array.from(sessionTemplatesCache.values())
+        .filter(template => template.guildId === interaction.guildId && canManageTemplate(template, interaction.member))
+        .filter(template => template.id.includes(search) || describeTemplate(template).toLowerCase().includes(search))
+        .slice(0, 25)
+        .map(template => ({
+            name: `${template.isPaused ? '⏸️' : '🔁'} ${template.id} - ${describeTemplate(template)}`.substring(0, 100),
+            value: template.id
+        }));
+}
+
+// 🔁 Handle Template Command
+async function handleTemplateCommand(interaction) {
+    try {
+        await interaction.deferReply({ flags: 64 });
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        await ensureGuildCatalog(guildId);
+
+        if (subcommand === 'list') {
+            const templates = Array.from(sessionTemplatesCache.values()).filter(template => template.guildId === guildId);
+            const embed = new EmbedBuilder()
+                .setTitle(`🔁 Recurring Sessions - ${interaction.guild.name}`)
+                .setColor(0x9b59b6)
+                .setFooter({ text: `${templates.length}/${MAX_TEMPLATES_PER_GUILD} templates | Use /template to manage them` })
+                .setTimestamp();
+
+            if (templates.length === 0) {
+                embed.setDescription('No recurring sessions yet. Create one with `/template create`.');
+            }
+
+            for (const template of templates) {
+                const nextRun = getTemplateNextRun(template);
+                embed.addFields({
+                    name: `${template.isPaused ? '⏸️' : '🔁'} ${template.id} - ${getGameDisplayName(guildId, template.game)} - ${template.gamemode}`,
+                    value: `📅 \`${template.cronExpression}\` (${template.timezone})\n` +
+                           `👥 ${template.playersNeeded} players | 📢 <#${template.channelId}> | 👤 <@${template.creatorId}>\n` +
+                           (template.isPaused ? '⏸️ Paused' : nextRun ? `⏭️ Next: <t:${Math.floor(nextRun.getTime() / 1000)}:f>` : '⏭️ Next: unknown')
+                });
+            }
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        if (subcommand === 'create') {
+            const guildTemplates = Array.from(sessionTemplatesCache.values()).filter(template => template.guildId === guildId);
+            if (guildTemplates.length >= MAX_TEMPLATES_PER_GUILD) {
+                return interaction.editReply({ content: `❌ **Too many templates!**\n\nA server can have up to ${MAX_TEMPLATES_PER_GUILD} recurring sessions.` });
+            }
+        }
+
+        let template = null;
+        if (subcommand !== 'create') {
+            template = sessionTemplatesCache.get(interaction.options.getString('template'));
+            if (!template || template.guildId !== guildId) {
+                return interaction.editReply({ content: '❌ **Template not found!**\n\n💡 Use `/template list` to see the recurring sessions here.' });
+            }
+
+            if (!canManageTemplate(template, interaction.member)) {
+                return interaction.editReply({ content: '❌ **You can only manage your own templates!**' });
+            }
+        }
+
+        if (subcommand === 'pause' || subcommand === 'resume') {
+            const updatedTemplate = await storage.updateSessionTemplate(template.id, { isPaused: subcommand === 'pause' });
+            sessionTemplatesCache.set(template.id, updatedTemplate);
+            scheduleTemplate(updatedTemplate);
+
+            console.log(`🔁 Template ${template.id} ${subcommand}d by ${interaction.user.username}`);
+
+            return interaction.editReply({
+                content: subcommand === 'pause'
+                    ? `⏸️ **Template ${template.id} paused.**\n\nUse \`/template resume\` to start posting again.`
+                    : `▶️ **Template ${template.id} resumed!**\n\n📅 ${describeTemplate(updatedTemplate)}`
+            });
+        }
+
+        if (subcommand === 'delete') {
+            unscheduleTemplate(template.id);
+            await storage.deleteSessionTemplate(template.id);
+            sessionTemplatesCache.delete(template.id);
+
+            console.log(`🗑️ Template ${template.id} deleted by ${interaction.user.username}`);
+
+            return interaction.editReply({ content: `✅ **Template ${template.id} deleted.**` });
+        }
+
+        // create / edit share validation
+        const game = interaction.options.getString('game') ?? template?.game;
+        const gamemode = interaction.options.getString('gamemode') ?? template?.gamemode;
+        const cronExpression = interaction.options.getString('schedule')?.trim() ?? template?.cronExpression;
+        const timeZone = interaction.options.getString('timezone') ?? template?.timezone ?? 'UTC';
+        const channel = interaction.options.getChannel('channel')
+            ?? (template ? { id: template.channelId } : getConfiguredLFGChannel(interaction.guild) || interaction.channel);
+
+        const catalogGame = findGuildGame(guildId, game);
+        const catalogMode = catalogGame?.modes.find(mode => mode.name === gamemode);
+        if (!catalogGame || !catalogMode) {
+            return interaction.editReply({ content: '❌ **Invalid game or game mode!**\n\nPick both from the catalog list.' });
+        }
+
+        const playersNeeded = interaction.options.getInteger('players')
+            ?? (template && template.game === game && template.gamemode === gamemode ? template.playersNeeded : null)
+            ?? catalogMode.defaultPlayers;
+        if (!playersNeeded) {
+            return interaction.editReply({
+                content: `❌ **Party size required!**\n\n**${catalogGame.name} - ${catalogMode.name}** has no default party size, please set the \`players\` option.`
+            });
+        }
+
+        if (!isValidTemplateSchedule(cronExpression)) {
+            return interaction.editReply({
+                content: '❌ **Invalid schedule!**\n\n' +
+                        'Use a 5-field cron expression with a fixed minute, e.g.:\n' +
+                        '• `0 19 * * 2,4` - Tuesdays and Thursdays at 19:00\n' +
+                        '• `30 20 * * 5` - Fridays at 20:30'
+            });
+        }
+
+        if (!isValidTimeZone(timeZone)) {
+            return interaction.editReply({ content: `❌ **Unknown timezone \`${timeZone}\`!**\n\nPick one from the list, e.g. \`Europe/Berlin\`.` });
+        }
+
+        const values = {
+            channelId: channel.id,
+            game,
+            gamemode,
+            playersNeeded,
+            info: interaction.options.getString('info') ?? template?.info ?? null,
+            cronExpression,
+            timezone: timeZone
+        };
+
+        const savedTemplate = subcommand === 'create'
+            ? await storage.createSessionTemplate({
+                id: generateSessionId().slice(0, 8),
+                guildId,
+                creatorId: interaction.user.id,
+                ...values
+            })
+            : await storage.updateSessionTemplate(template.id, values);
+
+        sessionTemplatesCache.set(savedTemplate.id, savedTemplate);
+        scheduleTemplate(savedTemplate);
+
+        const nextRun = getTemplateNextRun(savedTemplate);
+        console.log(`🔁 Template ${savedTemplate.id} ${subcommand === 'create' ? 'created' : 'updated'} by ${interaction.user.username}: ${describeTemplate(savedTemplate)}`);
+
+        return interaction.editReply({
+            content: `✅ **Template ${savedTemplate.id} ${subcommand === 'create' ? 'created' : 'updated'}!**\n\n` +
+                    `🎮 **Game:** ${catalogGame.name} - ${catalogMode.name} (${playersNeeded} players)\n` +
+                    `📅 **Schedule:** \`${cronExpression}\` (${timeZone})\n` +
+                    `📢 **Channel:** <#${savedTemplate.channelId}>\n` +
+                    (savedTemplate.isPaused ? '⏸️ **Paused**' : nextRun ? `⏭️ **Next post:** <t:${Math.floor(nextRun.getTime() / 1000)}:F>` : '')
+        });
+
+    } catch (error) {
+        console.error('❌ Error in handleTemplateCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to update the template!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// Initialize bot with proper error handling for Render hosting
+async function startBot() {
+    // Register shutdown handlers for hosting environments
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2')); // For Render deployments
+
+    try {
+        server.listen(PORT, '0.0.0.0', () => {
+            console.log(`🌐 Health check server running on port ${PORT}`);
+            console.log(`📊 Health endpoint: http://localhost:${PORT}/health`);
+        });
+
+        // Ensure storage is ready (and migrated) before starting Discord client
+        console.log(`🗃️ Using ${storage.name} storage`);
+        await storage.init();
+
+        // Schedule cleanup task every minute
+        cron.schedule('* * * * *', () => {
+            cleanupExpiredSessions();
+            startDueScheduledSessions();
+        });
+
+        // Look for drift between the session cache, user_sessions and lfg_sessions
+        cron.schedule(SESSION_INVARIANT_CHECK_SCHEDULE, () => {
+            checkSessionInvariants();
+        });
+        
+        // Start Discord client with production-grade error handling
+        console.log('🔌 Connecting to Discord...');
+        await client.login(process.env.DISCORD_TOKEN);
+        console.log('🎉 Bot initialization completed successfully!');
+        
+    } catch (error) {
+        console.error('❌ Failed to start bot:', error);
+        console.error('🔍 Check your environment variables:');
+        console.error('  - DISCORD_TOKEN (bot token)');
+        console.error('  - DATABASE_URL (PostgreSQL connection, not needed with STORAGE_DRIVER=memory or sqlite)');
+        console.error('🔄 Attempting graceful shutdown...');
+        
+        // Attempt to close any open connections before exit
+        try {
+            console.log('🗃️ Closing storage...');
+            await storage.close();
+            if (server) {
+                console.log('🌐 Closing HTTP server...');
+                server.close();
+            }
+        } catch (cleanupError) {
+            console.error('Error during cleanup:', cleanupError);
+        }
+        
+        process.exit(1);
+    }
+}
+
+// 🛑 Handle End LFG Command
+async function handleEndLFGCommand(interaction, pickedSessionId = null) {
+    try {
+        if (pickedSessionId) {
+            await interaction.deferUpdate();
+        } else {
+            await interaction.deferReply({ flags: 64 });
+        }
+
+        const session = await resolveOwnedSession(interaction, pickedSessionId, 'endpick', 'Choose a session to end');
+        if (!session) return;
+        const sessionId = session.id;
+
+        if (!await endLFGSession(sessionId, 'manual')) {
+            return interaction.editReply({
+                content: '❌ **Failed to end session!**\n\nPlease try again.',
+                components: []
+            });
+        }
+
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+        
+        await interaction.editReply({
+            content: `✅ **Successfully ended your ${gameDisplayName} session!**\n\n🔍 You can now create a new session or join others.`,
+            components: []
+        });
+
+        console.log(`🛑 User ${interaction.user.username} manually ended session ${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('❌ Error in handleEndLFGCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: '❌ **Failed to end session!**\n\nPlease try again.',
+            }).catch(console.error);
+        }
+    }
+}
+
+// ⚙️ Handle Setup Command
+async function handleSetupCommand(interaction) {
+    try {
+        if (!isGuildAdmin(interaction.member)) {
+            return interaction.reply({
+                content: '❌ **Administrator permission required!**\n\nOnly server admins can configure the LFG bot.',
+                flags: 64
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+
+        if (subcommand === 'channel') {
+            const channel = interaction.options.getChannel('channel');
+            const botPermissions = channel.permissionsFor(client.user);
+
+            if (!botPermissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+                return interaction.reply({
+                    content: `❌ **I can't post in <#${channel.id}>!**\n\n` +
+                            'Make sure the bot has **View Channel**, **Send Messages** and **Embed Links** there.',
+                    flags: 64
+                });
+            }
+
+            const settings = await storage.upsertGuildSettings(guildId, { lfgChannelId: channel.id });
+            guildSettingsCache.set(guildId, settings);
+
+            console.log(`⚙️ LFG channel for ${interaction.guild.name} set to #${channel.name}`);
+
+            return interaction.reply({
+                content: `✅ **LFG channel set!**\n\n📢 New sessions will now be posted in <#${channel.id}>.`,
+                flags: 64
+            });
+        }
+
+        if (subcommand === 'reset') {
+            const settings = await storage.upsertGuildSettings(guildId, { lfgChannelId: null });
+            guildSettingsCache.set(guildId, settings);
+
+            console.log(`⚙️ LFG channel for ${interaction.guild.name} reset`);
+
+            return interaction.reply({
+                content: '✅ **LFG channel cleared!**\n\n📢 Sessions will be posted in the channel where `/lfg` is used.',
+                flags: 64
+            });
+        }
+
+        if (subcommand === 'lifetime') {
+            const defaultMinutes = interaction.options.getInteger('default');
+            const maxMinutes = interaction.options.getInteger('max');
+
+            if (defaultMinutes > maxMinutes) {
+                return interaction.reply({
+                    content: '❌ **Invalid lifetime!**\n\nThe default lifetime can\'t be longer than the maximum.',
+                    flags: 64
+                });
+            }
+
+            const settings = await storage.upsertGuildSettings(guildId, {
+                defaultSessionMinutes: defaultMinutes,
+                maxSessionMinutes: maxMinutes
+            });
+            guildSettingsCache.set(guildId, settings);
+
+            console.log(`⚙️ Session lifetime for ${interaction.guild.name} set to ${defaultMinutes}/${maxMinutes} minutes`);
+
+            return interaction.reply({
+                content: `✅ **Session lifetime updated!**\n\n` +
+                        `⏰ New sessions stay open for **${defaultMinutes} minutes** and can be extended up to **${maxMinutes} minutes**.`,
+                flags: 64
+            });
+        }
+
+        if (subcommand === 'board') {
+            const channel = interaction.options.getChannel('channel');
+            const previous = guildSettingsCache.get(guildId);
+
+            if (channel && !channel.permissionsFor(client.user)?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+                return interaction.reply({
+                    content: `❌ **I can't post in <#${channel.id}>!**\n\n` +
+                            'Make sure the bot has **View Channel**, **Send Messages** and **Embed Links** there.',
+                    flags: 64
+                });
+            }
+
+            await interaction.deferReply({ flags: 64 });
+
+            // Take down the old board when it moves or is removed
+            if (previous?.boardChannelId && previous.boardMessageId && previous.boardChannelId !== channel?.id) {
+                const oldChannel = await fetchIfExists(interaction.guild.channels.fetch(previous.boardChannelId));
+                const oldMessage = oldChannel ? await fetchIfExists(oldChannel.messages.fetch(previous.boardMessageId)) : null;
+                await oldMessage?.delete().catch(error => console.error('❌ Failed to delete old LFG board:', error));
+            }
+
+            const keepMessage = previous?.boardChannelId === channel?.id;
+            const settings = await storage.upsertGuildSettings(guildId, {
+                boardChannelId: channel?.id || null,
+                boardMessageId: keepMessage ? previous.boardMessageId : null
+            });
+            guildSettingsCache.set(guildId, settings);
+
+            if (!channel) {
+                console.log(`⚙️ LFG board for ${interaction.guild.name} removed`);
+                return interaction.editReply({ content: '✅ **LFG board removed!**' });
+            }
+
+            await updateLFGBoard(guildId);
+            boardUpdatedAt.set(guildId, Date.now());
+
+            console.log(`⚙️ LFG board for ${interaction.guild.name} set to #${channel.name}`);
+
+            return interaction.editReply({
+                content: `✅ **LFG board set!**\n\n📋 <#${channel.id}> now shows every active session and updates live.`
+            });
+        }
+
+        if (subcommand === 'notify') {
+            const mode = interaction.options.getString('mode');
+            const role = interaction.options.getRole('role');
+
+            if (mode === 'role' && !role) {
+                return interaction.reply({
+                    content: '❌ **Pick a role to ping!**\n\nRole mode needs a `role` option.',
+                    flags: 64
+                });
+            }
+
+            const settings = await storage.upsertGuildSettings(guildId, {
+                notifyMode: mode,
+                notifyRoleId: mode === 'role' ? role.id : null
+            });
+            guildSettingsCache.set(guildId, settings);
+
+            console.log(`⚙️ Session alerts for ${interaction.guild.name} set to ${mode}`);
+
+            return interaction.reply({
+                content: mode === 'role'
+                    ? `✅ **Session alerts will ping <@&${role.id}>!**\n\n🔔 The role is mentioned in the session's channel when a subscriber's game is posted.`
+                    : '✅ **Session alerts will be sent by DM!**',
+                flags: 64
+            });
+        }
+
+        if (subcommand === 'limit') {
+            const limit = interaction.options.getInteger('sessions');
+
+            const settings = await storage.upsertGuildSettings(guildId, { maxSessionsPerUser: limit });
+            guildSettingsCache.set(guildId, settings);
+
+            console.log(`⚙️ Session limit for ${interaction.guild.name} set to ${limit}`);
+
+            return interaction.reply({
+                content: `✅ **Session limit updated!**\n\n` +
+                        `🎮 Members can now be in up to **${limit}** session${limit === 1 ? '' : 's'} at the same time.`,
+                flags: 64
+            });
+        }
+
+        if (subcommand === 'view') {
+            const settings = guildSettingsCache.get(guildId);
+            const lifetime = getSessionLifetime(guildId);
+            const lfgChannelText = settings?.lfgChannelId
+                ? `<#${settings.lfgChannelId}>`
+                : 'Not set - sessions are posted where `/lfg` is used';
+
+            const embed = new EmbedBuilder()
+                .setTitle(`⚙️ LFG Configuration - ${interaction.guild.name}`)
+                .setColor(0x3498db)
+                .addFields(
+                    { name: '📢 LFG Channel', value: lfgChannelText },
+                    { name: '⏰ Session Lifetime', value: `${lifetime.defaultMinutes} minutes (max ${lifetime.maxMinutes})`, inline: true },
+                    { name: '👥 Sessions Per Member', value: `${getSessionLimit(guildId)}`, inline: true },
+                    { name: '📋 LFG Board', value: settings?.boardChannelId ? `<#${settings.boardChannelId}>` : 'Not set', inline: true },
+                    {
+                        name: '🔔 Session Alerts',
+                        value: settings?.notifyMode === 'role' && settings.notifyRoleId ? `Ping <@&${settings.notifyRoleId}>` : 'Direct message',
+                        inline: true
+                    }
+                )
+                .setFooter({ text: 'Use /setup to change these settings' })
+                .setTimestamp(settings?.updatedAt ? new Date(settings.updatedAt) : new Date());
+
+            return interaction.reply({
+                embeds: [embed],
+                flags: 64
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Error in handleSetupCommand:', error);
+        
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: '❌ **Failed to update settings!**\n\nPlease try again.',
+                flags: 64
+            }).catch(console.error);
+        }
+    }
+}
+
+// 🎲 Handle Games Command
+async function handleGamesCommand(interaction) {
+    try {
+        if (!isGuildAdmin(interaction.member)) {
+            return interaction.reply({
+                content: '❌ **Administrator permission required!**\n\nOnly server admins can manage the game catalog.',
+                flags: 64
+            });
+        }
+
+        await interaction.deferReply({ flags: 64 });
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        await ensureGuildCatalog(guildId);
+
+        if (subcommand === 'list') {
+            const catalog = getGuildGames(guildId);
+            const embed = new EmbedBuilder()
+                .setTitle(`🎲 Game Catalog - ${interaction.guild.name}`)
+                .setColor(0x3498db)
+                .setFooter({ text: `${catalog.length} game(s) | Use /games to edit` })
+                .setTimestamp();
+
+            if (catalog.length === 0) {
+                embed.setDescription('No games configured yet. Add one with `/games add`.');
+            }
+
+            for (const game of catalog.slice(0, 25)) {
+                const modeList = game.modes.length > 0
+                    ? game.modes.map(formatCatalogMode).join(', ')
+                    : '*No modes yet*';
+                embed.addFields({ name: `${game.name} \`${game.value}\``, value: modeList.substring(0, 1024) });
+            }
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        if (subcommand === 'add') {
+            const name = interaction.options.getString('name').trim();
+            const gameKey = createGameKey(name);
+            const modes = parseModeList(interaction.options.getString('modes')).slice(0, MAX_MODES_PER_GAME);
+
+            if (!gameKey) {
+                return interaction.editReply({ content: '❌ **Invalid game name!**\n\nThe name needs at least one letter or number.' });
+            }
+
+            if (findGuildGame(guildId, gameKey)) {
+                return interaction.editReply({ content: `❌ **${name} is already in the catalog!**\n\n💡 Use \`/games addmode\` to add more modes.` });
+            }
+
+            if (getGuildGames(guildId).length >= MAX_GAMES_PER_GUILD) {
+                return interaction.editReply({ content: `❌ **Catalog is full!**\n\nA server can have up to ${MAX_GAMES_PER_GUILD} games.` });
+            }
+
+            await storage.upsertGuildGame(guildId, gameKey, { displayName: name, modes });
+            setGuildGamesCache(guildId, await storage.getGuildGames(guildId));
+
+            console.log(`🎲 Added game ${name} (${gameKey}) to catalog of ${interaction.guild.name}`);
+
+            return interaction.editReply({
+                content: `✅ **Added ${name} to the catalog!**\n\n` +
+                        `🎮 **Modes:** ${modes.length > 0 ? modes.map(mode => mode.name).join(', ') : 'none yet - add some with `/games addmode`'}`
+            });
+        }
+
+        const game = findGuildGame(guildId, interaction.options.getString('game'));
+        if (!game) {
+            return interaction.editReply({ content: '❌ **Game not found!**\n\nPick a game from the catalog list.' });
+        }
+
+        if (subcommand === 'remove') {
+            await storage.deleteGuildGame(guildId, game.value);
+            setGuildGamesCache(guildId, await storage.getGuildGames(guildId));
+
+            console.log(`🎲 Removed game ${game.name} from catalog of ${interaction.guild.name}`);
+
+            return interaction.editReply({
+                content: `✅ **Removed ${game.name} from the catalog!**\n\n💡 Sessions that are already running are not affected.`
+            });
+        }
+
+        if (subcommand === 'rename') {
+            const name = interaction.options.getString('name').trim();
+            await storage.upsertGuildGame(guildId, game.value, { displayName: name, modes: game.modes });
+            setGuildGamesCache(guildId, await storage.getGuildGames(guildId));
+
+            return interaction.editReply({ content: `✅ **Renamed ${game.name} to ${name}!**` });
+        }
+
+        const modeName = interaction.options.getString('mode').trim();
+        const modeIndex = game.modes.findIndex(mode => mode.name.toLowerCase() === modeName.toLowerCase());
+        const modes = game.modes.map(mode => ({ ...mode }));
+
+        if (subcommand === 'addmode') {
+            if (modeIndex !== -1) {
+                return interaction.editReply({ content: `❌ **${game.name} already has a ${modeName} mode!**\n\n💡 Use \`/games editmode\` to change it.` });
+            }
+
+            if (modes.length >= MAX_MODES_PER_GAME) {
+                return interaction.editReply({ content: `❌ **Too many modes!**\n\nA game can have up to ${MAX_MODES_PER_GAME} modes.` });
+            }
+
+            modes.push({ name: modeName, defaultPlayers: interaction.options.getInteger('players') ?? null, roles: null });
+        } else {
+            if (modeIndex === -1) {
+                return interaction.editReply({ content: `❌ **Mode not found!**\n\n${game.name} has no ${modeName} mode.` });
+            }
+
+            if (subcommand === 'editmode') {
+                const newName = interaction.options.getString('name')?.trim();
+                const players = interaction.options.getInteger('players');
+
+                if (newName && modes.some((mode, index) => index !== modeIndex && mode.name.toLowerCase() === newName.toLowerCase())) {
+                    return interaction.editReply({ content: `❌ **${game.name} already has a ${newName} mode!**` });
+                }
+
+                if (newName) modes[modeIndex].name = newName;
+                if (players !== null) {
+                    if (modes[modeIndex].roles && players !== 0) {
+                        return interaction.editReply({ content: `❌ **${modes[modeIndex].name} has role slots!**\n\nIts party size follows the roles - change them with \`roles\`.` });
+                    }
+                    modes[modeIndex].defaultPlayers = players >= 2 ? players : null;
+                    if (players === 0) modes[modeIndex].roles = null;
+                }
+            } else if (subcommand === 'removemode') {
+                modes.splice(modeIndex, 1);
             }
         }
 
-        // Check if someone joined a voice channel
-        if (newState.channelId && newState.channelId !== oldState.channelId) {
-            const newChannel = newState.channel;
-            if (newChannel) {
-                // Channel has members, stop monitoring for cleanup
-                stopEmptyChannelMonitoring(newChannel.id);
+        // Role slots define the mode's party size
+        const rolesInput = interaction.options.getString('roles')?.trim();
+        if (rolesInput && subcommand !== 'removemode') {
+            const mode = modes.find(m => m.name.toLowerCase() === (interaction.options.getString('name')?.trim() || modeName).toLowerCase());
+            if (rolesInput.toLowerCase() === 'none') {
+                mode.roles = null;
+            } else {
+                const roles = parseRoleSlots(rolesInput);
+                const total = getRoleSlotTotal(roles);
+                if (roles.length === 0 || total < 2 || total > 10) {
+                    return interaction.editReply({
+                        content: '❌ **Invalid roles!**\n\nUse a list like `Tank:1, Damage:2, Support:2` that adds up to 2-10 players.'
+                    });
+                }
+                mode.roles = roles;
+                mode.defaultPlayers = total;
             }
         }
+
+        await storage.upsertGuildGame(guildId, game.value, { displayName: game.name, modes });
+        setGuildGamesCache(guildId, await storage.getGuildGames(guildId));
+
+        console.log(`🎲 Updated modes for ${game.name} in catalog of ${interaction.guild.name} (${subcommand})`);
+
+        return interaction.editReply({
+            content: `✅ **Updated ${game.name}!**\n\n` +
+                    `🎮 **Modes:** ${modes.length > 0 ? modes.map(formatCatalogMode).join(', ') : 'none'}`
+        });
+
     } catch (error) {
-        console.error('❌ Error in voice state update handler:', error);
+        console.error('❌ Error in handleGamesCommand:', error);
+        
+        if (interaction.deferred) {
+            await interaction.editReply({
+                content: '❌ **Failed to update the game catalog!**\n\nPlease try again.',
+            }).catch(console.error);
+        } else if (!interaction.replied) {
+            await interaction.reply({
+                content: '❌ **Failed to update the game catalog!**\n\nPlease try again.',
+                flags: 64
+            }).catch(console.error);
+        }
     }
-});
+}
 
-// 🎮 Handle LFG Command
-async function handleLFGCommand(interaction) {
+// 🏅 Handle Requirements Command (admin only)
+async function handleRequirementsCommand(interaction) {
     try {
-        await interaction.deferReply();
-
-        const game = interaction.options.getString('game');
-        const gamemode = interaction.options.getString('gamemode');
-        const playersNeeded = interaction.options.getInteger('players');
-        const info = interaction.options.getString('info');
-        const userId = interaction.user.id;
-        const guildId = interaction.guild.id;
-        const channelId = interaction.channel.id;
-
-        // Check if user already has an active session
-        if (userCreatedSessions.has(userId)) {
-            return interaction.editReply({
-                content: '❌ **You already have an active LFG session!**\n\n' +
-                        '🎮 You can only create one session at a time\n' +
-                        '💡 Use `/endlfg` to end your current session first'
+        if (!isGuildAdmin(interaction.member)) {
+            return interaction.reply({
+                content: '❌ **Administrator permission required!**\n\nOnly server admins can manage requirement roles.',
+                flags: 64
             });
         }
 
-        // Check if user is already in any session as a participant
-        const participantSession = Array.from(activeSessions.values()).find(session => 
-            session.currentPlayers.some(player => player.id === userId)
-        );
+        await interaction.deferReply({ flags: 64 });
 
-        if (participantSession) {
-            const gameDisplayName = games.find(g => g.value === participantSession.game)?.name || participantSession.game;
-            return interaction.editReply({
-                content: '❌ **You\'re already in an LFG session!**\n\n' +
-                        `🎮 Currently in: **${gameDisplayName}** - ${participantSession.gamemode}\n` +
-                        '💡 Leave that session before creating a new one'
-            });
-        }
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
 
-        // Validate gamemode for selected game
-        if (!gameModes[game] || !gameModes[game].includes(gamemode)) {
-            return interaction.editReply({
-                content: '❌ **Invalid game mode!**\n\nPlease select a valid game mode for the chosen game.'
-            });
-        }
+        if (subcommand === 'list') {
+            const embed = new EmbedBuilder()
+                .setTitle(`🏅 Requirement Roles - ${interaction.guild.name}`)
+                .setColor(0x3498db)
+                .setDescription('Sessions with a requirement only accept members holding the mapped role. ' +
+                               'Rank ranges use the tier order, and members count as their highest rank.')
+                .setFooter({ text: 'Use /requirements add or /requirements remove to edit' })
+                .setTimestamp();
+
+            for (const [kind, label] of Object.entries(REQUIREMENT_KINDS)) {
+                const mappings = getRequirementRoles(guildId, kind);
+                embed.addFields({
+                    name: label,
+                    value: mappings.length > 0
+                        ? mappings.map(mapping => `${kind === 'rank' ? `${mapping.tier}. ` : '• '}**${mapping.name}** → <@&${mapping.roleId}>`).join('\n')
+                        : 'Not configured'
+                });
+            }
 
-        // Check bot permissions before creating session
-        if (!hasRequiredPermissions(interaction.guild, interaction.member)) {
-            return interaction.editReply({
-                content: getPermissionErrorMessage()
-            });
+            return interaction.editReply({ embeds: [embed] });
         }
 
-        // Create session
-        const sessionId = generateSessionId();
-        const session = {
-            id: sessionId,
-            creatorId: userId,
-            guildId: guildId,
-            channelId: channelId,
-            messageId: null,
-            game: game,
-            gamemode: gamemode,
-            playersNeeded: playersNeeded,
-            info: info,
-            status: 'waiting',
-            currentPlayers: [{
-                id: userId,
-                username: interaction.user.username,
-                joinedAt: new Date().toISOString()
-            }],
-            confirmedPlayers: [],
-            voiceChannelId: null,
-            confirmationStartTime: null,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        const kind = interaction.options.getString('kind');
+        const label = REQUIREMENT_KINDS[kind];
 
-        // Save to database
-        await storage.createSession(session);
+        if (subcommand === 'add') {
+            const name = interaction.options.getString('name').trim();
+            const role = interaction.options.getRole('role');
+            const existing = findRequirementRole(guildId, kind, name);
+            const mappings = getRequirementRoles(guildId, kind);
 
-        // Store in memory
-        activeSessions.set(sessionId, session);
-        userCreatedSessions.set(userId, sessionId);
+            if (kind === 'platform' && !PLATFORM_CHOICES.includes(name)) {
+                return interaction.editReply({
+                    content: `❌ **Unknown platform!**\n\nPlatforms must be one of: ${PLATFORM_CHOICES.filter(platform => platform !== 'Crossplay').join(', ')}.`
+                });
+            }
 
-        // Track user session
-        await storage.setUserSession(userId, sessionId);
+            if (!existing && mappings.length >= MAX_REQUIREMENT_ROLES_PER_KIND) {
+                return interaction.editReply({
+                    content: `❌ **Too many mappings!**\n\nEach requirement can have up to ${MAX_REQUIREMENT_ROLES_PER_KIND} roles.`
+                });
+            }
 
-        // Create and send embed
-        const embed = createLFGEmbed(session);
-        const buttons = createLFGButtons(sessionId);
+            const tier = kind === 'rank'
+                ? interaction.options.getInteger('tier') ?? existing?.tier ?? Math.max(0, ...mappings.map(mapping => mapping.tier ?? 0)) + 1
+                : null;
 
-        const message = await interaction.editReply({
-            embeds: [embed],
-            components: [buttons]
-        });
+            const mapping = await storage.upsertRequirementRole(guildId, kind, existing?.name || name, { roleId: role.id, tier });
+            requirementRolesCache.set(guildId, [
+                ...(requirementRolesCache.get(guildId) || []).filter(row => row !== existing),
+                mapping
+            ]);
 
-        // Update session with message ID
-        session.messageId = message.id;
-        await storage.updateSession(sessionId, { messageId: message.id });
+            console.log(`🏅 ${interaction.user.username} mapped ${kind} ${mapping.name} to role ${role.name} in ${interaction.guild.name}`);
 
-        const gameDisplayName = games.find(g => g.value === game)?.name || game;
-        console.log(`🎮 New LFG session created: ${gameDisplayName} - ${gamemode} by ${interaction.user.username} (${sessionId.slice(-6)})`);
+            return interaction.editReply({
+                content: `✅ **${label}: ${mapping.name}** now requires <@&${role.id}>` + (kind === 'rank' ? ` (tier ${tier})` : '') + '.'
+            });
+        }
 
-        // Set timeout for session expiration
-        const timeoutId = setTimeout(async () => {
-            console.log(`⏰ Session ${sessionId.slice(-6)} expired`);
-            await endLFGSession(sessionId, 'expired');
-        }, 20 * 60 * 1000); // 20 minutes
+        if (subcommand === 'remove') {
+            const mapping = findRequirementRole(guildId, kind, interaction.options.getString('name'));
+            if (!mapping) {
+                return interaction.editReply({
+                    content: '❌ **Mapping not found!**\n\n💡 Use `/requirements list` to see what is configured.'
+                });
+            }
 
-        sessionTimeouts.set(sessionId, timeoutId);
+            await storage.deleteRequirementRole(guildId, kind, mapping.name);
+            requirementRolesCache.set(guildId, (requirementRolesCache.get(guildId) || []).filter(row => row !== mapping));
+
+            console.log(`🏅 ${interaction.user.username} removed ${kind} ${mapping.name} in ${interaction.guild.name}`);
+
+            return interaction.editReply({
+                content: `✅ **Removed ${label}: ${mapping.name}.**\n\nExisting sessions that used it no longer enforce it.`
+            });
+        }
 
     } catch (error) {
-        console.error('❌ Error in handleLFGCommand:', error);
+        console.error('❌ Error in handleRequirementsCommand:', error);
         
-        if (!interaction.replied) {
+        if (interaction.deferred) {
             await interaction.editReply({
-                content: '❌ **Failed to create LFG session!**\n\nPlease try again. If the problem persists, contact support.'
+                content: '❌ **Failed to update requirement roles!**\n\nPlease try again.',
+            }).catch(console.error);
+        } else if (!interaction.replied) {
+            await interaction.reply({
+                content: '❌ **Failed to update requirement roles!**\n\nPlease try again.',
+                flags: 64
             }).catch(console.error);
         }
     }
 }
 
-// 🚀 Handle Quick Join Command
-async function handleQuickJoinCommand(interaction) {
+// Get a guild's API keys, oldest first
+function getGuildApiKeys(guildId) {
+    return Array.from(apiKeysCache.values())
+        .filter(apiKey => apiKey.guildId === guildId)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Filter a guild's API keys for the /apikey revoke autocomplete
+function getApiKeyAutocompleteChoices(guildId, query) {
+    const search = query.toLowerCase();
+    return getGuildApiKeys(guildId)
+        .filter(apiKey => apiKey.name.toLowerCase().includes(search) || apiKey.id.includes(search))
+        .slice(0, 25)
+        .map(apiKey => ({ name: `${apiKey.name} (${apiKey.id})`.substring(0, 100), value: apiKey.id }));
+}
+
+// 🔑 Handle API Key Command
+async function handleApiKeyCommand(interaction) {
     try {
-        const game = interaction.options.getString('game');
-        const gamemode = interaction.options.getString('gamemode');
-        const userId = interaction.user.id;
-        const guildId = interaction.guild.id;
-        
-        // Check if user is already in a session
-        const existingUserSession = userCreatedSessions.get(userId);
-        if (existingUserSession) {
+        if (!isGuildAdmin(interaction.member)) {
             return interaction.reply({
-                content: '❌ **You\'re already in an LFG session!**\n\n' +
-                        '🎮 You can only be in one session at a time\n' +
-                        '💡 Use `/endlfg` to leave your current session first',
+                content: '❌ **Administrator permission required!**\n\nOnly server admins can manage API keys.',
                 flags: 64
             });
         }
-        
-        // Check if user is in any session as a participant
-        const participantSession = Array.from(activeSessions.values()).find(session => 
-            session.currentPlayers.some(player => player.id === userId)
-        );
-        
-        if (participantSession) {
-            return interaction.reply({
-                content: '❌ **You\'re already in an LFG session!**\n\n' +
-                        `🎮 Currently in: **${participantSession.game}** - ${participantSession.gamemode}\n` +
-                        '💡 Leave your current session before using Quick Join',
-                flags: 64
-            });
+
+        await interaction.deferReply({ flags: 64 });
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        const guildKeys = getGuildApiKeys(guildId);
+
+        if (subcommand === 'list') {
+            const embed = new EmbedBuilder()
+                .setTitle(`🔑 API Keys - ${interaction.guild.name}`)
+                .setColor(0x3498db)
+                .setDescription(guildKeys.length > 0
+                    ? guildKeys.map(apiKey => {
+                        const lastUsed = apiKey.lastUsedAt ? `<t:${Math.floor(new Date(apiKey.lastUsedAt).getTime() / 1000)}:R>` : 'never';
+                        return `**${apiKey.name}** \`${apiKey.id}\` - by <@${apiKey.createdBy}>, last used ${lastUsed}`;
+                    }).join('\n')
+                    : 'No API keys yet - create one with `/apikey create`.')
+                .setFooter({ text: `Endpoints: /api/guilds/${guildId}/sessions, /api/guilds/${guildId}/stats, /api/sessions/:id` });
+
+            return interaction.editReply({ embeds: [embed] });
         }
-        
-        // Find available sessions for the specified game and gamemode
-        const availableSessions = Array.from(activeSessions.values()).filter(session => 
-            session.guildId === guildId &&
-            session.game === game &&
-            session.gamemode === gamemode &&
-            session.currentPlayers.length < session.playersNeeded &&
-            session.status === 'waiting'
-        );
-        
-        if (availableSessions.length === 0) {
-            const gameDisplayName = games.find(g => g.value === game)?.name || game;
-            return interaction.reply({
-                content: `❌ **No available ${gameDisplayName} sessions found!**\n\n` +
-                        `🔍 **Game:** ${gameDisplayName} - ${gamemode}\n` +
-                        '💡 Create your own session with `/lfg` or try a different game/mode',
-                flags: 64
+
+        if (subcommand === 'create') {
+            if (guildKeys.length >= MAX_API_KEYS_PER_GUILD) {
+                return interaction.editReply({
+                    content: `❌ **Too many API keys!**\n\nThis server can have up to ${MAX_API_KEYS_PER_GUILD} - revoke one with \`/apikey revoke\` first.`
+                });
+            }
+
+            const key = `lfg_${crypto.randomBytes(24).toString('base64url')}`;
+            const apiKey = await storage.createApiKey({
+                id: crypto.randomBytes(4).toString('hex'),
+                guildId,
+                name: interaction.options.getString('name').trim(),
+                keyHash: hashApiKey(key),
+                createdBy: interaction.user.id
             });
-        }
-        
-        // Sort by creation time and pick the oldest available session
-        availableSessions.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-        const targetSession = availableSessions[0];
-        
-        // Add user to the session
-        targetSession.currentPlayers.push({
-            id: userId,
-            username: interaction.user.username,
-            joinedAt: new Date().toISOString()
-        });
-        
-        // Update database
-        await storage.updateSession(targetSession.id, {
-            currentPlayers: targetSession.currentPlayers,
-            updatedAt: new Date()
-        });
-        
-        // Track user session
-        await storage.setUserSession(userId, targetSession.id);
-        
-        const gameDisplayName = games.find(g => g.value === game)?.name || game;
-        
-        await interaction.reply({
-            content: `✅ **Quick Join successful!**\n\n` +
-                    `🎮 **Game:** ${gameDisplayName} - ${gamemode}\n` +
-                    `👥 **Players:** ${targetSession.currentPlayers.length}/${targetSession.playersNeeded}\n` +
-                    `👤 **Session Creator:** <@${targetSession.creatorId}>\n` +
-                    `🆔 **Session ID:** ${targetSession.id.slice(-6)}`,
-            flags: 64
-        });
-        
-        // Check if session is now full and start voice channel creation
-        if (targetSession.currentPlayers.length >= targetSession.playersNeeded) {
-            console.log(`🎯 Quick Join filled session ${targetSession.id.slice(-6)}! Starting voice channel creation...`);
-            targetSession.status = 'full';
-            await storage.updateSession(targetSession.id, {
-                status: 'completed',
-                updatedAt: new Date()
+            apiKeysCache.set(apiKey.keyHash, apiKey);
+
+            console.log(`🔑 ${interaction.user.username} created API key ${apiKey.id} in ${interaction.guild.name}`);
+
+            return interaction.editReply({
+                content: `✅ **API key "${apiKey.name}" created!**\n\n` +
+                        `🔑 \`${key}\`\n\n` +
+                        '⚠️ Copy it now - it is only shown once. Send it as `Authorization: Bearer <key>`.\n' +
+                        `📡 Try \`GET /api/guilds/${guildId}/sessions\``
             });
-            
-            // Clear session timeout if exists
-            if (targetSession.timeoutId) {
-                clearTimeout(targetSession.timeoutId);
-                targetSession.timeoutId = null;
+        }
+
+        if (subcommand === 'revoke') {
+            const apiKey = guildKeys.find(candidate => candidate.id === interaction.options.getString('key'));
+            if (!apiKey) {
+                return interaction.editReply({
+                    content: '❌ **API key not found!**\n\n💡 Use `/apikey list` to see this server\'s keys.'
+                });
             }
+
+            await storage.deleteApiKey(apiKey.id);
+            apiKeysCache.delete(apiKey.keyHash);
+            apiRateLimits.delete(apiKey.id);
+
+            console.log(`🔑 ${interaction.user.username} revoked API key ${apiKey.id} in ${interaction.guild.name}`);
+
+            return interaction.editReply({ content: `✅ **API key "${apiKey.name}" revoked.** Requests using it are now rejected.` });
         }
-        
-        console.log(`🚀 Quick Join: ${interaction.user.username} joined ${gameDisplayName} session #${targetSession.id.slice(-6)}`);
-        
+
     } catch (error) {
-        console.error('Error in handleQuickJoinCommand:', error);
+        console.error('❌ Error in handleApiKeyCommand:', error);
         
-        if (!interaction.replied) {
+        if (interaction.deferred) {
+            await interaction.editReply({
+                content: '❌ **Failed to update API keys!**\n\nPlease try again.',
+            }).catch(console.error);
+        } else if (!interaction.replied) {
             await interaction.reply({
-                content: '❌ **Quick Join failed!**\n\nSomething went wrong while trying to join a session. Please try again or use `/lfg` to create your own session.',
+                content: '❌ **Failed to update API keys!**\n\nPlease try again.',
                 flags: 64
             }).catch(console.error);
         }
     }
 }
 
-// Initialize bot with proper error handling for Render hosting
-async function startBot() {
+// Get a guild's webhooks, oldest first
+function getGuildWebhooks(guildId) {
+    return Array.from(webhooksCache.values())
+        .filter(webhook => webhook.guildId === guildId)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Show a webhook URL without its path, which often carries a token
+function describeWebhookUrl(url) {
     try {
-        // Ensure database is ready before starting Discord client
-        await ensureDatabaseTables();
-        
-        // Start Discord client with production-grade error handling
-        console.log('🔌 Connecting to Discord...');
-        await client.login(process.env.DISCORD_TOKEN);
-        console.log('🎉 Bot initialization completed successfully!');
-        
-    } catch (error) {
-        console.error('❌ Failed to start bot:', error);
-        console.error('🔍 Check your environment variables:');
-        console.error('  - DISCORD_TOKEN (bot token)');
-        console.error('  - DATABASE_URL (PostgreSQL connection)');
-        console.error('🔄 Attempting graceful shutdown...');
-        
-        // Attempt to close any open connections before exit
-        try {
-            if (pool) {
-                console.log('🗃️ Closing database pool...');
-                await pool.end();
-            }
-            if (server) {
-                console.log('🌐 Closing HTTP server...');
-                server.close();
-            }
-        } catch (cleanupError) {
-            console.error('Error during cleanup:', cleanupError);
-        }
-        
-        process.exit(1);
+        return new URL(url).host;
+    } catch {
+        return 'invalid URL';
     }
 }
 
-// 🛑 Handle End LFG Command
-async function handleEndLFGCommand(interaction) {
+// Filter a guild's webhooks for autocomplete
+function getWebhookAutocompleteChoices(guildId, query) {
+    const search = query.toLowerCase();
+    return getGuildWebhooks(guildId)
+        .filter(webhook => webhook.id.includes(search) || webhook.url.toLowerCase().includes(search))
+        .slice(0, 25)
+        .map(webhook => ({ name: `${describeWebhookUrl(webhook.url)} (${webhook.id})`.substring(0, 100), value: webhook.id }));
+}
+
+// List a guild's most recent failed deliveries for autocomplete
+async function getDeadLetterAutocompleteChoices(guildId, query) {
+    const deadLetters = await storage.getWebhookDeadLetters(guildId, null, 25);
+    return deadLetters
+        .filter(deadLetter => deadLetter.id.includes(query) || deadLetter.event.includes(query.toLowerCase()))
+        .map(deadLetter => ({
+            name: `${deadLetter.event} to ${deadLetter.webhookId} - ${deadLetter.lastError || 'failed'}`.substring(0, 100),
+            value: deadLetter.id
+        }));
+}
+
+// 🪝 Handle Webhook Command
+async function handleWebhookCommand(interaction) {
     try {
+        if (!isGuildAdmin(interaction.member)) {
+            return interaction.reply({
+                content: '❌ **Administrator permission required!**\n\nOnly server admins can manage webhooks.',
+                flags: 64
+            });
+        }
+
         await interaction.deferReply({ flags: 64 });
 
-        const userId = interaction.user.id;
-        const sessionId = userCreatedSessions.get(userId);
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        const guildWebhooks = getGuildWebhooks(guildId);
+
+        if (subcommand === 'list') {
+            const embed = new EmbedBuilder()
+                .setTitle(`🪝 Webhooks - ${interaction.guild.name}`)
+                .setColor(0x3498db)
+                .setDescription(guildWebhooks.length > 0
+                    ? guildWebhooks.map(webhook =>
+                        `\`${webhook.id}\` **${describeWebhookUrl(webhook.url)}** - ${webhook.events.length > 0 ? webhook.events.join(', ') : 'all events'}`).join('\n')
+                    : 'No webhooks yet - add one with `/webhook add`.')
+                .addFields({ name: '📬 Events', value: WEBHOOK_EVENTS.map(event => `\`${event}\``).join(', ') })
+                .setFooter({ text: 'Failed deliveries are retried with backoff, then listed in /webhook failures' });
+
+            return interaction.editReply({ embeds: [embed] });
+        }
 
-        if (!sessionId) {
-            return interaction.editReply({
-                content: '❌ **You don\'t have an active LFG session!**\n\n💡 Create a session with `/lfg` first.',
+        if (subcommand === 'add') {
+            if (guildWebhooks.length >= MAX_WEBHOOKS_PER_GUILD) {
+                return interaction.editReply({
+                    content: `❌ **Too many webhooks!**\n\nThis server can have up to ${MAX_WEBHOOKS_PER_GUILD} - remove one with \`/webhook remove\` first.`
+                });
+            }
+
+            const url = interaction.options.getString('url').trim();
+            let parsedUrl;
+            try {
+                parsedUrl = new URL(url);
+            } catch {
+                parsedUrl = null;
+            }
+            if (parsedUrl?.protocol !== 'https:') {
+                return interaction.editReply({ content: '❌ **Invalid URL!**\n\nWebhooks must use an `https://` URL.' });
+            }
+
+            const events = (interaction.options.getString('events') || '')
+                .split(',')
+                .map(event => event.trim().toLowerCase())
+                .filter(Boolean);
+            const unknownEvents = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+            if (unknownEvents.length > 0) {
+                return interaction.editReply({
+                    content: `❌ **Unknown event${unknownEvents.length === 1 ? '' : 's'}: ${unknownEvents.join(', ')}**\n\nAvailable events: ${WEBHOOK_EVENTS.join(', ')}`
+                });
+            }
+
+            const secret = crypto.randomBytes(32).toString('hex');
+            const webhook = await storage.createWebhook({
+                id: crypto.randomBytes(4).toString('hex'),
+                guildId,
+                url,
+                secret,
+                events: [...new Set(events)],
+                createdBy: interaction.user.id
             });
-        }
+            webhooksCache.set(webhook.id, webhook);
+
+            console.log(`🪝 ${interaction.user.username} added webhook ${webhook.id} (${parsedUrl.host}) in ${interaction.guild.name}`);
 
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            // Clean up orphaned user session
-            userCreatedSessions.delete(userId);
-            await storage.removeUserSession(userId);
-            
             return interaction.editReply({
-                content: '❌ **Session not found!**\n\nYour session may have already expired.',
+                content: `✅ **Webhook \`${webhook.id}\` added for ${parsedUrl.host}!**\n\n` +
+                        `🔐 Signing secret: \`${secret}\`\n` +
+                        '⚠️ Copy it now - it is only shown once.\n\n' +
+                        '📬 Each POST has `X-LFG-Event`, `X-LFG-Delivery`, `X-LFG-Timestamp` and `X-LFG-Signature` headers. ' +
+                        'The signature is `sha256=` + the HMAC-SHA256 of `<timestamp>.<body>` using the secret.'
             });
         }
 
-        await endLFGSession(sessionId, 'manual');
+        if (subcommand === 'remove') {
+            const webhook = guildWebhooks.find(candidate => candidate.id === interaction.options.getString('webhook'));
+            if (!webhook) {
+                return interaction.editReply({ content: '❌ **Webhook not found!**\n\n💡 Use `/webhook list` to see this server\'s webhooks.' });
+            }
+
+            await storage.deleteWebhook(webhook.id);
+            webhooksCache.delete(webhook.id);
 
-        const gameDisplayName = games.find(g => g.value === session.game)?.name || session.game;
-        
-        await interaction.editReply({
-            content: `✅ **Successfully ended your ${gameDisplayName} session!**\n\n🔍 You can now create a new session or join others.`,
-        });
+            console.log(`🪝 ${interaction.user.username} removed webhook ${webhook.id} in ${interaction.guild.name}`);
 
-        console.log(`🛑 User ${interaction.user.username} manually ended session ${sessionId.slice(-6)}`);
+            return interaction.editReply({ content: `✅ **Webhook \`${webhook.id}\` removed.** Pending retries for it are dropped.` });
+        }
+
+        if (subcommand === 'failures') {
+            const webhookId = interaction.options.getString('webhook');
+            const deadLetters = await storage.getWebhookDeadLetters(guildId, webhookId);
+
+            const embed = new EmbedBuilder()
+                .setTitle('🪝 Failed Webhook Deliveries')
+                .setColor(deadLetters.length > 0 ? 0xe74c3c : 0x00ff00)
+                .setDescription(deadLetters.length > 0
+                    ? deadLetters.map(deadLetter =>
+                        `\`${deadLetter.id.slice(0, 8)}\` **${deadLetter.event}** to \`${deadLetter.webhookId}\` - ` +
+                        `${deadLetter.attempts} attempts, ${deadLetter.lastError || 'failed'} ` +
+                        `<t:${Math.floor(new Date(deadLetter.failedAt).getTime() / 1000)}:R>`).join('\n')
+                    : '✅ No failed deliveries.')
+                .setFooter({ text: 'Showing the 10 most recent | Resend one with /webhook redeliver' });
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+
+        if (subcommand === 'redeliver') {
+            const deliveryId = interaction.options.getString('delivery');
+            const deadLetter = (await storage.getWebhookDeadLetters(guildId, null, 100)).find(candidate => candidate.id === deliveryId);
+            const webhook = deadLetter && webhooksCache.get(deadLetter.webhookId);
+            if (!deadLetter || !webhook) {
+                return interaction.editReply({ content: '❌ **Failed delivery not found!**\n\n💡 Use `/webhook failures` to see what can be resent.' });
+            }
+
+            const result = await attemptWebhookDelivery(webhook, deadLetter.payload);
+
+            if (result.ok) {
+                await storage.deleteWebhookDeadLetter(deadLetter.id);
+                return interaction.editReply({ content: `✅ **Delivered ${deadLetter.event}** to \`${webhook.id}\`.` });
+            }
+
+            await storage.upsertWebhookDeadLetter({
+                ...deadLetter,
+                attempts: deadLetter.attempts + 1,
+                lastStatus: result.status,
+                lastError: result.error?.substring(0, 500) || null,
+                failedAt: new Date()
+            });
+
+            return interaction.editReply({ content: `❌ **Redelivery failed:** ${result.error}\n\nIt stays in \`/webhook failures\`.` });
+        }
 
     } catch (error) {
-        console.error('❌ Error in handleEndLFGCommand:', error);
+        console.error('❌ Error in handleWebhookCommand:', error);
         
-        if (!interaction.replied) {
+        if (interaction.deferred) {
             await interaction.editReply({
-                content: '❌ **Failed to end session!**\n\nPlease try again.',
+                content: '❌ **Failed to update webhooks!**\n\nPlease try again.',
+            }).catch(console.error);
+        } else if (!interaction.replied) {
+            await interaction.reply({
+                content: '❌ **Failed to update webhooks!**\n\nPlease try again.',
+                flags: 64
             }).catch(console.error);
         }
     }
 }
 
+// Format the guild's catalog for the help embed
+function formatSupportedGames(guildId) {
+    const names = getGuildGames(guildId).map(game => game.name);
+    if (names.length === 0) {
+        return 'No games configured yet - admins can add some with `/games add`';
+    }
+
+    const list = names.map(name => `• ${name}`).join(' ');
+    return list.length > 1024 ? `${list.substring(0, 1020)}...` : list;
+}
+
 // 📖 Handle Help Command
 async function handleHelpCommand(interaction) {
     try {
+        if (interaction.guildId) {
+            await ensureGuildCatalog(interaction.guildId);
+        }
+
+        const sessionLimit = getSessionLimit(interaction.guildId);
+
         const embed = new EmbedBuilder()
             .setTitle('🎮 LFG Bot - Commands & Features')
             .setColor(0x3498db)
@@ -1548,24 +6654,35 @@ async function handleHelpCommand(interaction) {
             .addFields(
                 {
                     name: '🚀 Main Commands',
-                    value: '`/lfg` - Create a new LFG session\n' +
-                           '`/quickjoin` - Instantly join an available session\n' +
-                           '`/endlfg` - End your current LFG session\n' +
-                           '`/help` - Show this help message'
+                    value: '`/lfg create` - Create a new LFG session\n' +
+                           '`/lfg schedule` - Plan a session for later and collect sign-ups\n' +
+                           '`/lfg bump` - Re-post your session at the bottom of the channel\n' +
+                           '`/template` - Post a session automatically every week\n' +
+                           '`/stats me|server|game` - Session history and popular games\n' +
+                           '`/profile` - Save your in-game names so your party can add you\n' +
+                           '`/notify` - Get alerted when sessions for your games are posted\n' +
+                           '`/sessions` - Browse open sessions (`/session info <id>` for one)\n' +
+                           '`/quickjoin` - Instantly join an available session (or queue for one)\n' +
+                           '`/queue` - Check or leave the matchmaking queue\n' +
+                           '`/endlfg` - End one of your LFG sessions\n' +
+                           '`/help` - Show this help message\n' +
+                           '`/setup` - Configure the LFG channel, live board, session lifetime and limits (admins)\n' +
+                           '`/games` - Manage the game catalog (admins)\n' +
+                           '`/requirements` - Map ranks and regions to roles for session requirements (admins)\n' +
+                           '`/apikey` - Issue keys for the read-only REST API (admins)\n' +
+                           '`/webhook` - Send signed session events to your services (admins)'
                 },
                 {
                     name: '🎯 How It Works',
-                    value: '1️⃣ Create a session with `/lfg`\n' +
-                           '2️⃣ Others join with the **Join Session** button\n' +
-                           '3️⃣ When full, a private voice channel is created\n' +
-                           '4️⃣ Play together and have fun!'
+                    value: '1️⃣ Create a session with `/lfg create`\n' +
+                           '2️⃣ Others join with the **Join Session** button (or pick a role when the mode has role slots)\n' +
+                           '3️⃣ When full, everyone confirms the **Ready?** check\n' +
+                           '4️⃣ A private voice channel is created - play together and have fun!\n' +
+                           '⚙️ Creators can use **Manage** to kick, block, lock or hand over their session'
                 },
                 {
                     name: '🎮 Supported Games',
-                    value: '• Valorant • Fortnite • Brawlhalla\n' +
-                           '• The Finals • Roblox • Minecraft\n' +
-                           '• Marvel Rivals • Rocket League\n' +
-                           '• Apex Legends • Call of Duty • Overwatch'
+                    value: formatSupportedGames(interaction.guildId)
                 },
                 {
                     name: '✨ Features',
@@ -1576,8 +6693,11 @@ async function handleHelpCommand(interaction) {
                 },
                 {
                     name: '⚙️ Tips',
-                    value: '• You can only be in **one session** at a time\n' +
-                           '• Sessions auto-expire after **20 minutes**\n' +
+                    value: (sessionLimit === 1
+                               ? '• You can only be in **one session** at a time\n'
+                               : `• You can be in up to **${sessionLimit} sessions** at a time\n`) +
+                           `• Sessions expire after **${getSessionLifetime(interaction.guildId).defaultMinutes} minutes** - creators can extend them\n` +
+                           '• Unconfirmed players are dropped from the ready-check\n' +
                            '• Use **Quick Join** for faster matchmaking\n' +
                            '• Voice channels auto-delete when empty'
                 }
@@ -1602,11 +6722,6 @@ async function handleHelpCommand(interaction) {
     }
 }
 
-// Schedule cleanup task every minute
-cron.schedule('* * * * *', () => {
-    cleanupExpiredSessions();
-});
-
 // Enhanced error handling for production
 client.on('error', (error) => {
     console.error('Discord client error:', error);
@@ -1620,22 +6735,14 @@ client.on('shardError', (error, shardId) => {
     console.error(`Shard ${shardId} error:`, error);
 });
 
-// Register shutdown handlers for hosting environments
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2')); // For Render deployments
-
 // Production-grade graceful shutdown handling
 async function gracefulShutdown(signal) {
     console.log(`\n🛑 Received ${signal}, starting graceful shutdown...`);
     
     try {
-        // Save active sessions to database
-        if (activeSessions.size > 0) {
-            console.log(`💾 Saving ${activeSessions.size} active sessions...`);
-            await saveSessionData();
-            console.log('✅ Sessions saved successfully');
-        }
+        // Every session change is already committed - just let in-flight writes finish
+        console.log('💾 Waiting for pending session writes...');
+        await sessionRepository.flush();
         
         // Close Discord client
         if (client.isReady()) {
@@ -1643,9 +6750,9 @@ async function gracefulShutdown(signal) {
             client.destroy();
         }
         
-        // Close database pool
-        console.log('🗃️ Closing database connections...');
-        await pool.end();
+        // Close storage connections
+        console.log('🗃️ Closing storage connections...');
+        await storage.close();
         
         // Close HTTP server
         console.log('🌐 Closing HTTP server...');
@@ -1659,4 +6766,27 @@ async function gracefulShutdown(signal) {
     }
 }
 
-startBot();
+// `node index.js migrate [status|up|down]` manages the schema without starting the bot.
+// Required as a module (by the tests) nothing starts, so the join pipeline can be driven directly.
+if (require.main === module) {
+    if (process.argv[2] === 'migrate') {
+        runMigrationCli(process.argv[3], process.argv[4]);
+    } else {
+        startBot();
+    }
+}
+
+module.exports = {
+    storage,
+    activeSessions,
+    createLFGSession,
+    endLFGSession,
+    createLFGEmbed,
+    handleJoinSession,
+    handleJoinWaitlist,
+    handleLeaveSession,
+    handleQuickJoinCommand,
+    startDueScheduledSessions,
+    ensureGuildCatalog,
+    pullQueuedPlayers
+};
@@ -0,0 +1,30 @@
+-- Drops everything the baseline creates. This deletes all bot data.
+DROP TABLE IF EXISTS "webhook_dead_letters";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "webhooks";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "api_keys";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "guild_requirement_roles";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "session_history_players";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "session_history";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "session_templates";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "matchmaking_queue";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "guild_games";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "notification_settings";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "notification_subscriptions";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "user_profiles";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "user_sessions";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "guild_settings";
+--> statement-breakpoint
+DROP TABLE IF EXISTS "lfg_sessions";
@@ -0,0 +1,230 @@
+-- Baseline schema. Databases created before versioned migrations already have
+-- some or all of these tables, so every statement here is safe to re-run.
+CREATE TABLE IF NOT EXISTS "lfg_sessions" (
+	"id" text PRIMARY KEY NOT NULL,
+	"creator_id" text NOT NULL,
+	"guild_id" text NOT NULL,
+	"channel_id" text NOT NULL,
+	"message_id" text,
+	"game" text NOT NULL,
+	"gamemode" text NOT NULL,
+	"players_needed" integer NOT NULL,
+	"info" text,
+	"status" text DEFAULT 'waiting' NOT NULL,
+	"current_players" json DEFAULT '[]'::json NOT NULL,
+	"confirmed_players" json DEFAULT '[]'::json NOT NULL,
+	"voice_channel_id" text,
+	"blocked_users" json DEFAULT '[]'::json NOT NULL,
+	"is_locked" boolean DEFAULT false NOT NULL,
+	"requirements" json,
+	"role_slots" json,
+	"waitlist" json DEFAULT '[]'::json NOT NULL,
+	"confirmation_start_time" timestamp,
+	"scheduled_for" timestamp,
+	"filled_at" timestamp,
+	"voice_created_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	"expires_at" timestamp NOT NULL,
+	"is_active" boolean DEFAULT true NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "guild_settings" (
+	"guild_id" text PRIMARY KEY NOT NULL,
+	"lfg_channel_id" text,
+	"games_seeded" boolean DEFAULT false NOT NULL,
+	"default_session_minutes" integer,
+	"max_session_minutes" integer,
+	"max_sessions_per_user" integer,
+	"board_channel_id" text,
+	"board_message_id" text,
+	"notify_mode" text,
+	"notify_role_id" text,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "user_sessions" (
+	"user_id" text NOT NULL,
+	"session_id" text NOT NULL,
+	"guild_id" text,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "user_sessions_user_id_session_id_pk" PRIMARY KEY("user_id","session_id")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "user_profiles" (
+	"user_id" text PRIMARY KEY NOT NULL,
+	"game_names" json DEFAULT '{}'::json NOT NULL,
+	"platform" text,
+	"region" text,
+	"main_roles" text,
+	"availability" text,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "notification_subscriptions" (
+	"guild_id" text NOT NULL,
+	"user_id" text NOT NULL,
+	"game" text NOT NULL,
+	"gamemode" text DEFAULT '' NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "notification_subscriptions_guild_id_user_id_game_gamemode_pk" PRIMARY KEY("guild_id","user_id","game","gamemode")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "notification_settings" (
+	"user_id" text PRIMARY KEY NOT NULL,
+	"quiet_start_hour" integer,
+	"quiet_end_hour" integer,
+	"timezone" text DEFAULT 'UTC' NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "guild_games" (
+	"guild_id" text NOT NULL,
+	"game_key" text NOT NULL,
+	"display_name" text NOT NULL,
+	"modes" json DEFAULT '[]'::json NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "guild_games_guild_id_game_key_pk" PRIMARY KEY("guild_id","game_key")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "matchmaking_queue" (
+	"user_id" text NOT NULL,
+	"guild_id" text NOT NULL,
+	"channel_id" text NOT NULL,
+	"username" text NOT NULL,
+	"game" text NOT NULL,
+	"gamemode" text NOT NULL,
+	"queued_at" timestamp DEFAULT now() NOT NULL,
+	"expires_at" timestamp NOT NULL,
+	CONSTRAINT "matchmaking_queue_user_id_guild_id_pk" PRIMARY KEY("user_id","guild_id")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "session_templates" (
+	"id" text PRIMARY KEY NOT NULL,
+	"guild_id" text NOT NULL,
+	"creator_id" text NOT NULL,
+	"channel_id" text NOT NULL,
+	"game" text NOT NULL,
+	"gamemode" text NOT NULL,
+	"players_needed" integer NOT NULL,
+	"info" text,
+	"cron_expression" text NOT NULL,
+	"timezone" text DEFAULT 'UTC' NOT NULL,
+	"is_paused" boolean DEFAULT false NOT NULL,
+	"last_posted_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "session_history" (
+	"session_id" text PRIMARY KEY NOT NULL,
+	"guild_id" text NOT NULL,
+	"creator_id" text NOT NULL,
+	"game" text NOT NULL,
+	"gamemode" text NOT NULL,
+	"players_needed" integer NOT NULL,
+	"player_count" integer NOT NULL,
+	"fill_seconds" integer,
+	"voice_channel_created" boolean DEFAULT false NOT NULL,
+	"end_reason" text NOT NULL,
+	"created_at" timestamp NOT NULL,
+	"filled_at" timestamp,
+	"ended_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "session_history_players" (
+	"session_id" text NOT NULL,
+	"user_id" text NOT NULL,
+	"guild_id" text NOT NULL,
+	"game" text NOT NULL,
+	"gamemode" text NOT NULL,
+	"is_creator" boolean DEFAULT false NOT NULL,
+	"joined_at" timestamp,
+	"ended_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "session_history_players_session_id_user_id_pk" PRIMARY KEY("session_id","user_id")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "guild_requirement_roles" (
+	"guild_id" text NOT NULL,
+	"kind" text NOT NULL,
+	"name" text NOT NULL,
+	"role_id" text NOT NULL,
+	"tier" integer,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "guild_requirement_roles_guild_id_kind_name_pk" PRIMARY KEY("guild_id","kind","name")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "api_keys" (
+	"id" text PRIMARY KEY NOT NULL,
+	"guild_id" text NOT NULL,
+	"name" text NOT NULL,
+	"key_hash" text NOT NULL,
+	"created_by" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"last_used_at" timestamp,
+	CONSTRAINT "api_keys_key_hash_unique" UNIQUE("key_hash")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "webhooks" (
+	"id" text PRIMARY KEY NOT NULL,
+	"guild_id" text NOT NULL,
+	"url" text NOT NULL,
+	"secret" text NOT NULL,
+	"events" json DEFAULT '[]'::json NOT NULL,
+	"created_by" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "webhook_dead_letters" (
+	"id" text PRIMARY KEY NOT NULL,
+	"webhook_id" text NOT NULL,
+	"guild_id" text NOT NULL,
+	"event" text NOT NULL,
+	"payload" json NOT NULL,
+	"attempts" integer NOT NULL,
+	"last_status" integer,
+	"last_error" text,
+	"failed_at" timestamp DEFAULT now() NOT NULL
+);
+
+--> statement-breakpoint
+-- Columns added to earlier deployments before migrations existed
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "scheduled_for" timestamp;
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "filled_at" timestamp;
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "voice_created_at" timestamp;
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "blocked_users" json DEFAULT '[]'::json NOT NULL;
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "is_locked" boolean DEFAULT false NOT NULL;
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "requirements" json;
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "role_slots" json;
+ALTER TABLE "lfg_sessions" ADD COLUMN IF NOT EXISTS "waitlist" json DEFAULT '[]'::json NOT NULL;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "games_seeded" boolean DEFAULT false NOT NULL;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "default_session_minutes" integer;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "max_session_minutes" integer;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "max_sessions_per_user" integer;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "board_channel_id" text;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "board_message_id" text;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "notify_mode" text;
+ALTER TABLE "guild_settings" ADD COLUMN IF NOT EXISTS "notify_role_id" text;
+ALTER TABLE "user_sessions" ADD COLUMN IF NOT EXISTS "guild_id" text;
+--> statement-breakpoint
+-- user_sessions used to allow one row per user - key it by user and session instead
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+            ON kcu.constraint_name = tc.constraint_name AND kcu.table_name = tc.table_name
+        WHERE tc.table_name = 'user_sessions' AND tc.constraint_type = 'PRIMARY KEY' AND kcu.column_name = 'session_id'
+    ) THEN
+        ALTER TABLE "user_sessions" DROP CONSTRAINT IF EXISTS "user_sessions_pkey";
+        ALTER TABLE "user_sessions" ADD CONSTRAINT "user_sessions_user_id_session_id_pk" PRIMARY KEY("user_id","session_id");
+    END IF;
+END $$;
+--> statement-breakpoint
+UPDATE "user_sessions" SET "guild_id" = "lfg_sessions"."guild_id"
+FROM "lfg_sessions"
+WHERE "user_sessions"."session_id" = "lfg_sessions"."id" AND "user_sessions"."guild_id" IS NULL;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS "lfg_sessions_game_gamemode_idx";--> statement-breakpoint
+DROP INDEX IF EXISTS "lfg_sessions_guild_id_is_active_idx";
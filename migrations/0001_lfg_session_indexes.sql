@@ -0,0 +1,2 @@
+CREATE INDEX "lfg_sessions_guild_id_is_active_idx" ON "lfg_sessions" USING btree ("guild_id","is_active");--> statement-breakpoint
+CREATE INDEX "lfg_sessions_game_gamemode_idx" ON "lfg_sessions" USING btree ("game","gamemode");
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "webhook_dead_letters" DROP COLUMN IF EXISTS "next_attempt_at";
@@ -0,0 +1 @@
+ALTER TABLE "webhook_dead_letters" ADD COLUMN "next_attempt_at" timestamp;
\ No newline at end of file
@@ -0,0 +1,193 @@
+CREATE TABLE `lfg_sessions` (
+	`id` text PRIMARY KEY NOT NULL,
+	`creator_id` text NOT NULL,
+	`guild_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`message_id` text,
+	`game` text NOT NULL,
+	`gamemode` text NOT NULL,
+	`players_needed` integer NOT NULL,
+	`info` text,
+	`status` text DEFAULT 'waiting' NOT NULL,
+	`current_players` text DEFAULT '[]' NOT NULL,
+	`confirmed_players` text DEFAULT '[]' NOT NULL,
+	`voice_channel_id` text,
+	`blocked_users` text DEFAULT '[]' NOT NULL,
+	`is_locked` integer DEFAULT false NOT NULL,
+	`requirements` text,
+	`role_slots` text,
+	`waitlist` text DEFAULT '[]' NOT NULL,
+	`confirmation_start_time` integer,
+	`scheduled_for` integer,
+	`filled_at` integer,
+	`voice_created_at` integer,
+	`created_at` integer NOT NULL,
+	`updated_at` integer NOT NULL,
+	`expires_at` integer NOT NULL,
+	`is_active` integer DEFAULT true NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `lfg_sessions_guild_id_is_active_idx` ON `lfg_sessions` (`guild_id`,`is_active`);--> statement-breakpoint
+CREATE INDEX `lfg_sessions_game_gamemode_idx` ON `lfg_sessions` (`game`,`gamemode`);--> statement-breakpoint
+CREATE TABLE `guild_settings` (
+	`guild_id` text PRIMARY KEY NOT NULL,
+	`lfg_channel_id` text,
+	`games_seeded` integer DEFAULT false NOT NULL,
+	`default_session_minutes` integer,
+	`max_session_minutes` integer,
+	`max_sessions_per_user` integer,
+	`board_channel_id` text,
+	`board_message_id` text,
+	`notify_mode` text,
+	`notify_role_id` text,
+	`created_at` integer NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `user_sessions` (
+	`user_id` text NOT NULL,
+	`session_id` text NOT NULL,
+	`guild_id` text,
+	`created_at` integer NOT NULL,
+	`updated_at` integer NOT NULL,
+	PRIMARY KEY(`user_id`, `session_id`)
+);
+--> statement-breakpoint
+CREATE TABLE `user_profiles` (
+	`user_id` text PRIMARY KEY NOT NULL,
+	`game_names` text DEFAULT '{}' NOT NULL,
+	`platform` text,
+	`region` text,
+	`main_roles` text,
+	`availability` text,
+	`created_at` integer NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `notification_subscriptions` (
+	`guild_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`game` text NOT NULL,
+	`gamemode` text DEFAULT '' NOT NULL,
+	`created_at` integer NOT NULL,
+	PRIMARY KEY(`guild_id`, `user_id`, `game`, `gamemode`)
+);
+--> statement-breakpoint
+CREATE TABLE `notification_settings` (
+	`user_id` text PRIMARY KEY NOT NULL,
+	`quiet_start_hour` integer,
+	`quiet_end_hour` integer,
+	`timezone` text DEFAULT 'UTC' NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `guild_games` (
+	`guild_id` text NOT NULL,
+	`game_key` text NOT NULL,
+	`display_name` text NOT NULL,
+	`modes` text DEFAULT '[]' NOT NULL,
+	`created_at` integer NOT NULL,
+	`updated_at` integer NOT NULL,
+	PRIMARY KEY(`guild_id`, `game_key`)
+);
+--> statement-breakpoint
+CREATE TABLE `matchmaking_queue` (
+	`user_id` text NOT NULL,
+	`guild_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`username` text NOT NULL,
+	`game` text NOT NULL,
+	`gamemode` text NOT NULL,
+	`queued_at` integer NOT NULL,
+	`expires_at` integer NOT NULL,
+	PRIMARY KEY(`user_id`, `guild_id`)
+);
+--> statement-breakpoint
+CREATE TABLE `session_templates` (
+	`id` text PRIMARY KEY NOT NULL,
+	`guild_id` text NOT NULL,
+	`creator_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`game` text NOT NULL,
+	`gamemode` text NOT NULL,
+	`players_needed` integer NOT NULL,
+	`info` text,
+	`cron_expression` text NOT NULL,
+	`timezone` text DEFAULT 'UTC' NOT NULL,
+	`is_paused` integer DEFAULT false NOT NULL,
+	`last_posted_at` integer,
+	`created_at` integer NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `session_history` (
+	`session_id` text PRIMARY KEY NOT NULL,
+	`guild_id` text NOT NULL,
+	`creator_id` text NOT NULL,
+	`game` text NOT NULL,
+	`gamemode` text NOT NULL,
+	`players_needed` integer NOT NULL,
+	`player_count` integer NOT NULL,
+	`fill_seconds` integer,
+	`voice_channel_created` integer DEFAULT false NOT NULL,
+	`end_reason` text NOT NULL,
+	`created_at` integer NOT NULL,
+	`filled_at` integer,
+	`ended_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `session_history_players` (
+	`session_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`guild_id` text NOT NULL,
+	`game` text NOT NULL,
+	`gamemode` text NOT NULL,
+	`is_creator` integer DEFAULT false NOT NULL,
+	`joined_at` integer,
+	`ended_at` integer NOT NULL,
+	PRIMARY KEY(`session_id`, `user_id`)
+);
+--> statement-breakpoint
+CREATE TABLE `guild_requirement_roles` (
+	`guild_id` text NOT NULL,
+	`kind` text NOT NULL,
+	`name` text NOT NULL,
+	`role_id` text NOT NULL,
+	`tier` integer,
+	`created_at` integer NOT NULL,
+	PRIMARY KEY(`guild_id`, `kind`, `name`)
+);
+--> statement-breakpoint
+CREATE TABLE `api_keys` (
+	`id` text PRIMARY KEY NOT NULL,
+	`guild_id` text NOT NULL,
+	`name` text NOT NULL,
+	`key_hash` text NOT NULL,
+	`created_by` text NOT NULL,
+	`created_at` integer NOT NULL,
+	`last_used_at` integer
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `api_keys_key_hash_unique` ON `api_keys` (`key_hash`);--> statement-breakpoint
+CREATE TABLE `webhooks` (
+	`id` text PRIMARY KEY NOT NULL,
+	`guild_id` text NOT NULL,
+	`url` text NOT NULL,
+	`secret` text NOT NULL,
+	`events` text DEFAULT '[]' NOT NULL,
+	`created_by` text NOT NULL,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `webhook_dead_letters` (
+	`id` text PRIMARY KEY NOT NULL,
+	`webhook_id` text NOT NULL,
+	`guild_id` text NOT NULL,
+	`event` text NOT NULL,
+	`payload` text NOT NULL,
+	`attempts` integer NOT NULL,
+	`last_status` integer,
+	`last_error` text,
+	`failed_at` integer NOT NULL,
+	`next_attempt_at` integer
+);
@@ -0,0 +1,228 @@
+// SQLite mirror of schema.js for the sqlite storage driver - same tables, columns and keys.
+// SQLite has no native json, boolean or timestamp types, so those are stored as text/integer columns
+// that drizzle converts back, and rows come out with the same shapes as Postgres.
+// After changing a table here, run `npm run db:generate:sqlite`.
+const { sqliteTable, text, integer, primaryKey, index } = require('drizzle-orm/sqlite-core');
+
+const json = name => text(name, { mode: 'json' });
+const boolean = name => integer(name, { mode: 'boolean' });
+const timestamp = name => integer(name, { mode: 'timestamp_ms' });
+const now = () => new Date();
+
+const lfgSessions = sqliteTable('lfg_sessions', {
+    id: text('id').primaryKey(),
+    creatorId: text('creator_id').notNull(),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    messageId: text('message_id'),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    playersNeeded: integer('players_needed').notNull(),
+    info: text('info'),
+    status: text('status').notNull().default('waiting'),
+    currentPlayers: json('current_players').notNull().default([]),
+    confirmedPlayers: json('confirmed_players').notNull().default([]),
+    voiceChannelId: text('voice_channel_id'),
+    blockedUsers: json('blocked_users').notNull().default([]),
+    isLocked: boolean('is_locked').notNull().default(false),
+    requirements: json('requirements'),
+    roleSlots: json('role_slots'),
+    waitlist: json('waitlist').notNull().default([]),
+    confirmationStartTime: timestamp('confirmation_start_time'),
+    scheduledFor: timestamp('scheduled_for'),
+    filledAt: timestamp('filled_at'),
+    voiceCreatedAt: timestamp('voice_created_at'),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now),
+    updatedAt: timestamp('updated_at').notNull().$defaultFn(now),
+    expiresAt: timestamp('expires_at').notNull(),
+    isActive: boolean('is_active').notNull().default(true)
+}, (table) => [
+    index('lfg_sessions_guild_id_is_active_idx').on(table.guildId, table.isActive),
+    index('lfg_sessions_game_gamemode_idx').on(table.game, table.gamemode)
+]);
+
+const guildSettings = sqliteTable('guild_settings', {
+    guildId: text('guild_id').primaryKey(),
+    lfgChannelId: text('lfg_channel_id'),
+    gamesSeeded: boolean('games_seeded').notNull().default(false),
+    defaultSessionMinutes: integer('default_session_minutes'),
+    maxSessionMinutes: integer('max_session_minutes'),
+    maxSessionsPerUser: integer('max_sessions_per_user'),
+    boardChannelId: text('board_channel_id'),
+    boardMessageId: text('board_message_id'),
+    notifyMode: text('notify_mode'),
+    notifyRoleId: text('notify_role_id'),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now),
+    updatedAt: timestamp('updated_at').notNull().$defaultFn(now)
+});
+
+const userSessions = sqliteTable('user_sessions', {
+    userId: text('user_id').notNull(),
+    sessionId: text('session_id').notNull(),
+    guildId: text('guild_id'),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now),
+    updatedAt: timestamp('updated_at').notNull().$defaultFn(now)
+}, (table) => [
+    primaryKey({ columns: [table.userId, table.sessionId] })
+]);
+
+const userProfiles = sqliteTable('user_profiles', {
+    userId: text('user_id').primaryKey(),
+    gameNames: json('game_names').notNull().default({}),
+    platform: text('platform'),
+    region: text('region'),
+    mainRoles: text('main_roles'),
+    availability: text('availability'),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now),
+    updatedAt: timestamp('updated_at').notNull().$defaultFn(now)
+});
+
+const notificationSubscriptions = sqliteTable('notification_subscriptions', {
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull().default(''), // '' = any mode
+    createdAt: timestamp('created_at').notNull().$defaultFn(now)
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.userId, table.game, table.gamemode] })
+]);
+
+const notificationSettings = sqliteTable('notification_settings', {
+    userId: text('user_id').primaryKey(),
+    quietStartHour: integer('quiet_start_hour'),
+    quietEndHour: integer('quiet_end_hour'),
+    timezone: text('timezone').notNull().default('UTC'),
+    updatedAt: timestamp('updated_at').notNull().$defaultFn(now)
+});
+
+const guildGames = sqliteTable('guild_games', {
+    guildId: text('guild_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    displayName: text('display_name').notNull(),
+    modes: json('modes').notNull().default([]),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now),
+    updatedAt: timestamp('updated_at').notNull().$defaultFn(now)
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.gameKey] })
+]);
+
+const matchmakingQueue = sqliteTable('matchmaking_queue', {
+    userId: text('user_id').notNull(),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    username: text('username').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    queuedAt: timestamp('queued_at').notNull().$defaultFn(now),
+    expiresAt: timestamp('expires_at').notNull()
+}, (table) => [
+    primaryKey({ columns: [table.userId, table.guildId] })
+]);
+
+const sessionTemplates = sqliteTable('session_templates', {
+    id: text('id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    creatorId: text('creator_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    playersNeeded: integer('players_needed').notNull(),
+    info: text('info'),
+    cronExpression: text('cron_expression').notNull(),
+    timezone: text('timezone').notNull().default('UTC'),
+    isPaused: boolean('is_paused').notNull().default(false),
+    lastPostedAt: timestamp('last_posted_at'),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now),
+    updatedAt: timestamp('updated_at').notNull().$defaultFn(now)
+});
+
+const sessionHistory = sqliteTable('session_history', {
+    sessionId: text('session_id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    creatorId: text('creator_id').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    playersNeeded: integer('players_needed').notNull(),
+    playerCount: integer('player_count').notNull(),
+    fillSeconds: integer('fill_seconds'),
+    voiceChannelCreated: boolean('voice_channel_created').notNull().default(false),
+    endReason: text('end_reason').notNull(),
+    createdAt: timestamp('created_at').notNull(),
+    filledAt: timestamp('filled_at'),
+    endedAt: timestamp('ended_at').notNull().$defaultFn(now)
+});
+
+const sessionHistoryPlayers = sqliteTable('session_history_players', {
+    sessionId: text('session_id').notNull(),
+    userId: text('user_id').notNull(),
+    guildId: text('guild_id').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    isCreator: boolean('is_creator').notNull().default(false),
+    joinedAt: timestamp('joined_at'),
+    endedAt: timestamp('ended_at').notNull().$defaultFn(now)
+}, (table) => [
+    primaryKey({ columns: [table.sessionId, table.userId] })
+]);
+
+const guildRequirementRoles = sqliteTable('guild_requirement_roles', {
+    guildId: text('guild_id').notNull(),
+    kind: text('kind').notNull(),
+    name: text('name').notNull(),
+    roleId: text('role_id').notNull(),
+    tier: integer('tier'),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now)
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.kind, table.name] })
+]);
+
+const apiKeys = sqliteTable('api_keys', {
+    id: text('id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    name: text('name').notNull(),
+    keyHash: text('key_hash').notNull().unique(),
+    createdBy: text('created_by').notNull(),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now),
+    lastUsedAt: timestamp('last_used_at')
+});
+
+const webhooks = sqliteTable('webhooks', {
+    id: text('id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    url: text('url').notNull(),
+    secret: text('secret').notNull(),
+    events: json('events').notNull().default([]), // [] = every event
+    createdBy: text('created_by').notNull(),
+    createdAt: timestamp('created_at').notNull().$defaultFn(now)
+});
+
+const webhookDeadLetters = sqliteTable('webhook_dead_letters', {
+    id: text('id').primaryKey(), // delivery id
+    webhookId: text('webhook_id').notNull(),
+    guildId: text('guild_id').notNull(),
+    event: text('event').notNull(),
+    payload: json('payload').notNull(),
+    attempts: integer('attempts').notNull(),
+    lastStatus: integer('last_status'),
+    lastError: text('last_error'),
+    failedAt: timestamp('failed_at').notNull().$defaultFn(now),
+    nextAttemptAt: timestamp('next_attempt_at') // set while a retry is still scheduled, null once it gave up
+});
+
+module.exports = {
+    lfgSessions,
+    guildSettings,
+    userSessions,
+    userProfiles,
+    notificationSubscriptions,
+    notificationSettings,
+    guildGames,
+    matchmakingQueue,
+    sessionTemplates,
+    sessionHistory,
+    sessionHistoryPlayers,
+    guildRequirementRoles,
+    apiKeys,
+    webhooks,
+    webhookDeadLetters
+};
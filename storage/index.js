@@ -0,0 +1,52 @@
+// Pluggable storage backends, chosen with STORAGE_DRIVER (postgres by default).
+// Every driver implements the lifecycle methods (init, close) plus STORAGE_METHODS below,
+// with the same arguments and return shapes as the Postgres driver.
+const STORAGE_METHODS = [
+    'createSession', 'getSession', 'updateSession', 'getActiveSessions', 'getSessionVoiceChannelIds', 'getGuildSessions',
+    'addSessionPlayer', 'removeSessionPlayers', 'endSession', 'replaceSessionPlayers', 'getSessionSnapshot',
+    'getAllUserProfiles', 'upsertUserProfile', 'deleteUserProfile',
+    'getAllGuildSettings', 'upsertGuildSettings',
+    'getAllNotificationSubscriptions', 'addNotificationSubscription', 'removeNotificationSubscriptions',
+    'getAllNotificationSettings', 'upsertNotificationSettings',
+    'getAllApiKeys', 'createApiKey', 'deleteApiKey', 'touchApiKey',
+    'getAllWebhooks', 'createWebhook', 'deleteWebhook',
+    'upsertWebhookDeadLetter', 'getWebhookDeadLetters', 'getPendingWebhookDeliveries', 'deleteWebhookDeadLetter',
+    'getAllGuildGames', 'getGuildGames', 'seedGuildGames', 'upsertGuildGame', 'deleteGuildGame',
+    'getAllRequirementRoles', 'upsertRequirementRole', 'deleteRequirementRole',
+    'getQueueEntries', 'upsertQueueEntry', 'removeQueueEntry',
+    'getSessionTemplates', 'createSessionTemplate', 'updateSessionTemplate', 'deleteSessionTemplate',
+    'recordSessionHistory', 'getSessionStats', 'getPlayerStats'
+];
+
+// Drivers are required lazily so only the chosen backend's dependencies have to be installed
+const STORAGE_DRIVERS = {
+    postgres: (options) => {
+        const { PostgresStorage } = require('./postgres');
+        return new PostgresStorage({ connectionString: options.databaseUrl });
+    },
+    memory: (options) => {
+        const { MemoryStorage } = require('./memory');
+        return new MemoryStorage();
+    },
+    sqlite: (options) => {
+        const { SqliteStorage } = require('./sqlite');
+        return new SqliteStorage({ filename: options.sqlitePath });
+    }
+};
+
+function createStorage(driver, options) {
+    const createDriver = STORAGE_DRIVERS[driver];
+    if (!createDriver) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}" - use one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    }
+
+    const storage = createDriver(options);
+    const missing = [...STORAGE_METHODS, 'init', 'close'].filter(method => typeof storage[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Storage driver "${driver}" is missing: ${missing.join(', ')}`);
+    }
+
+    return storage;
+}
+
+module.exports = { createStorage, STORAGE_DRIVERS, STORAGE_METHODS };
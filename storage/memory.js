@@ -0,0 +1,547 @@
+// In-memory storage driver for local development and tests - nothing survives a restart.
+// Rows are built from the same schema.js tables as Postgres so they have identical shapes and defaults.
+const { getTableColumns, getTableName, is, SQL } = require('drizzle-orm');
+const {
+    lfgSessions, guildSettings, userSessions, userProfiles, notificationSubscriptions, notificationSettings,
+    guildGames, matchmakingQueue, sessionTemplates, sessionHistory, sessionHistoryPlayers, guildRequirementRoles,
+    apiKeys, webhooks, webhookDeadLetters
+} = require('../schema');
+
+// Primary key columns per table (mirrors schema.js)
+const PRIMARY_KEYS = new Map([
+    [lfgSessions, ['id']],
+    [guildSettings, ['guildId']],
+    [userSessions, ['userId', 'sessionId']],
+    [userProfiles, ['userId']],
+    [notificationSubscriptions, ['guildId', 'userId', 'game', 'gamemode']],
+    [notificationSettings, ['userId']],
+    [guildGames, ['guildId', 'gameKey']],
+    [matchmakingQueue, ['userId', 'guildId']],
+    [sessionTemplates, ['id']],
+    [sessionHistory, ['sessionId']],
+    [sessionHistoryPlayers, ['sessionId', 'userId']],
+    [guildRequirementRoles, ['guildId', 'kind', 'name']],
+    [apiKeys, ['id']],
+    [webhooks, ['id']],
+    [webhookDeadLetters, ['id']]
+]);
+
+function getRowKey(table, row) {
+    return JSON.stringify(PRIMARY_KEYS.get(table).map(column => row[column]));
+}
+
+// Fill in column defaults and nulls the way an INSERT ... RETURNING would
+function buildRow(table, values) {
+    const row = {};
+    for (const [name, column] of Object.entries(getTableColumns(table))) {
+        if (values[name] !== undefined) {
+            row[name] = values[name];
+        } else if (column.hasDefault) {
+            row[name] = is(column.default, SQL) ? new Date() : structuredClone(column.default);
+        } else {
+            row[name] = null;
+        }
+    }
+    return row;
+}
+
+// Drizzle skips undefined values in .set(), so do the same here
+function definedValues(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+function countBy(rows, keyOf) {
+    const counts = new Map();
+    for (const row of rows) {
+        const key = keyOf(row);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+// Matches Postgres percentile_cont(0.5): interpolates between the two middle values
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = (sorted.length - 1) / 2;
+    return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2;
+}
+
+function topModes(rows, extra = () => ({})) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = JSON.stringify([row.game, row.gamemode]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+
+    return [...groups.values()]
+        .map(group => ({ game: group[0].game, gamemode: group[0].gamemode, sessions: group.length, ...extra(group) }))
+        .sort((a, b) => b.sessions - a.sessions)
+        .slice(0, 5);
+}
+
+class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+        this.tables = new Map([...PRIMARY_KEYS.keys()].map(table => [table, new Map()]));
+        this.snapshots = null;
+    }
+
+    async init() {
+        console.log('⚠️ Using in-memory storage - all data is lost when the bot stops');
+    }
+
+    async close() {}
+
+    // A failed operation leaves no partial writes behind: each table is copied before its first change
+    // and the copies are put back if the task throws
+    runAtomically(task) {
+        this.snapshots = new Map();
+        try {
+            return task();
+        } catch (error) {
+            for (const [table, rows] of this.snapshots) {
+                this.tables.set(table, rows);
+            }
+            throw error;
+        } finally {
+            this.snapshots = null;
+        }
+    }
+
+    // Called by the write helpers before they change a table
+    snapshotTable(table) {
+        if (this.snapshots && !this.snapshots.has(table)) {
+            this.snapshots.set(table, new Map(this.tables.get(table)));
+        }
+    }
+
+    // Rows are cloned on the way in and out so callers can never mutate stored state directly
+    select(table, predicate = () => true) {
+        return [...this.tables.get(table).values()].filter(predicate).map(row => structuredClone(row));
+    }
+
+    insert(table, values, { onConflict = 'error', set = null } = {}) {
+        this.snapshotTable(table);
+        const rows = this.tables.get(table);
+        const row = buildRow(table, structuredClone(values));
+        const key = getRowKey(table, row);
+        const existing = rows.get(key);
+
+        if (existing) {
+            if (onConflict === 'nothing') return null;
+            if (onConflict === 'error') {
+                throw new Error(`duplicate key value violates unique constraint on "${getTableName(table)}"`);
+            }
+            const updated = { ...existing, ...structuredClone(definedValues(set)) };
+            rows.set(key, updated);
+            return structuredClone(updated);
+        }
+
+        rows.set(key, row);
+        return structuredClone(row);
+    }
+
+    update(table, predicate, changes) {
+        this.snapshotTable(table);
+        const rows = this.tables.get(table);
+        const updated = [];
+        for (const [key, row] of rows) {
+            if (!predicate(row)) continue;
+            const next = { ...row, ...structuredClone(definedValues(changes)) };
+            rows.set(key, next);
+            updated.push(structuredClone(next));
+        }
+        return updated;
+    }
+
+    remove(table, predicate) {
+        this.snapshotTable(table);
+        const rows = this.tables.get(table);
+        const removed = [];
+        for (const [key, row] of rows) {
+            if (!predicate(row)) continue;
+            rows.delete(key);
+            removed.push(row);
+        }
+        return removed;
+    }
+
+    // Wraps a storage operation with the same error logging as the Postgres driver
+    async run(description, task, fallback) {
+        try {
+            return this.runAtomically(task);
+        } catch (error) {
+            console.error(`❌ Database error ${description}:`, error);
+            if (fallback !== undefined) return fallback;
+            throw error;
+        }
+    }
+
+    // Sessions and their user_sessions rows only change together, each transition atomically
+    async createSession(session) {
+        return this.run('creating session', () => {
+            const createdSession = this.insert(lfgSessions, {
+                ...session,
+                createdAt: new Date(session.createdAt),
+                expiresAt: new Date(session.expiresAt),
+                scheduledFor: session.scheduledFor ? new Date(session.scheduledFor) : null,
+                updatedAt: new Date()
+            });
+
+            for (const player of createdSession.currentPlayers) {
+                this.insert(
+                    userSessions,
+                    { userId: player.id, sessionId: session.id, guildId: session.guildId, updatedAt: new Date() },
+                    { onConflict: 'nothing' }
+                );
+            }
+
+            return createdSession;
+        });
+    }
+
+    async getSession(sessionId) {
+        return this.run('getting session', () =>
+            this.select(lfgSessions, row => row.id === sessionId && row.isActive)[0]);
+    }
+
+    async updateSession(sessionId, updates) {
+        return this.run('updating session', () =>
+            this.update(lfgSessions, row => row.id === sessionId, { ...updates, updatedAt: new Date() })[0]);
+    }
+
+    async addSessionPlayer(sessionId, guildId, userId, updates) {
+        return this.run('adding session player', () => {
+            const [updatedSession] = this.update(lfgSessions, row => row.id === sessionId && row.isActive, { ...updates, updatedAt: new Date() });
+            if (!updatedSession) throw new Error(`Session ${sessionId} is not active`);
+
+            this.insert(
+                userSessions,
+                { userId, sessionId, guildId, updatedAt: new Date() },
+                { onConflict: 'update', set: { guildId, updatedAt: new Date() } }
+            );
+
+            return updatedSession;
+        });
+    }
+
+    async removeSessionPlayers(sessionId, userIds, updates) {
+        return this.run('removing session players', () => {
+            const [updatedSession] = this.update(lfgSessions, row => row.id === sessionId, { ...updates, updatedAt: new Date() });
+            this.remove(userSessions, row => row.sessionId === sessionId && userIds.includes(row.userId));
+            return updatedSession;
+        });
+    }
+
+    // Marks the session inactive and drops every user_sessions row pointing at it, not just the current roster's.
+    // The session's history rows (if given) are written in the same step.
+    async endSession(sessionId, history = null) {
+        await this.run('ending session', () => {
+            this.update(lfgSessions, row => row.id === sessionId, { isActive: false, updatedAt: new Date() });
+            this.remove(userSessions, row => row.sessionId === sessionId);
+            if (history) {
+                this.insertSessionHistory(history.entry, history.players);
+            }
+        });
+    }
+
+    // Rewrite a session's user_sessions rows to exactly these users (used to repair drift)
+    async replaceSessionPlayers(sessionId, guildId, userIds) {
+        await this.run('replacing session players', () => {
+            this.remove(userSessions, row => row.sessionId === sessionId);
+            for (const userId of userIds) {
+                this.insert(userSessions, { userId, sessionId, guildId, updatedAt: new Date() });
+            }
+        });
+    }
+
+    async getSessionSnapshot() {
+        return this.run('reading session snapshot', () => ({
+            sessions: this.select(lfgSessions, row => row.isActive),
+            members: this.select(userSessions)
+        }));
+    }
+
+    async getActiveSessions() {
+        return this.run('getting active sessions', () =>
+            this.select(lfgSessions, row => row.isActive), []);
+    }
+
+    async getSessionVoiceChannelIds(guildId) {
+        return this.run('getting session voice channels', () => [
+            ...new Set(this.select(lfgSessions, row => row.guildId === guildId && row.voiceChannelId)
+                .map(row => row.voiceChannelId))
+        ]);
+    }
+
+    async getGuildSessions(guildId, { game = null, gamemode = null, limit = 25, offset = 0 } = {}) {
+        return this.run('getting guild sessions', () => {
+            const sessions = this.select(lfgSessions, row =>
+                row.guildId === guildId && row.isActive &&
+                (!game || row.game === game) &&
+                (!gamemode || row.gamemode === gamemode))
+                .sort((a, b) => a.createdAt - b.createdAt || a.id.localeCompare(b.id));
+
+            return { sessions: sessions.slice(offset, offset + limit), total: sessions.length };
+        });
+    }
+
+    async getAllUserProfiles() {
+        return this.run('getting user profiles', () => this.select(userProfiles), []);
+    }
+
+    async upsertUserProfile(userId, updates) {
+        return this.run('saving user profile', () => this.insert(
+            userProfiles,
+            { userId, ...updates, updatedAt: new Date() },
+            { onConflict: 'update', set: { ...updates, updatedAt: new Date() } }
+        ));
+    }
+
+    async deleteUserProfile(userId) {
+        await this.run('deleting user profile', () =>
+            this.remove(userProfiles, row => row.userId === userId));
+    }
+
+    async getAllGuildSettings() {
+        return this.run('getting guild settings', () => this.select(guildSettings), []);
+    }
+
+    async upsertGuildSettings(guildId, updates) {
+        return this.run('saving guild settings', () => this.insert(
+            guildSettings,
+            { guildId, ...updates, updatedAt: new Date() },
+            { onConflict: 'update', set: { ...updates, updatedAt: new Date() } }
+        ));
+    }
+
+    async getAllNotificationSubscriptions() {
+        return this.run('getting notification subscriptions', () =>
+            this.select(notificationSubscriptions), []);
+    }
+
+    async addNotificationSubscription(guildId, userId, game, gamemode) {
+        return this.run('saving notification subscription', () =>
+            this.insert(notificationSubscriptions, { guildId, userId, game, gamemode }, { onConflict: 'nothing' }));
+    }
+
+    async removeNotificationSubscriptions(guildId, userId, game, gamemode = null) {
+        return this.run('deleting notification subscriptions', () =>
+            this.remove(notificationSubscriptions, row =>
+                row.guildId === guildId && row.userId === userId && row.game === game &&
+                (gamemode === null || row.gamemode === gamemode)));
+    }
+
+    async getAllNotificationSettings() {
+        return this.run('getting notification settings', () =>
+            this.select(notificationSettings), []);
+    }
+
+    async upsertNotificationSettings(userId, updates) {
+        return this.run('saving notification settings', () => this.insert(
+            notificationSettings,
+            { userId, ...updates, updatedAt: new Date() },
+            { onConflict: 'update', set: { ...updates, updatedAt: new Date() } }
+        ));
+    }
+
+    async getAllApiKeys() {
+        return this.run('getting API keys', () => this.select(apiKeys), []);
+    }
+
+    async createApiKey(apiKey) {
+        return this.run('creating API key', () => this.insert(apiKeys, apiKey));
+    }
+
+    async deleteApiKey(keyId) {
+        await this.run('deleting API key', () => this.remove(apiKeys, row => row.id === keyId));
+    }
+
+    async touchApiKey(keyId, lastUsedAt) {
+        await this.run('updating API key usage', () =>
+            this.update(apiKeys, row => row.id === keyId, { lastUsedAt }), null);
+    }
+
+    async getAllWebhooks() {
+        return this.run('getting webhooks', () => this.select(webhooks), []);
+    }
+
+    async createWebhook(webhook) {
+        return this.run('creating webhook', () => this.insert(webhooks, webhook));
+    }
+
+    async deleteWebhook(webhookId) {
+        await this.run('deleting webhook', () => {
+            this.remove(webhookDeadLetters, row => row.webhookId === webhookId);
+            this.remove(webhooks, row => row.id === webhookId);
+        });
+    }
+
+    async upsertWebhookDeadLetter(deadLetter) {
+        await this.run('saving webhook dead letter', () => this.insert(
+            webhookDeadLetters,
+            deadLetter,
+            {
+                onConflict: 'update',
+                set: {
+                    attempts: deadLetter.attempts,
+                    lastStatus: deadLetter.lastStatus,
+                    lastError: deadLetter.lastError,
+                    failedAt: deadLetter.failedAt,
+                    nextAttemptAt: deadLetter.nextAttemptAt ?? null
+                }
+            }
+        ), null);
+    }
+
+    async getWebhookDeadLetters(guildId, webhookId = null, limit = 10) {
+        return this.run('getting webhook dead letters', () =>
+            this.select(webhookDeadLetters, row =>
+                row.guildId === guildId && !row.nextAttemptAt && (!webhookId || row.webhookId === webhookId))
+                .sort((a, b) => b.failedAt - a.failedAt)
+                .slice(0, limit), []);
+    }
+
+    async getPendingWebhookDeliveries() {
+        return this.run('getting pending webhook deliveries', () =>
+            this.select(webhookDeadLetters, row => row.nextAttemptAt)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt), []);
+    }
+
+    async deleteWebhookDeadLetter(deliveryId) {
+        await this.run('deleting webhook dead letter', () =>
+            this.remove(webhookDeadLetters, row => row.id === deliveryId));
+    }
+
+    async getAllGuildGames() {
+        return this.run('getting game catalog', () => this.select(guildGames), []);
+    }
+
+    async getGuildGames(guildId) {
+        return this.run('getting guild games', () =>
+            this.select(guildGames, row => row.guildId === guildId), []);
+    }
+
+    async seedGuildGames(guildId, catalog) {
+        await this.run('seeding guild games', () => {
+            for (const game of catalog) {
+                this.insert(guildGames, { guildId, ...game, updatedAt: new Date() }, { onConflict: 'nothing' });
+            }
+        });
+    }
+
+    async upsertGuildGame(guildId, gameKey, updates) {
+        return this.run('saving guild game', () => this.insert(
+            guildGames,
+            { guildId, gameKey, ...updates, updatedAt: new Date() },
+            { onConflict: 'update', set: { ...updates, updatedAt: new Date() } }
+        ));
+    }
+
+    async deleteGuildGame(guildId, gameKey) {
+        await this.run('deleting guild game', () =>
+            this.remove(guildGames, row => row.guildId === guildId && row.gameKey === gameKey));
+    }
+
+    async getAllRequirementRoles() {
+        return this.run('getting requirement roles', () =>
+            this.select(guildRequirementRoles), []);
+    }
+
+    async upsertRequirementRole(guildId, kind, name, updates) {
+        return this.run('saving requirement role', () => this.insert(
+            guildRequirementRoles,
+            { guildId, kind, name, ...updates },
+            { onConflict: 'update', set: updates }
+        ));
+    }
+
+    async deleteRequirementRole(guildId, kind, name) {
+        await this.run('deleting requirement role', () =>
+            this.remove(guildRequirementRoles, row => row.guildId === guildId && row.kind === kind && row.name === name));
+    }
+
+    async getQueueEntries() {
+        return this.run('getting matchmaking queue', () => this.select(matchmakingQueue), []);
+    }
+
+    async upsertQueueEntry(entry) {
+        const { userId, guildId, ...updates } = entry;
+        await this.run('saving queue entry', () =>
+            this.insert(matchmakingQueue, entry, { onConflict: 'update', set: updates }));
+    }
+
+    async removeQueueEntry(userId, guildId) {
+        await this.run('removing queue entry', () =>
+            this.remove(matchmakingQueue, row => row.userId === userId && row.guildId === guildId));
+    }
+
+    async getSessionTemplates() {
+        return this.run('getting session templates', () => this.select(sessionTemplates), []);
+    }
+
+    async createSessionTemplate(template) {
+        return this.run('creating session template', () =>
+            this.insert(sessionTemplates, { ...template, updatedAt: new Date() }));
+    }
+
+    async updateSessionTemplate(templateId, updates) {
+        return this.run('updating session template', () =>
+            this.update(sessionTemplates, row => row.id === templateId, { ...updates, updatedAt: new Date() })[0]);
+    }
+
+    async deleteSessionTemplate(templateId) {
+        await this.run('deleting session template', () =>
+            this.remove(sessionTemplates, row => row.id === templateId));
+    }
+
+    insertSessionHistory(entry, players) {
+        this.insert(sessionHistory, entry, { onConflict: 'nothing' });
+        for (const player of players) {
+            this.insert(sessionHistoryPlayers, player, { onConflict: 'nothing' });
+        }
+    }
+
+    async recordSessionHistory(entry, players) {
+        await this.run('recording session history', () => this.insertSessionHistory(entry, players));
+    }
+
+    async getSessionStats(guildId, game = null) {
+        return this.run('getting session stats', () => {
+            const history = this.select(sessionHistory, row => row.guildId === guildId && (!game || row.game === game));
+            const players = this.select(sessionHistoryPlayers, row => row.guildId === guildId && (!game || row.game === game));
+
+            return {
+                totalSessions: history.length,
+                filledSessions: history.filter(row => row.filledAt).length,
+                voiceSessions: history.filter(row => row.voiceChannelCreated).length,
+                medianFillSeconds: median(history.filter(row => row.fillSeconds !== null).map(row => row.fillSeconds)),
+                topModes: topModes(history, group => ({ filledSessions: group.filter(row => row.filledAt).length })),
+                endReasons: [...countBy(history, row => row.endReason)]
+                    .map(([endReason, sessions]) => ({ endReason, sessions })),
+                topPlayers: [...countBy(players, row => row.userId)]
+                    .map(([userId, sessions]) => ({ userId, sessions }))
+                    .sort((a, b) => b.sessions - a.sessions)
+                    .slice(0, 5)
+            };
+        }, null);
+    }
+
+    async getPlayerStats(guildId, userId) {
+        return this.run('getting player stats', () => {
+            const played = this.select(sessionHistoryPlayers, row => row.guildId === guildId && row.userId === userId);
+            const lastPlayed = played.reduce((latest, row) => (!latest || row.endedAt > latest ? row.endedAt : latest), null);
+
+            return {
+                sessionsPlayed: played.length,
+                sessionsCreated: played.filter(row => row.isCreator).length,
+                lastPlayedAt: lastPlayed,
+                topModes: topModes(played)
+            };
+        }, null);
+    }
+}
+
+module.exports = { MemoryStorage };
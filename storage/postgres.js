@@ -0,0 +1,1022 @@
+// PostgreSQL (Neon) storage driver - the production backend, with versioned migrations
+const fs = require('fs');
+const path = require('path');
+const { eq, and, inArray, isNull, isNotNull, asc, desc, sql } = require('drizzle-orm');
+const schema = require('../schema');
+
+const {
+    lfgSessions, guildSettings, userSessions, userProfiles, notificationSubscriptions, notificationSettings,
+    guildGames, matchmakingQueue, sessionTemplates, sessionHistory, sessionHistoryPlayers, guildRequirementRoles,
+    apiKeys, webhooks, webhookDeadLetters
+} = schema;
+
+// Migrations are generated from schema.js with `npm run db:generate` (drizzle-kit) and applied in
+// journal order. A `<tag>.down.sql` file next to a migration reverts it.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_LOCK_KEY = 4811270; // pg_advisory_lock key shared by every bot instance
+
+function loadMigrations() {
+    const journal = JSON.parse(fs.readFileSync(path.join(MIGRATIONS_DIR, 'meta', '_journal.json'), 'utf8'));
+
+    return journal.entries.map(entry => {
+        const downPath = path.join(MIGRATIONS_DIR, `${entry.tag}.down.sql`);
+        return {
+            tag: entry.tag,
+            up: fs.readFileSync(path.join(MIGRATIONS_DIR, `${entry.tag}.sql`), 'utf8'),
+            down: fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null
+        };
+    });
+}
+
+function splitMigrationStatements(sqlText) {
+    return sqlText
+        .split('--> statement-breakpoint')
+        .map(statement => statement.trim())
+        .filter(statement => statement.length > 0);
+}
+
+class PostgresStorage {
+    constructor({ connectionString }) {
+        // Loaded here so the local drivers never need Neon or its WebSocket polyfill
+        const { Pool } = require('@neondatabase/serverless');
+        const { drizzle } = require('drizzle-orm/neon-serverless');
+
+        // WebSocket polyfill for Neon database
+        global.WebSocket = require('ws');
+
+        this.name = 'postgres';
+        this.connectionString = connectionString;
+
+        // Database configuration optimized for Render hosting with Neon
+        this.pool = new Pool({
+            connectionString,
+            max: 3, // Further reduced for Render hosting and Neon limits
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 15000
+        });
+        this.db = drizzle(this.pool, { schema });
+    }
+
+    // Apply pending migrations on startup for deployment environments
+    async init(retryCount = 0) {
+        if (!this.connectionString) {
+            throw new Error('DATABASE_URL is not set (or choose a local STORAGE_DRIVER such as memory or sqlite)');
+        }
+
+        try {
+            console.log('🔧 Checking database connection and migrations...');
+
+            // Test database connection first with retry logic
+            await this.pool.query('SELECT 1');
+            console.log('✅ Database connection verified');
+
+            const applied = await this.migrateUp();
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} database migration(s)`
+                : '✅ Database schema is up to date');
+        } catch (error) {
+            console.error('❌ Database setup failed:', error);
+            console.error('🔍 Check your DATABASE_URL environment variable');
+
+            // Retry logic for Render hosting (connection issues are common during startup)
+            if (retryCount < 5 && (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.message.includes('terminating'))) {
+                console.log(`🔄 Retrying database setup (attempt ${retryCount + 1}/5) in 3 seconds...`);
+                await new Promise(resolve => setTimeout(resolve, 3000));
+                return this.init(retryCount + 1);
+            }
+
+            throw error;
+        }
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+
+    // Run a task while holding the migration lock so instances deploying at once migrate one at a time
+    async withMigrationLock(task) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+            try {
+                await client.query(`
+                    CREATE TABLE IF NOT EXISTS schema_migrations (
+                        tag TEXT PRIMARY KEY,
+                        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+                    );
+                `);
+                return await task(client);
+            } finally {
+                await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY])
+                    .catch(error => console.error('❌ Failed to release migration lock:', error));
+            }
+        } finally {
+            client.release();
+        }
+    }
+
+    async getAppliedMigrations(client) {
+        const result = await client.query('SELECT tag, applied_at FROM schema_migrations ORDER BY tag');
+        return result.rows;
+    }
+
+    // Each migration runs in its own transaction together with its schema_migrations bookkeeping
+    async applyMigration(client, migration, direction) {
+        await client.query('BEGIN');
+        try {
+            for (const statement of splitMigrationStatements(direction === 'up' ? migration.up : migration.down)) {
+                await client.query(statement);
+            }
+
+            if (direction === 'up') {
+                await client.query('INSERT INTO schema_migrations (tag) VALUES ($1)', [migration.tag]);
+            } else {
+                await client.query('DELETE FROM schema_migrations WHERE tag = $1', [migration.tag]);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            error.message = `Migration ${migration.tag} (${direction}) failed: ${error.message}`;
+            throw error;
+        }
+    }
+
+    async migrateUp() {
+        return this.withMigrationLock(async (client) => {
+            const applied = new Set((await this.getAppliedMigrations(client)).map(row => row.tag));
+            const pending = loadMigrations().filter(migration => !applied.has(migration.tag));
+
+            for (const migration of pending) {
+                console.log(`⬆️ Applying migration ${migration.tag}...`);
+                await this.applyMigration(client, migration, 'up');
+            }
+
+            return pending.map(migration => migration.tag);
+        });
+    }
+
+    async migrateDown(steps) {
+        return this.withMigrationLock(async (client) => {
+            const applied = new Set((await this.getAppliedMigrations(client)).map(row => row.tag));
+            const toRevert = loadMigrations().filter(migration => applied.has(migration.tag)).reverse().slice(0, steps);
+
+            // Check every step up front so a partial rollback never stops halfway
+            const irreversible = toRevert.find(migration => !migration.down);
+            if (irreversible) {
+                throw new Error(`Migration ${irreversible.tag} has no ${irreversible.tag}.down.sql and cannot be reverted`);
+            }
+
+            for (const migration of toRevert) {
+                console.log(`⬇️ Reverting migration ${migration.tag}...`);
+                await this.applyMigration(client, migration, 'down');
+            }
+
+            return toRevert.map(migration => migration.tag);
+        });
+    }
+
+    // Known migrations with when they were applied, plus applied tags missing from migrations/
+    async getMigrationStatus() {
+        return this.withMigrationLock(async (client) => {
+            const appliedRows = await this.getAppliedMigrations(client);
+            const appliedAt = new Map(appliedRows.map(row => [row.tag, row.applied_at]));
+            const migrations = loadMigrations();
+            const known = new Set(migrations.map(migration => migration.tag));
+
+            return {
+                migrations: migrations.map(migration => ({
+                    tag: migration.tag,
+                    appliedAt: appliedAt.get(migration.tag) || null,
+                    reversible: migration.down !== null
+                })),
+                unknown: appliedRows
+                    .filter(row => !known.has(row.tag))
+                    .map(row => ({ tag: row.tag, appliedAt: row.applied_at }))
+            };
+        });
+    }
+
+    // Sessions and their user_sessions rows only change together, each transition in one transaction
+    async createSession(session) {
+        try {
+            return await this.db.transaction(async (tx) => {
+                const [createdSession] = await tx
+                    .insert(lfgSessions)
+                    .values({
+                        ...session,
+                        createdAt: new Date(session.createdAt),
+                        expiresAt: new Date(session.expiresAt),
+                        scheduledFor: session.scheduledFor ? new Date(session.scheduledFor) : null,
+                        updatedAt: new Date()
+                    })
+                    .returning();
+
+                if (createdSession.currentPlayers.length > 0) {
+                    await tx
+                        .insert(userSessions)
+                        .values(createdSession.currentPlayers.map(player => ({
+                            userId: player.id,
+                            sessionId: session.id,
+                            guildId: session.guildId,
+                            updatedAt: new Date()
+                        })))
+                        .onConflictDoNothing();
+                }
+
+                return createdSession;
+            });
+        } catch (error) {
+            console.error('❌ Database error creating session:', error);
+            throw error;
+        }
+    }
+
+    async getSession(sessionId) {
+        try {
+            const [session] = await this.db
+                .select()
+                .from(lfgSessions)
+                .where(and(eq(lfgSessions.id, sessionId), eq(lfgSessions.isActive, true)));
+            return session || undefined;
+        } catch (error) {
+            console.error('❌ Database error getting session:', error);
+            throw error;
+        }
+    }
+
+    async updateSession(sessionId, updates) {
+        try {
+            const [updatedSession] = await this.db
+                .update(lfgSessions)
+                .set({ ...updates, updatedAt: new Date() })
+                .where(eq(lfgSessions.id, sessionId))
+                .returning();
+            return updatedSession;
+        } catch (error) {
+            console.error('❌ Database error updating session:', error);
+            throw error;
+        }
+    }
+
+    async addSessionPlayer(sessionId, guildId, userId, updates) {
+        try {
+            return await this.db.transaction(async (tx) => {
+                const [updatedSession] = await tx
+                    .update(lfgSessions)
+                    .set({ ...updates, updatedAt: new Date() })
+                    .where(and(eq(lfgSessions.id, sessionId), eq(lfgSessions.isActive, true)))
+                    .returning();
+                if (!updatedSession) throw new Error(`Session ${sessionId} is not active`);
+
+                await tx
+                    .insert(userSessions)
+                    .values({ userId, sessionId, guildId, updatedAt: new Date() })
+                    .onConflictDoUpdate({
+                        target: [userSessions.userId, userSessions.sessionId],
+                        set: { guildId, updatedAt: new Date() }
+                    });
+
+                return updatedSession;
+            });
+        } catch (error) {
+            console.error('❌ Database error adding session player:', error);
+            throw error;
+        }
+    }
+
+    async removeSessionPlayers(sessionId, userIds, updates) {
+        try {
+            return await this.db.transaction(async (tx) => {
+                const [updatedSession] = await tx
+                    .update(lfgSessions)
+                    .set({ ...updates, updatedAt: new Date() })
+                    .where(eq(lfgSessions.id, sessionId))
+                    .returning();
+
+                if (userIds.length > 0) {
+                    await tx
+                        .delete(userSessions)
+                        .where(and(eq(userSessions.sessionId, sessionId), inArray(userSessions.userId, userIds)));
+                }
+
+                return updatedSession;
+            });
+        } catch (error) {
+            console.error('❌ Database error removing session players:', error);
+            throw error;
+        }
+    }
+
+    // Marks the session inactive and drops every user_sessions row pointing at it, not just the current roster's.
+    // The session's history rows (if given) are written in the same transaction.
+    async endSession(sessionId, history = null) {
+        try {
+            await this.db.transaction(async (tx) => {
+                await tx
+                    .update(lfgSessions)
+                    .set({ isActive: false, updatedAt: new Date() })
+                    .where(eq(lfgSessions.id, sessionId));
+                await tx
+                    .delete(userSessions)
+                    .where(eq(userSessions.sessionId, sessionId));
+
+                if (history) {
+                    await this.insertSessionHistory(tx, history.entry, history.players);
+                }
+            });
+        } catch (error) {
+            console.error('❌ Database error ending session:', error);
+            throw error;
+        }
+    }
+
+    // Rewrite a session's user_sessions rows to exactly these users (used to repair drift)
+    async replaceSessionPlayers(sessionId, guildId, userIds) {
+        try {
+            await this.db.transaction(async (tx) => {
+                await tx
+                    .delete(userSessions)
+                    .where(eq(userSessions.sessionId, sessionId));
+
+                if (userIds.length > 0) {
+                    await tx
+                        .insert(userSessions)
+                        .values(userIds.map(userId => ({ userId, sessionId, guildId, updatedAt: new Date() })));
+                }
+            });
+        } catch (error) {
+            console.error('❌ Database error replacing session players:', error);
+            throw error;
+        }
+    }
+
+    // Active sessions and all user_sessions rows, read from one consistent snapshot
+    async getSessionSnapshot() {
+        try {
+            return await this.db.transaction(async (tx) => {
+                const sessions = await tx
+                    .select()
+                    .from(lfgSessions)
+                    .where(eq(lfgSessions.isActive, true));
+                const members = await tx
+                    .select()
+                    .from(userSessions);
+                return { sessions, members };
+            }, { isolationLevel: 'repeatable read', accessMode: 'read only' });
+        } catch (error) {
+            console.error('❌ Database error reading session snapshot:', error);
+            throw error;
+        }
+    }
+
+    async getActiveSessions() {
+        try {
+            const sessions = await this.db
+                .select()
+                .from(lfgSessions)
+                .where(eq(lfgSessions.isActive, true));
+            return sessions;
+        } catch (error) {
+            console.error('❌ Database error getting active sessions:', error);
+            return [];
+        }
+    }
+
+    // Every voice channel the bot recorded creating in a guild, for ended sessions too
+    async getSessionVoiceChannelIds(guildId) {
+        try {
+            const rows = await this.db
+                .selectDistinct({ voiceChannelId: lfgSessions.voiceChannelId })
+                .from(lfgSessions)
+                .where(and(eq(lfgSessions.guildId, guildId), isNotNull(lfgSessions.voiceChannelId)));
+            return rows.map(row => row.voiceChannelId);
+        } catch (error) {
+            console.error('❌ Database error getting session voice channels:', error);
+            throw error;
+        }
+    }
+
+    async getGuildSessions(guildId, { game = null, gamemode = null, limit = 25, offset = 0 } = {}) {
+        try {
+            const conditions = [eq(lfgSessions.guildId, guildId), eq(lfgSessions.isActive, true)];
+            if (game) conditions.push(eq(lfgSessions.game, game));
+            if (gamemode) conditions.push(eq(lfgSessions.gamemode, gamemode));
+
+            const [{ total }] = await this.db
+                .select({ total: sql`count(*)`.mapWith(Number) })
+                .from(lfgSessions)
+                .where(and(...conditions));
+
+            const sessions = await this.db
+                .select()
+                .from(lfgSessions)
+                .where(and(...conditions))
+                .orderBy(asc(lfgSessions.createdAt), asc(lfgSessions.id))
+                .limit(limit)
+                .offset(offset);
+
+            return { sessions, total };
+        } catch (error) {
+            console.error('❌ Database error getting guild sessions:', error);
+            throw error;
+        }
+    }
+
+    async getAllUserProfiles() {
+        try {
+            return await this.db
+                .select()
+                .from(userProfiles);
+        } catch (error) {
+            console.error('❌ Database error getting user profiles:', error);
+            return [];
+        }
+    }
+
+    async upsertUserProfile(userId, updates) {
+        try {
+            const [profile] = await this.db
+                .insert(userProfiles)
+                .values({ userId, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: userProfiles.userId,
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning();
+            return profile;
+        } catch (error) {
+            console.error('❌ Database error saving user profile:', error);
+            throw error;
+        }
+    }
+
+    async deleteUserProfile(userId) {
+        try {
+            await this.db
+                .delete(userProfiles)
+                .where(eq(userProfiles.userId, userId));
+        } catch (error) {
+            console.error('❌ Database error deleting user profile:', error);
+            throw error;
+        }
+    }
+
+    async getAllGuildSettings() {
+        try {
+            return await this.db
+                .select()
+                .from(guildSettings);
+        } catch (error) {
+            console.error('❌ Database error getting guild settings:', error);
+            return [];
+        }
+    }
+
+    async upsertGuildSettings(guildId, updates) {
+        try {
+            const [settings] = await this.db
+                .insert(guildSettings)
+                .values({ guildId, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: guildSettings.guildId,
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning();
+            return settings;
+        } catch (error) {
+            console.error('❌ Database error saving guild settings:', error);
+            throw error;
+        }
+    }
+
+    async getAllNotificationSubscriptions() {
+        try {
+            return await this.db
+                .select()
+                .from(notificationSubscriptions);
+        } catch (error) {
+            console.error('❌ Database error getting notification subscriptions:', error);
+            return [];
+        }
+    }
+
+    async addNotificationSubscription(guildId, userId, game, gamemode) {
+        try {
+            const [subscription] = await this.db
+                .insert(notificationSubscriptions)
+                .values({ guildId, userId, game, gamemode })
+                .onConflictDoNothing()
+                .returning();
+            return subscription || null;
+        } catch (error) {
+            console.error('❌ Database error saving notification subscription:', error);
+            throw error;
+        }
+    }
+
+    async removeNotificationSubscriptions(guildId, userId, game, gamemode = null) {
+        try {
+            const conditions = [
+                eq(notificationSubscriptions.guildId, guildId),
+                eq(notificationSubscriptions.userId, userId),
+                eq(notificationSubscriptions.game, game)
+            ];
+            if (gamemode !== null) conditions.push(eq(notificationSubscriptions.gamemode, gamemode));
+
+            return await this.db
+                .delete(notificationSubscriptions)
+                .where(and(...conditions))
+                .returning();
+        } catch (error) {
+            console.error('❌ Database error deleting notification subscriptions:', error);
+            throw error;
+        }
+    }
+
+    async getAllNotificationSettings() {
+        try {
+            return await this.db
+                .select()
+                .from(notificationSettings);
+        } catch (error) {
+            console.error('❌ Database error getting notification settings:', error);
+            return [];
+        }
+    }
+
+    async upsertNotificationSettings(userId, updates) {
+        try {
+            const [settings] = await this.db
+                .insert(notificationSettings)
+                .values({ userId, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: notificationSettings.userId,
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning();
+            return settings;
+        } catch (error) {
+            console.error('❌ Database error saving notification settings:', error);
+            throw error;
+        }
+    }
+
+    async getAllApiKeys() {
+        try {
+            return await this.db
+                .select()
+                .from(apiKeys);
+        } catch (error) {
+            console.error('❌ Database error getting API keys:', error);
+            return [];
+        }
+    }
+
+    async createApiKey(apiKey) {
+        try {
+            const [created] = await this.db
+                .insert(apiKeys)
+                .values(apiKey)
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error creating API key:', error);
+            throw error;
+        }
+    }
+
+    async deleteApiKey(keyId) {
+        try {
+            await this.db
+                .delete(apiKeys)
+                .where(eq(apiKeys.id, keyId));
+        } catch (error) {
+            console.error('❌ Database error deleting API key:', error);
+            throw error;
+        }
+    }
+
+    async touchApiKey(keyId, lastUsedAt) {
+        try {
+            await this.db
+                .update(apiKeys)
+                .set({ lastUsedAt })
+                .where(eq(apiKeys.id, keyId));
+        } catch (error) {
+            console.error('❌ Database error updating API key usage:', error);
+        }
+    }
+
+    async getAllWebhooks() {
+        try {
+            return await this.db
+                .select()
+                .from(webhooks);
+        } catch (error) {
+            console.error('❌ Database error getting webhooks:', error);
+            return [];
+        }
+    }
+
+    async createWebhook(webhook) {
+        try {
+            const [created] = await this.db
+                .insert(webhooks)
+                .values(webhook)
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error creating webhook:', error);
+            throw error;
+        }
+    }
+
+    async deleteWebhook(webhookId) {
+        try {
+            await this.db
+                .delete(webhookDeadLetters)
+                .where(eq(webhookDeadLetters.webhookId, webhookId));
+            await this.db
+                .delete(webhooks)
+                .where(eq(webhooks.id, webhookId));
+        } catch (error) {
+            console.error('❌ Database error deleting webhook:', error);
+            throw error;
+        }
+    }
+
+    async upsertWebhookDeadLetter(deadLetter) {
+        try {
+            await this.db
+                .insert(webhookDeadLetters)
+                .values(deadLetter)
+                .onConflictDoUpdate({
+                    target: webhookDeadLetters.id,
+                    set: {
+                        attempts: deadLetter.attempts,
+                        lastStatus: deadLetter.lastStatus,
+                        lastError: deadLetter.lastError,
+                        failedAt: deadLetter.failedAt,
+                        nextAttemptAt: deadLetter.nextAttemptAt ?? null
+                    }
+                });
+        } catch (error) {
+            console.error('❌ Database error saving webhook dead letter:', error);
+        }
+    }
+
+    // Deliveries that used up every retry - ones still waiting for a retry aren't dead yet
+    async getWebhookDeadLetters(guildId, webhookId = null, limit = 10) {
+        try {
+            const conditions = [eq(webhookDeadLetters.guildId, guildId), isNull(webhookDeadLetters.nextAttemptAt)];
+            if (webhookId) conditions.push(eq(webhookDeadLetters.webhookId, webhookId));
+
+            return await this.db
+                .select()
+                .from(webhookDeadLetters)
+                .where(and(...conditions))
+                .orderBy(desc(webhookDeadLetters.failedAt))
+                .limit(limit);
+        } catch (error) {
+            console.error('❌ Database error getting webhook dead letters:', error);
+            return [];
+        }
+    }
+
+    // Deliveries with a retry still scheduled, so one interrupted by a restart can be resumed
+    async getPendingWebhookDeliveries() {
+        try {
+            return await this.db
+                .select()
+                .from(webhookDeadLetters)
+                .where(isNotNull(webhookDeadLetters.nextAttemptAt))
+                .orderBy(asc(webhookDeadLetters.nextAttemptAt));
+        } catch (error) {
+            console.error('❌ Database error getting pending webhook deliveries:', error);
+            return [];
+        }
+    }
+
+    async deleteWebhookDeadLetter(deliveryId) {
+        try {
+            await this.db
+                .delete(webhookDeadLetters)
+                .where(eq(webhookDeadLetters.id, deliveryId));
+        } catch (error) {
+            console.error('❌ Database error deleting webhook dead letter:', error);
+            throw error;
+        }
+    }
+
+    async getAllGuildGames() {
+        try {
+            return await this.db
+                .select()
+                .from(guildGames);
+        } catch (error) {
+            console.error('❌ Database error getting game catalog:', error);
+            return [];
+        }
+    }
+
+    async getGuildGames(guildId) {
+        try {
+            return await this.db
+                .select()
+                .from(guildGames)
+                .where(eq(guildGames.guildId, guildId));
+        } catch (error) {
+            console.error('❌ Database error getting guild games:', error);
+            return [];
+        }
+    }
+
+    async seedGuildGames(guildId, catalog) {
+        try {
+            if (catalog.length === 0) return;
+            await this.db
+                .insert(guildGames)
+                .values(catalog.map(game => ({ guildId, ...game, updatedAt: new Date() })))
+                .onConflictDoNothing();
+        } catch (error) {
+            console.error('❌ Database error seeding guild games:', error);
+            throw error;
+        }
+    }
+
+    async upsertGuildGame(guildId, gameKey, updates) {
+        try {
+            const [game] = await this.db
+                .insert(guildGames)
+                .values({ guildId, gameKey, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: [guildGames.guildId, guildGames.gameKey],
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning();
+            return game;
+        } catch (error) {
+            console.error('❌ Database error saving guild game:', error);
+            throw error;
+        }
+    }
+
+    async deleteGuildGame(guildId, gameKey) {
+        try {
+            await this.db
+                .delete(guildGames)
+                .where(and(eq(guildGames.guildId, guildId), eq(guildGames.gameKey, gameKey)));
+        } catch (error) {
+            console.error('❌ Database error deleting guild game:', error);
+            throw error;
+        }
+    }
+
+    async getAllRequirementRoles() {
+        try {
+            return await this.db
+                .select()
+                .from(guildRequirementRoles);
+        } catch (error) {
+            console.error('❌ Database error getting requirement roles:', error);
+            return [];
+        }
+    }
+
+    async upsertRequirementRole(guildId, kind, name, updates) {
+        try {
+            const [mapping] = await this.db
+                .insert(guildRequirementRoles)
+                .values({ guildId, kind, name, ...updates })
+                .onConflictDoUpdate({
+                    target: [guildRequirementRoles.guildId, guildRequirementRoles.kind, guildRequirementRoles.name],
+                    set: updates
+                })
+                .returning();
+            return mapping;
+        } catch (error) {
+            console.error('❌ Database error saving requirement role:', error);
+            throw error;
+        }
+    }
+
+    async deleteRequirementRole(guildId, kind, name) {
+        try {
+            await this.db
+                .delete(guildRequirementRoles)
+                .where(and(
+                    eq(guildRequirementRoles.guildId, guildId),
+                    eq(guildRequirementRoles.kind, kind),
+                    eq(guildRequirementRoles.name, name)
+                ));
+        } catch (error) {
+            console.error('❌ Database error deleting requirement role:', error);
+            throw error;
+        }
+    }
+
+    async getQueueEntries() {
+        try {
+            return await this.db
+                .select()
+                .from(matchmakingQueue);
+        } catch (error) {
+            console.error('❌ Database error getting matchmaking queue:', error);
+            return [];
+        }
+    }
+
+    async upsertQueueEntry(entry) {
+        try {
+            const { userId, guildId, ...updates } = entry;
+            await this.db
+                .insert(matchmakingQueue)
+                .values(entry)
+                .onConflictDoUpdate({
+                    target: [matchmakingQueue.userId, matchmakingQueue.guildId],
+                    set: updates
+                });
+        } catch (error) {
+            console.error('❌ Database error saving queue entry:', error);
+            throw error;
+        }
+    }
+
+    async removeQueueEntry(userId, guildId) {
+        try {
+            await this.db
+                .delete(matchmakingQueue)
+                .where(and(eq(matchmakingQueue.userId, userId), eq(matchmakingQueue.guildId, guildId)));
+        } catch (error) {
+            console.error('❌ Database error removing queue entry:', error);
+            throw error;
+        }
+    }
+
+    async getSessionTemplates() {
+        try {
+            return await this.db
+                .select()
+                .from(sessionTemplates);
+        } catch (error) {
+            console.error('❌ Database error getting session templates:', error);
+            return [];
+        }
+    }
+
+    async createSessionTemplate(template) {
+        try {
+            const [createdTemplate] = await this.db
+                .insert(sessionTemplates)
+                .values({ ...template, updatedAt: new Date() })
+                .returning();
+            return createdTemplate;
+        } catch (error) {
+            console.error('❌ Database error creating session template:', error);
+            throw error;
+        }
+    }
+
+    async updateSessionTemplate(templateId, updates) {
+        try {
+            const [updatedTemplate] = await this.db
+                .update(sessionTemplates)
+                .set({ ...updates, updatedAt: new Date() })
+                .where(eq(sessionTemplates.id, templateId))
+                .returning();
+            return updatedTemplate;
+        } catch (error) {
+            console.error('❌ Database error updating session template:', error);
+            throw error;
+        }
+    }
+
+    async deleteSessionTemplate(templateId) {
+        try {
+            await this.db
+                .delete(sessionTemplates)
+                .where(eq(sessionTemplates.id, templateId));
+        } catch (error) {
+            console.error('❌ Database error deleting session template:', error);
+            throw error;
+        }
+    }
+
+    async insertSessionHistory(tx, entry, players) {
+        await tx
+            .insert(sessionHistory)
+            .values(entry)
+            .onConflictDoNothing();
+
+        if (players.length > 0) {
+            await tx
+                .insert(sessionHistoryPlayers)
+                .values(players)
+                .onConflictDoNothing();
+        }
+    }
+
+    async recordSessionHistory(entry, players) {
+        try {
+            await this.db.transaction(tx => this.insertSessionHistory(tx, entry, players));
+        } catch (error) {
+            console.error('❌ Database error recording session history:', error);
+            throw error;
+        }
+    }
+
+    async getSessionStats(guildId, game = null) {
+        try {
+            const conditions = [eq(sessionHistory.guildId, guildId)];
+            if (game) conditions.push(eq(sessionHistory.game, game));
+
+            const [summary] = await this.db
+                .select({
+                    totalSessions: sql`count(*)`.mapWith(Number),
+                    filledSessions: sql`count(${sessionHistory.filledAt})`.mapWith(Number),
+                    voiceSessions: sql`count(*) filter (where ${sessionHistory.voiceChannelCreated})`.mapWith(Number),
+                    medianFillSeconds: sql`percentile_cont(0.5) within group (order by ${sessionHistory.fillSeconds})`.mapWith(Number)
+                })
+                .from(sessionHistory)
+                .where(and(...conditions));
+
+            const topModes = await this.db
+                .select({
+                    game: sessionHistory.game,
+                    gamemode: sessionHistory.gamemode,
+                    sessions: sql`count(*)`.mapWith(Number),
+                    filledSessions: sql`count(${sessionHistory.filledAt})`.mapWith(Number)
+                })
+                .from(sessionHistory)
+                .where(and(...conditions))
+                .groupBy(sessionHistory.game, sessionHistory.gamemode)
+                .orderBy(sql`count(*) desc`)
+                .limit(5);
+
+            const endReasons = await this.db
+                .select({
+                    endReason: sessionHistory.endReason,
+                    sessions: sql`count(*)`.mapWith(Number)
+                })
+                .from(sessionHistory)
+                .where(and(...conditions))
+                .groupBy(sessionHistory.endReason);
+
+            const playerConditions = [eq(sessionHistoryPlayers.guildId, guildId)];
+            if (game) playerConditions.push(eq(sessionHistoryPlayers.game, game));
+
+            const topPlayers = await this.db
+                .select({
+                    userId: sessionHistoryPlayers.userId,
+                    sessions: sql`count(*)`.mapWith(Number)
+                })
+                .from(sessionHistoryPlayers)
+                .where(and(...playerConditions))
+                .groupBy(sessionHistoryPlayers.userId)
+                .orderBy(sql`count(*) desc`)
+                .limit(5);
+
+            return { ...summary, topModes, endReasons, topPlayers };
+        } catch (error) {
+            console.error('❌ Database error getting session stats:', error);
+            return null;
+        }
+    }
+
+    async getPlayerStats(guildId, userId) {
+        try {
+            const conditions = and(
+                eq(sessionHistoryPlayers.guildId, guildId),
+                eq(sessionHistoryPlayers.userId, userId)
+            );
+
+            const [summary] = await this.db
+                .select({
+                    sessionsPlayed: sql`count(*)`.mapWith(Number),
+                    sessionsCreated: sql`count(*) filter (where ${sessionHistoryPlayers.isCreator})`.mapWith(Number),
+                    lastPlayedAt: sql`max(${sessionHistoryPlayers.endedAt})`.mapWith(sessionHistoryPlayers.endedAt)
+                })
+                .from(sessionHistoryPlayers)
+                .where(conditions);
+
+            const topModes = await this.db
+                .select({
+                    game: sessionHistoryPlayers.game,
+                    gamemode: sessionHistoryPlayers.gamemode,
+                    sessions: sql`count(*)`.mapWith(Number)
+                })
+                .from(sessionHistoryPlayers)
+                .where(conditions)
+                .groupBy(sessionHistoryPlayers.game, sessionHistoryPlayers.gamemode)
+                .orderBy(sql`count(*) desc`)
+                .limit(5);
+
+            return { ...summary, topModes };
+        } catch (error) {
+            console.error('❌ Database error getting player stats:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = { PostgresStorage };
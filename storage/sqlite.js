@@ -0,0 +1,945 @@
+// SQLite storage driver for local development - the Postgres tables in a single file, through drizzle's better-sqlite3 adapter.
+// The schema lives in schema.sqlite.js and its migrations in migrations/sqlite, applied on startup.
+const path = require('path');
+const { eq, and, inArray, isNull, isNotNull, asc, desc, sql } = require('drizzle-orm');
+const schema = require('../schema.sqlite');
+
+const {
+    lfgSessions, guildSettings, userSessions, userProfiles, notificationSubscriptions, notificationSettings,
+    guildGames, matchmakingQueue, sessionTemplates, sessionHistory, sessionHistoryPlayers, guildRequirementRoles,
+    apiKeys, webhooks, webhookDeadLetters
+} = schema;
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'sqlite');
+
+// Matches Postgres percentile_cont(0.5): interpolates between the two middle values (expects sorted input)
+function median(sorted) {
+    if (sorted.length === 0) return null;
+    const middle = (sorted.length - 1) / 2;
+    return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2;
+}
+
+// better-sqlite3 is synchronous, so every query below runs to completion before the method returns
+// and transactions take a plain (non-async) callback
+class SqliteStorage {
+    constructor({ filename }) {
+        this.name = 'sqlite';
+        this.filename = filename;
+        this.database = null;
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            // Optional dependency, only needed when this driver is chosen
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite storage driver needs the better-sqlite3 package - run `npm install better-sqlite3`');
+        }
+
+        const { drizzle } = require('drizzle-orm/better-sqlite3');
+        const { migrate } = require('drizzle-orm/better-sqlite3/migrator');
+
+        this.database = new Database(this.filename);
+        this.database.pragma('journal_mode = WAL');
+        this.db = drizzle(this.database, { schema });
+
+        migrate(this.db, { migrationsFolder: MIGRATIONS_DIR });
+        console.log(`✅ SQLite storage ready at ${this.filename}`);
+    }
+
+    async close() {
+        if (this.database) this.database.close();
+    }
+
+    // Sessions and their user_sessions rows only change together, each transition in one transaction
+    async createSession(session) {
+        try {
+            return this.db.transaction((tx) => {
+                const createdSession = tx
+                    .insert(lfgSessions)
+                    .values({
+                        ...session,
+                        createdAt: new Date(session.createdAt),
+                        expiresAt: new Date(session.expiresAt),
+                        scheduledFor: session.scheduledFor ? new Date(session.scheduledFor) : null,
+                        updatedAt: new Date()
+                    })
+                    .returning()
+                    .get();
+
+                if (createdSession.currentPlayers.length > 0) {
+                    tx
+                        .insert(userSessions)
+                        .values(createdSession.currentPlayers.map(player => ({
+                            userId: player.id,
+                            sessionId: session.id,
+                            guildId: session.guildId,
+                            updatedAt: new Date()
+                        })))
+                        .onConflictDoNothing()
+                        .run();
+                }
+
+                return createdSession;
+            });
+        } catch (error) {
+            console.error('❌ Database error creating session:', error);
+            throw error;
+        }
+    }
+
+    async getSession(sessionId) {
+        try {
+            return this.db
+                .select()
+                .from(lfgSessions)
+                .where(and(eq(lfgSessions.id, sessionId), eq(lfgSessions.isActive, true)))
+                .get();
+        } catch (error) {
+            console.error('❌ Database error getting session:', error);
+            throw error;
+        }
+    }
+
+    async updateSession(sessionId, updates) {
+        try {
+            return this.db
+                .update(lfgSessions)
+                .set({ ...updates, updatedAt: new Date() })
+                .where(eq(lfgSessions.id, sessionId))
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error updating session:', error);
+            throw error;
+        }
+    }
+
+    async addSessionPlayer(sessionId, guildId, userId, updates) {
+        try {
+            return this.db.transaction((tx) => {
+                const updatedSession = tx
+                    .update(lfgSessions)
+                    .set({ ...updates, updatedAt: new Date() })
+                    .where(and(eq(lfgSessions.id, sessionId), eq(lfgSessions.isActive, true)))
+                    .returning()
+                    .get();
+                if (!updatedSession) throw new Error(`Session ${sessionId} is not active`);
+
+                tx
+                    .insert(userSessions)
+                    .values({ userId, sessionId, guildId, updatedAt: new Date() })
+                    .onConflictDoUpdate({
+                        target: [userSessions.userId, userSessions.sessionId],
+                        set: { guildId, updatedAt: new Date() }
+                    })
+                    .run();
+
+                return updatedSession;
+            });
+        } catch (error) {
+            console.error('❌ Database error adding session player:', error);
+            throw error;
+        }
+    }
+
+    async removeSessionPlayers(sessionId, userIds, updates) {
+        try {
+            return this.db.transaction((tx) => {
+                const updatedSession = tx
+                    .update(lfgSessions)
+                    .set({ ...updates, updatedAt: new Date() })
+                    .where(eq(lfgSessions.id, sessionId))
+                    .returning()
+                    .get();
+
+                if (userIds.length > 0) {
+                    tx
+                        .delete(userSessions)
+                        .where(and(eq(userSessions.sessionId, sessionId), inArray(userSessions.userId, userIds)))
+                        .run();
+                }
+
+                return updatedSession;
+            });
+        } catch (error) {
+            console.error('❌ Database error removing session players:', error);
+            throw error;
+        }
+    }
+
+    // Marks the session inactive and drops every user_sessions row pointing at it, not just the current roster's.
+    // The session's history rows (if given) are written in the same transaction.
+    async endSession(sessionId, history = null) {
+        try {
+            this.db.transaction((tx) => {
+                tx
+                    .update(lfgSessions)
+                    .set({ isActive: false, updatedAt: new Date() })
+                    .where(eq(lfgSessions.id, sessionId))
+                    .run();
+                tx
+                    .delete(userSessions)
+                    .where(eq(userSessions.sessionId, sessionId))
+                    .run();
+
+                if (history) {
+                    this.insertSessionHistory(tx, history.entry, history.players);
+                }
+            });
+        } catch (error) {
+            console.error('❌ Database error ending session:', error);
+            throw error;
+        }
+    }
+
+    // Rewrite a session's user_sessions rows to exactly these users (used to repair drift)
+    async replaceSessionPlayers(sessionId, guildId, userIds) {
+        try {
+            this.db.transaction((tx) => {
+                tx
+                    .delete(userSessions)
+                    .where(eq(userSessions.sessionId, sessionId))
+                    .run();
+
+                if (userIds.length > 0) {
+                    tx
+                        .insert(userSessions)
+                        .values(userIds.map(userId => ({ userId, sessionId, guildId, updatedAt: new Date() })))
+                        .run();
+                }
+            });
+        } catch (error) {
+            console.error('❌ Database error replacing session players:', error);
+            throw error;
+        }
+    }
+
+    // Active sessions and all user_sessions rows, read from one consistent snapshot
+    async getSessionSnapshot() {
+        try {
+            return this.db.transaction((tx) => {
+                const sessions = tx
+                    .select()
+                    .from(lfgSessions)
+                    .where(eq(lfgSessions.isActive, true))
+                    .all();
+                const members = tx
+                    .select()
+                    .from(userSessions)
+                    .all();
+                return { sessions, members };
+            });
+        } catch (error) {
+            console.error('❌ Database error reading session snapshot:', error);
+            throw error;
+        }
+    }
+
+    async getActiveSessions() {
+        try {
+            return this.db
+                .select()
+                .from(lfgSessions)
+                .where(eq(lfgSessions.isActive, true))
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting active sessions:', error);
+            return [];
+        }
+    }
+
+    // Every voice channel the bot recorded creating in a guild, for ended sessions too
+    async getSessionVoiceChannelIds(guildId) {
+        try {
+            const rows = this.db
+                .selectDistinct({ voiceChannelId: lfgSessions.voiceChannelId })
+                .from(lfgSessions)
+                .where(and(eq(lfgSessions.guildId, guildId), isNotNull(lfgSessions.voiceChannelId)))
+                .all();
+            return rows.map(row => row.voiceChannelId);
+        } catch (error) {
+            console.error('❌ Database error getting session voice channels:', error);
+            throw error;
+        }
+    }
+
+    async getGuildSessions(guildId, { game = null, gamemode = null, limit = 25, offset = 0 } = {}) {
+        try {
+            const conditions = [eq(lfgSessions.guildId, guildId), eq(lfgSessions.isActive, true)];
+            if (game) conditions.push(eq(lfgSessions.game, game));
+            if (gamemode) conditions.push(eq(lfgSessions.gamemode, gamemode));
+
+            const { total } = this.db
+                .select({ total: sql`count(*)`.mapWith(Number) })
+                .from(lfgSessions)
+                .where(and(...conditions))
+                .get();
+
+            const sessions = this.db
+                .select()
+                .from(lfgSessions)
+                .where(and(...conditions))
+                .orderBy(asc(lfgSessions.createdAt), asc(lfgSessions.id))
+                .limit(limit)
+                .offset(offset)
+                .all();
+
+            return { sessions, total };
+        } catch (error) {
+            console.error('❌ Database error getting guild sessions:', error);
+            throw error;
+        }
+    }
+
+    async getAllUserProfiles() {
+        try {
+            return this.db
+                .select()
+                .from(userProfiles)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting user profiles:', error);
+            return [];
+        }
+    }
+
+    async upsertUserProfile(userId, updates) {
+        try {
+            return this.db
+                .insert(userProfiles)
+                .values({ userId, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: userProfiles.userId,
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error saving user profile:', error);
+            throw error;
+        }
+    }
+
+    async deleteUserProfile(userId) {
+        try {
+            this.db
+                .delete(userProfiles)
+                .where(eq(userProfiles.userId, userId))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error deleting user profile:', error);
+            throw error;
+        }
+    }
+
+    async getAllGuildSettings() {
+        try {
+            return this.db
+                .select()
+                .from(guildSettings)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting guild settings:', error);
+            return [];
+        }
+    }
+
+    async upsertGuildSettings(guildId, updates) {
+        try {
+            return this.db
+                .insert(guildSettings)
+                .values({ guildId, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: guildSettings.guildId,
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error saving guild settings:', error);
+            throw error;
+        }
+    }
+
+    async getAllNotificationSubscriptions() {
+        try {
+            return this.db
+                .select()
+                .from(notificationSubscriptions)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting notification subscriptions:', error);
+            return [];
+        }
+    }
+
+    async addNotificationSubscription(guildId, userId, game, gamemode) {
+        try {
+            const subscription = this.db
+                .insert(notificationSubscriptions)
+                .values({ guildId, userId, game, gamemode })
+                .onConflictDoNothing()
+                .returning()
+                .get();
+            return subscription || null;
+        } catch (error) {
+            console.error('❌ Database error saving notification subscription:', error);
+            throw error;
+        }
+    }
+
+    async removeNotificationSubscriptions(guildId, userId, game, gamemode = null) {
+        try {
+            const conditions = [
+                eq(notificationSubscriptions.guildId, guildId),
+                eq(notificationSubscriptions.userId, userId),
+                eq(notificationSubscriptions.game, game)
+            ];
+            if (gamemode !== null) conditions.push(eq(notificationSubscriptions.gamemode, gamemode));
+
+            return this.db
+                .delete(notificationSubscriptions)
+                .where(and(...conditions))
+                .returning()
+                .all();
+        } catch (error) {
+            console.error('❌ Database error deleting notification subscriptions:', error);
+            throw error;
+        }
+    }
+
+    async getAllNotificationSettings() {
+        try {
+            return this.db
+                .select()
+                .from(notificationSettings)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting notification settings:', error);
+            return [];
+        }
+    }
+
+    async upsertNotificationSettings(userId, updates) {
+        try {
+            return this.db
+                .insert(notificationSettings)
+                .values({ userId, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: notificationSettings.userId,
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error saving notification settings:', error);
+            throw error;
+        }
+    }
+
+    async getAllApiKeys() {
+        try {
+            return this.db
+                .select()
+                .from(apiKeys)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting API keys:', error);
+            return [];
+        }
+    }
+
+    async createApiKey(apiKey) {
+        try {
+            return this.db
+                .insert(apiKeys)
+                .values(apiKey)
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error creating API key:', error);
+            throw error;
+        }
+    }
+
+    async deleteApiKey(keyId) {
+        try {
+            this.db
+                .delete(apiKeys)
+                .where(eq(apiKeys.id, keyId))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error deleting API key:', error);
+            throw error;
+        }
+    }
+
+    async touchApiKey(keyId, lastUsedAt) {
+        try {
+            this.db
+                .update(apiKeys)
+                .set({ lastUsedAt })
+                .where(eq(apiKeys.id, keyId))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error updating API key usage:', error);
+        }
+    }
+
+    async getAllWebhooks() {
+        try {
+            return this.db
+                .select()
+                .from(webhooks)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting webhooks:', error);
+            return [];
+        }
+    }
+
+    async createWebhook(webhook) {
+        try {
+            return this.db
+                .insert(webhooks)
+                .values(webhook)
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error creating webhook:', error);
+            throw error;
+        }
+    }
+
+    async deleteWebhook(webhookId) {
+        try {
+            this.db.transaction((tx) => {
+                tx
+                    .delete(webhookDeadLetters)
+                    .where(eq(webhookDeadLetters.webhookId, webhookId))
+                    .run();
+                tx
+                    .delete(webhooks)
+                    .where(eq(webhooks.id, webhookId))
+                    .run();
+            });
+        } catch (error) {
+            console.error('❌ Database error deleting webhook:', error);
+            throw error;
+        }
+    }
+
+    async upsertWebhookDeadLetter(deadLetter) {
+        try {
+            this.db
+                .insert(webhookDeadLetters)
+                .values(deadLetter)
+                .onConflictDoUpdate({
+                    target: webhookDeadLetters.id,
+                    set: {
+                        attempts: deadLetter.attempts,
+                        lastStatus: deadLetter.lastStatus,
+                        lastError: deadLetter.lastError,
+                        failedAt: deadLetter.failedAt,
+                        nextAttemptAt: deadLetter.nextAttemptAt ?? null
+                    }
+                })
+                .run();
+        } catch (error) {
+            console.error('❌ Database error saving webhook dead letter:', error);
+        }
+    }
+
+    // Deliveries that used up every retry - ones still waiting for a retry aren't dead yet
+    async getWebhookDeadLetters(guildId, webhookId = null, limit = 10) {
+        try {
+            const conditions = [eq(webhookDeadLetters.guildId, guildId), isNull(webhookDeadLetters.nextAttemptAt)];
+            if (webhookId) conditions.push(eq(webhookDeadLetters.webhookId, webhookId));
+
+            return this.db
+                .select()
+                .from(webhookDeadLetters)
+                .where(and(...conditions))
+                .orderBy(desc(webhookDeadLetters.failedAt))
+                .limit(limit)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting webhook dead letters:', error);
+            return [];
+        }
+    }
+
+    // Deliveries with a retry still scheduled, so one interrupted by a restart can be resumed
+    async getPendingWebhookDeliveries() {
+        try {
+            return this.db
+                .select()
+                .from(webhookDeadLetters)
+                .where(isNotNull(webhookDeadLetters.nextAttemptAt))
+                .orderBy(asc(webhookDeadLetters.nextAttemptAt))
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting pending webhook deliveries:', error);
+            return [];
+        }
+    }
+
+    async deleteWebhookDeadLetter(deliveryId) {
+        try {
+            this.db
+                .delete(webhookDeadLetters)
+                .where(eq(webhookDeadLetters.id, deliveryId))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error deleting webhook dead letter:', error);
+            throw error;
+        }
+    }
+
+    async getAllGuildGames() {
+        try {
+            return this.db
+                .select()
+                .from(guildGames)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting game catalog:', error);
+            return [];
+        }
+    }
+
+    async getGuildGames(guildId) {
+        try {
+            return this.db
+                .select()
+                .from(guildGames)
+                .where(eq(guildGames.guildId, guildId))
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting guild games:', error);
+            return [];
+        }
+    }
+
+    async seedGuildGames(guildId, catalog) {
+        try {
+            if (catalog.length === 0) return;
+            this.db
+                .insert(guildGames)
+                .values(catalog.map(game => ({ guildId, ...game, updatedAt: new Date() })))
+                .onConflictDoNothing()
+                .run();
+        } catch (error) {
+            console.error('❌ Database error seeding guild games:', error);
+            throw error;
+        }
+    }
+
+    async upsertGuildGame(guildId, gameKey, updates) {
+        try {
+            return this.db
+                .insert(guildGames)
+                .values({ guildId, gameKey, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: [guildGames.guildId, guildGames.gameKey],
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error saving guild game:', error);
+            throw error;
+        }
+    }
+
+    async deleteGuildGame(guildId, gameKey) {
+        try {
+            this.db
+                .delete(guildGames)
+                .where(and(eq(guildGames.guildId, guildId), eq(guildGames.gameKey, gameKey)))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error deleting guild game:', error);
+            throw error;
+        }
+    }
+
+    async getAllRequirementRoles() {
+        try {
+            return this.db
+                .select()
+                .from(guildRequirementRoles)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting requirement roles:', error);
+            return [];
+        }
+    }
+
+    async upsertRequirementRole(guildId, kind, name, updates) {
+        try {
+            return this.db
+                .insert(guildRequirementRoles)
+                .values({ guildId, kind, name, ...updates })
+                .onConflictDoUpdate({
+                    target: [guildRequirementRoles.guildId, guildRequirementRoles.kind, guildRequirementRoles.name],
+                    set: updates
+                })
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error saving requirement role:', error);
+            throw error;
+        }
+    }
+
+    async deleteRequirementRole(guildId, kind, name) {
+        try {
+            this.db
+                .delete(guildRequirementRoles)
+                .where(and(
+                    eq(guildRequirementRoles.guildId, guildId),
+                    eq(guildRequirementRoles.kind, kind),
+                    eq(guildRequirementRoles.name, name)
+                ))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error deleting requirement role:', error);
+            throw error;
+        }
+    }
+
+    async getQueueEntries() {
+        try {
+            return this.db
+                .select()
+                .from(matchmakingQueue)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting matchmaking queue:', error);
+            return [];
+        }
+    }
+
+    async upsertQueueEntry(entry) {
+        try {
+            const { userId, guildId, ...updates } = entry;
+            this.db
+                .insert(matchmakingQueue)
+                .values(entry)
+                .onConflictDoUpdate({
+                    target: [matchmakingQueue.userId, matchmakingQueue.guildId],
+                    set: updates
+                })
+                .run();
+        } catch (error) {
+            console.error('❌ Database error saving queue entry:', error);
+            throw error;
+        }
+    }
+
+    async removeQueueEntry(userId, guildId) {
+        try {
+            this.db
+                .delete(matchmakingQueue)
+                .where(and(eq(matchmakingQueue.userId, userId), eq(matchmakingQueue.guildId, guildId)))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error removing queue entry:', error);
+            throw error;
+        }
+    }
+
+    async getSessionTemplates() {
+        try {
+            return this.db
+                .select()
+                .from(sessionTemplates)
+                .all();
+        } catch (error) {
+            console.error('❌ Database error getting session templates:', error);
+            return [];
+        }
+    }
+
+    async createSessionTemplate(template) {
+        try {
+            return this.db
+                .insert(sessionTemplates)
+                .values({ ...template, updatedAt: new Date() })
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error creating session template:', error);
+            throw error;
+        }
+    }
+
+    async updateSessionTemplate(templateId, updates) {
+        try {
+            return this.db
+                .update(sessionTemplates)
+                .set({ ...updates, updatedAt: new Date() })
+                .where(eq(sessionTemplates.id, templateId))
+                .returning()
+                .get();
+        } catch (error) {
+            console.error('❌ Database error updating session template:', error);
+            throw error;
+        }
+    }
+
+    async deleteSessionTemplate(templateId) {
+        try {
+            this.db
+                .delete(sessionTemplates)
+                .where(eq(sessionTemplates.id, templateId))
+                .run();
+        } catch (error) {
+            console.error('❌ Database error deleting session template:', error);
+            throw error;
+        }
+    }
+
+    insertSessionHistory(tx, entry, players) {
+        tx
+            .insert(sessionHistory)
+            .values(entry)
+            .onConflictDoNothing()
+            .run();
+
+        if (players.length > 0) {
+            tx
+                .insert(sessionHistoryPlayers)
+                .values(players)
+                .onConflictDoNothing()
+                .run();
+        }
+    }
+
+    async recordSessionHistory(entry, players) {
+        try {
+            this.db.transaction(tx => this.insertSessionHistory(tx, entry, players));
+        } catch (error) {
+            console.error('❌ Database error recording session history:', error);
+            throw error;
+        }
+    }
+
+    async getSessionStats(guildId, game = null) {
+        try {
+            const conditions = [eq(sessionHistory.guildId, guildId)];
+            if (game) conditions.push(eq(sessionHistory.game, game));
+
+            const summary = this.db
+                .select({
+                    totalSessions: sql`count(*)`.mapWith(Number),
+                    filledSessions: sql`count(${sessionHistory.filledAt})`.mapWith(Number),
+                    voiceSessions: sql`count(*) filter (where ${sessionHistory.voiceChannelCreated})`.mapWith(Number)
+                })
+                .from(sessionHistory)
+                .where(and(...conditions))
+                .get();
+
+            // SQLite has no percentile_cont, so the median is taken from the sorted fill times
+            const fillTimes = this.db
+                .select({ fillSeconds: sessionHistory.fillSeconds })
+                .from(sessionHistory)
+                .where(and(...conditions, isNotNull(sessionHistory.fillSeconds)))
+                .orderBy(asc(sessionHistory.fillSeconds))
+                .all();
+
+            const topModes = this.db
+                .select({
+                    game: sessionHistory.game,
+                    gamemode: sessionHistory.gamemode,
+                    sessions: sql`count(*)`.mapWith(Number),
+                    filledSessions: sql`count(${sessionHistory.filledAt})`.mapWith(Number)
+                })
+                .from(sessionHistory)
+                .where(and(...conditions))
+                .groupBy(sessionHistory.game, sessionHistory.gamemode)
+                .orderBy(sql`count(*) desc`)
+                .limit(5)
+                .all();
+
+            const endReasons = this.db
+                .select({
+                    endReason: sessionHistory.endReason,
+                    sessions: sql`count(*)`.mapWith(Number)
+                })
+                .from(sessionHistory)
+                .where(and(...conditions))
+                .groupBy(sessionHistory.endReason)
+                .all();
+
+            const playerConditions = [eq(sessionHistoryPlayers.guildId, guildId)];
+            if (game) playerConditions.push(eq(sessionHistoryPlayers.game, game));
+
+            const topPlayers = this.db
+                .select({
+                    userId: sessionHistoryPlayers.userId,
+                    sessions: sql`count(*)`.mapWith(Number)
+                })
+                .from(sessionHistoryPlayers)
+                .where(and(...playerConditions))
+                .groupBy(sessionHistoryPlayers.userId)
+                .orderBy(sql`count(*) desc`)
+                .limit(5)
+                .all();
+
+            return {
+                ...summary,
+                medianFillSeconds: median(fillTimes.map(row => row.fillSeconds)),
+                topModes,
+                endReasons,
+                topPlayers
+            };
+        } catch (error) {
+            console.error('❌ Database error getting session stats:', error);
+            return null;
+        }
+    }
+
+    async getPlayerStats(guildId, userId) {
+        try {
+            const conditions = and(
+                eq(sessionHistoryPlayers.guildId, guildId),
+                eq(sessionHistoryPlayers.userId, userId)
+            );
+
+            const summary = this.db
+                .select({
+                    sessionsPlayed: sql`count(*)`.mapWith(Number),
+                    sessionsCreated: sql`count(*) filter (where ${sessionHistoryPlayers.isCreator})`.mapWith(Number),
+                    lastPlayedAt: sql`max(${sessionHistoryPlayers.endedAt})`.mapWith(sessionHistoryPlayers.endedAt)
+                })
+                .from(sessionHistoryPlayers)
+                .where(conditions)
+                .get();
+
+            const topModes = this.db
+                .select({
+                    game: sessionHistoryPlayers.game,
+                    gamemode: sessionHistoryPlayers.gamemode,
+                    sessions: sql`count(*)`.mapWith(Number)
+                })
+                .from(sessionHistoryPlayers)
+                .where(conditions)
+                .groupBy(sessionHistoryPlayers.game, sessionHistoryPlayers.gamemode)
+                .orderBy(sql`count(*) desc`)
+                .limit(5)
+                .all();
+
+            return { ...summary, topModes };
+        } catch (error) {
+            console.error('❌ Database error getting player stats:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = { SqliteStorage };
@@ -0,0 +1,25 @@
+// Shared fakes for driving index.js handlers without a Discord connection
+
+// Just enough of a slash command / button interaction for the session handlers
+function createInteraction(guildId, user, options = {}) {
+    const interaction = {
+        user,
+        member: null,
+        guild: { id: guildId },
+        guildId,
+        channel: { id: 'channel' },
+        options: {
+            getString: name => options[name] ?? null,
+            getBoolean: name => options[name] ?? null
+        },
+        replied: false,
+        replies: [],
+        deferReply: async () => {},
+        editReply: async reply => {
+            interaction.replies.push(reply.content);
+        }
+    };
+    return interaction;
+}
+
+module.exports = { createInteraction };
@@ -0,0 +1,141 @@
+// The Join button and /quickjoin must leave a session in exactly the same state - both go through addPlayerToSession
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    storage,
+    activeSessions,
+    createLFGSession,
+    endLFGSession,
+    handleJoinSession,
+    handleQuickJoinCommand
+} = require('../index.js');
+const { createInteraction } = require('./helpers');
+
+const creator = { id: '100', username: 'creator' };
+const joiner = { id: '200', username: 'joiner' };
+
+// The parts of a session the two join paths have to agree on, read back from the cache and the database
+async function describeSession(sessionId) {
+    const session = activeSessions.get(sessionId);
+    const row = await storage.getSession(sessionId);
+    const { members } = await storage.getSessionSnapshot();
+    const summarize = source => ({
+        status: source.status,
+        roster: source.currentPlayers.map(player => ({ id: player.id, role: player.role ?? null })),
+        waitlist: (source.waitlist || []).map(entry => entry.id),
+        roleSlots: source.roleSlots,
+        filled: Boolean(source.filledAt)
+    });
+
+    const cached = summarize(session);
+    assert.deepEqual(summarize(row), cached, 'cache and database disagree');
+
+    return {
+        ...cached,
+        userSessions: members
+            .filter(member => member.sessionId === sessionId)
+            .map(member => member.userId)
+            .sort()
+    };
+}
+
+// Create the same session in two guilds, join one with the button and the other with /quickjoin
+async function joinBothWays({ playersNeeded, roleSlots = null, creatorRole = null, buttonRole = null, quickJoinRole = null }) {
+    const sessionFor = guildId => createLFGSession({
+        guildId,
+        channelId: 'channel',
+        creator,
+        game: 'valorant',
+        gamemode: 'competitive',
+        playersNeeded,
+        roleSlots,
+        creatorRole
+    });
+    const buttonSession = await sessionFor('guild-button');
+    const quickJoinSession = await sessionFor('guild-quickjoin');
+
+    const buttonInteraction = createInteraction('guild-button', joiner);
+    await handleJoinSession(buttonInteraction, buttonSession.id, buttonRole);
+
+    const quickJoinInteraction = createInteraction('guild-quickjoin', joiner, {
+        game: 'valorant',
+        gamemode: 'competitive',
+        role: quickJoinRole
+    });
+    await handleQuickJoinCommand(quickJoinInteraction);
+
+    assert.match(buttonInteraction.replies.at(-1), /Successfully joined/);
+    assert.match(quickJoinInteraction.replies.at(-1), /Quick Join successful/);
+
+    const results = [await describeSession(buttonSession.id), await describeSession(quickJoinSession.id)];
+    await endLFGSession(buttonSession.id, 'manual');
+    await endLFGSession(quickJoinSession.id, 'manual');
+    return results;
+}
+
+before(async () => {
+    await storage.init();
+});
+
+after(async () => {
+    await storage.close();
+});
+
+test('joining a session with room leaves it recruiting', async () => {
+    const [button, quickJoin] = await joinBothWays({ playersNeeded: 3 });
+
+    assert.deepEqual(button, quickJoin);
+    assert.equal(button.status, 'waiting');
+    assert.deepEqual(button.roster, [{ id: creator.id, role: null }, { id: joiner.id, role: null }]);
+    assert.deepEqual(button.userSessions, [creator.id, joiner.id]);
+    assert.equal(button.filled, false);
+});
+
+test('the joiner that fills a session starts its ready-check', async () => {
+    const [button, quickJoin] = await joinBothWays({ playersNeeded: 2 });
+
+    assert.deepEqual(button, quickJoin);
+    assert.equal(button.status, 'confirming');
+    assert.equal(button.filled, true);
+    assert.deepEqual(button.waitlist, []);
+    assert.deepEqual(button.userSessions, [creator.id, joiner.id]);
+});
+
+test('a role pick takes the same slot on both paths', async () => {
+    const roleSlots = [{ name: 'Duelist', count: 1 }, { name: 'Controller', count: 1 }, { name: 'Sentinel', count: 1 }];
+    const [button, quickJoin] = await joinBothWays({
+        playersNeeded: 3,
+        roleSlots,
+        creatorRole: 'Duelist',
+        buttonRole: 'Sentinel',
+        quickJoinRole: 'sentinel'
+    });
+
+    assert.deepEqual(button, quickJoin);
+    assert.deepEqual(button.roleSlots, roleSlots);
+    assert.deepEqual(button.roster, [{ id: creator.id, role: 'Duelist' }, { id: joiner.id, role: 'Sentinel' }]);
+    assert.equal(button.status, 'waiting');
+});
+
+test('neither path joins a session the user is already in', async () => {
+    const session = await createLFGSession({
+        guildId: 'guild-repeat',
+        channelId: 'channel',
+        creator,
+        game: 'valorant',
+        gamemode: 'competitive',
+        playersNeeded: 3
+    });
+
+    const buttonInteraction = createInteraction('guild-repeat', creator);
+    await handleJoinSession(buttonInteraction, session.id);
+    const quickJoinInteraction = createInteraction('guild-repeat', creator, { game: 'valorant', gamemode: 'competitive' });
+    await handleQuickJoinCommand(quickJoinInteraction);
+
+    assert.match(buttonInteraction.replies.at(-1), /already in this session/);
+    assert.match(quickJoinInteraction.replies.at(-1), /already in another LFG session/);
+    assert.deepEqual((await describeSession(session.id)).userSessions, [creator.id]);
+    await endLFGSession(session.id, 'manual');
+});
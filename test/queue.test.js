@@ -0,0 +1,80 @@
+// Matchmaking queue - a matched group confirms before voice opens, and modes without a party size wait for /lfg create
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    storage,
+    activeSessions,
+    createLFGSession,
+    endLFGSession,
+    handleQuickJoinCommand,
+    ensureGuildCatalog,
+    pullQueuedPlayers
+} = require('../index.js');
+const { createInteraction } = require('./helpers');
+
+const user = id => ({ id, username: `user-${id}` });
+
+async function queueUp(guildId, userId, game, gamemode) {
+    const interaction = createInteraction(guildId, user(userId), { game, gamemode, queue: true });
+    await handleQuickJoinCommand(interaction);
+    return interaction.replies.at(-1);
+}
+
+async function getQueuedUserIds(guildId) {
+    return (await storage.getQueueEntries())
+        .filter(entry => entry.guildId === guildId)
+        .map(entry => entry.userId);
+}
+
+function getGuildSessions(guildId) {
+    return Array.from(activeSessions.values()).filter(session => session.guildId === guildId);
+}
+
+before(async () => {
+    await storage.init();
+});
+
+after(async () => {
+    for (const sessionId of Array.from(activeSessions.keys())) {
+        await endLFGSession(sessionId, 'manual');
+    }
+    await storage.close();
+});
+
+test('a full queue match starts a ready-check instead of opening voice', async () => {
+    await ensureGuildCatalog('guild-match');
+
+    assert.match(await queueUp('guild-match', '1', 'rocketleague', '1v1'), /Waiting:\*\* 1\/2/);
+    assert.match(await queueUp('guild-match', '2', 'rocketleague', '1v1'), /Match found/);
+
+    const [session] = getGuildSessions('guild-match');
+    assert.deepEqual(session.currentPlayers.map(player => player.id), ['1', '2']);
+    assert.equal(session.status, 'confirming');
+    assert.equal(session.voiceChannelId, null);
+    assert.deepEqual(await getQueuedUserIds('guild-match'), []);
+});
+
+test('a mode without a party size keeps players queued until someone posts a session', async () => {
+    await ensureGuildCatalog('guild-open');
+
+    assert.match(await queueUp('guild-open', '1', 'valorant', 'Deathmatch'), /added when someone posts/);
+    assert.match(await queueUp('guild-open', '2', 'valorant', 'Deathmatch'), /added when someone posts/);
+    assert.deepEqual(getGuildSessions('guild-open'), []);
+    assert.deepEqual((await getQueuedUserIds('guild-open')).sort(), ['1', '2']);
+
+    const session = await createLFGSession({
+        guildId: 'guild-open',
+        channelId: 'channel',
+        creator: user('3'),
+        game: 'valorant',
+        gamemode: 'Deathmatch',
+        playersNeeded: 4
+    });
+    await pullQueuedPlayers(session);
+
+    assert.deepEqual(session.currentPlayers.map(player => player.id), ['3', '1', '2']);
+    assert.equal(session.status, 'waiting');
+    assert.deepEqual(await getQueuedUserIds('guild-open'), []);
+});
@@ -0,0 +1,63 @@
+// Scheduled sessions start like any other session: a full roster confirms before voice opens
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    storage,
+    activeSessions,
+    createLFGSession,
+    endLFGSession,
+    handleJoinSession,
+    startDueScheduledSessions
+} = require('../index.js');
+const { createInteraction } = require('./helpers');
+
+const creator = { id: '100', username: 'creator' };
+const player = { id: '200', username: 'player' };
+
+// A scheduled session whose start time has already passed
+function createDueSession(guildId, playersNeeded) {
+    return createLFGSession({
+        guildId,
+        channelId: 'channel',
+        creator,
+        game: 'valorant',
+        gamemode: 'competitive',
+        playersNeeded,
+        scheduledFor: Date.now() - 1000
+    });
+}
+
+before(async () => {
+    await storage.init();
+});
+
+after(async () => {
+    for (const sessionId of Array.from(activeSessions.keys())) {
+        await endLFGSession(sessionId, 'manual');
+    }
+    await storage.close();
+});
+
+test('a full scheduled session starts with a ready-check and no voice channel', async () => {
+    const session = await createDueSession('guild-full', 2);
+    await handleJoinSession(createInteraction('guild-full', player), session.id);
+    assert.equal(session.status, 'scheduled');
+
+    await startDueScheduledSessions();
+
+    assert.equal(session.status, 'confirming');
+    assert.deepEqual(session.confirmedPlayers, []);
+    assert.equal(session.voiceChannelId, null);
+    assert.equal((await storage.getSession(session.id)).status, 'confirming');
+});
+
+test('an unfilled scheduled session goes back to recruiting without voice', async () => {
+    const session = await createDueSession('guild-open', 3);
+
+    await startDueScheduledSessions();
+
+    assert.equal(session.status, 'waiting');
+    assert.equal(session.voiceChannelId, null);
+});
@@ -0,0 +1,61 @@
+// How sessions end, and what that leaves in the session history
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, createLFGSession, endLFGSession, handleJoinSession, handleLeaveSession } = require('../index.js');
+const { createInteraction } = require('./helpers');
+
+const creator = { id: '100', username: 'creator' };
+const player = { id: '200', username: 'player' };
+
+function createTestSession(guildId) {
+    return createLFGSession({
+        guildId,
+        channelId: 'channel',
+        creator,
+        game: 'valorant',
+        gamemode: 'competitive',
+        playersNeeded: 3
+    });
+}
+
+async function getEndReasons(guildId) {
+    return (await storage.getSessionStats(guildId)).endReasons.map(row => row.endReason);
+}
+
+before(async () => {
+    await storage.init();
+});
+
+after(async () => {
+    await storage.close();
+});
+
+test('a creator leaving an otherwise empty session ends it as empty', async () => {
+    const session = await createTestSession('guild-alone');
+
+    await handleLeaveSession(createInteraction('guild-alone', creator), session.id);
+
+    assert.equal(await storage.getSession(session.id), undefined);
+    assert.deepEqual(await getEndReasons('guild-alone'), ['empty']);
+});
+
+test('a creator leaving other players behind ends it as creator_left', async () => {
+    const session = await createTestSession('guild-group');
+    await handleJoinSession(createInteraction('guild-group', player), session.id);
+
+    await handleLeaveSession(createInteraction('guild-group', creator), session.id);
+
+    assert.equal(await storage.getSession(session.id), undefined);
+    assert.deepEqual(await getEndReasons('guild-group'), ['creator_left']);
+});
+
+test('a drift repair finishes the cleanup without recording history', async () => {
+    const session = await createTestSession('guild-drift');
+
+    assert.equal(await endLFGSession(session.id, 'drift'), true);
+
+    assert.equal(await storage.getSession(session.id), undefined);
+    assert.deepEqual(await getEndReasons('guild-drift'), []);
+});
@@ -0,0 +1,171 @@
+// Storage contract - the in-memory and SQLite drivers must answer like the Postgres driver for the same calls
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+const sqlitePath = path.join(os.tmpdir(), `lfg-storage-test-${process.pid}.sqlite`);
+
+function removeSqliteFiles() {
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(sqlitePath + suffix, { force: true });
+    }
+}
+
+function createTestSession(id, overrides = {}) {
+    const now = Date.now();
+    return {
+        id,
+        creatorId: 'creator',
+        guildId: 'guild',
+        channelId: 'channel',
+        game: 'valorant',
+        gamemode: 'competitive',
+        playersNeeded: 3,
+        currentPlayers: [{ id: 'creator', username: 'creator' }],
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + 60 * 60 * 1000).toISOString(),
+        ...overrides
+    };
+}
+
+function createHistoryEntry(sessionId, fillSeconds) {
+    return {
+        sessionId,
+        guildId: 'guild',
+        creatorId: 'creator',
+        game: 'valorant',
+        gamemode: 'competitive',
+        playersNeeded: 3,
+        playerCount: 3,
+        fillSeconds,
+        endReason: fillSeconds === null ? 'expired' : 'manual',
+        createdAt: new Date(),
+        filledAt: fillSeconds === null ? null : new Date()
+    };
+}
+
+async function getMemberIds(storage, sessionId) {
+    const { members } = await storage.getSessionSnapshot();
+    return members
+        .filter(member => member.sessionId === sessionId)
+        .map(member => member.userId)
+        .sort();
+}
+
+for (const driver of ['memory', 'sqlite']) {
+    describe(`${driver} storage driver`, () => {
+        let storage;
+
+        before(async () => {
+            removeSqliteFiles();
+            storage = createStorage(driver, { sqlitePath });
+            await storage.init();
+        });
+
+        after(async () => {
+            await storage.close();
+            removeSqliteFiles();
+        });
+
+        test('createSession stores the session and its creator membership', async () => {
+            const created = await storage.createSession(createTestSession('SESSION1'));
+
+            assert.equal(created.status, 'waiting');
+            assert.equal(created.isActive, true);
+            assert.ok(created.createdAt instanceof Date);
+            assert.deepEqual(created.confirmedPlayers, []);
+            assert.equal((await storage.getSession('SESSION1')).id, 'SESSION1');
+            assert.deepEqual(await getMemberIds(storage, 'SESSION1'), ['creator']);
+
+            await assert.rejects(storage.createSession(createTestSession('SESSION1')));
+        });
+
+        test('addSessionPlayer updates the roster and membership together', async () => {
+            const updated = await storage.addSessionPlayer('SESSION1', 'guild', 'player', {
+                currentPlayers: [{ id: 'creator', username: 'creator' }, { id: 'player', username: 'player' }]
+            });
+
+            assert.deepEqual(updated.currentPlayers.map(player => player.id), ['creator', 'player']);
+            assert.deepEqual((await storage.getSession('SESSION1')).currentPlayers.map(player => player.id), ['creator', 'player']);
+            assert.deepEqual(await getMemberIds(storage, 'SESSION1'), ['creator', 'player']);
+        });
+
+        test('removeSessionPlayers drops the roster entries and their membership rows', async () => {
+            const updated = await storage.removeSessionPlayers('SESSION1', ['player'], {
+                currentPlayers: [{ id: 'creator', username: 'creator' }],
+                status: 'waiting'
+            });
+
+            assert.deepEqual(updated.currentPlayers.map(player => player.id), ['creator']);
+            assert.deepEqual(await getMemberIds(storage, 'SESSION1'), ['creator']);
+        });
+
+        test('a write that fails part-way leaves no changes behind', async () => {
+            await assert.rejects(storage.replaceSessionPlayers('SESSION1', 'guild', ['player', 'player']));
+
+            assert.deepEqual(await getMemberIds(storage, 'SESSION1'), ['creator']);
+        });
+
+        test('endSession deactivates the session and clears its memberships', async () => {
+            await storage.endSession('SESSION1');
+
+            assert.equal(await storage.getSession('SESSION1'), undefined);
+            assert.equal((await storage.getActiveSessions()).some(session => session.id === 'SESSION1'), false);
+            assert.deepEqual(await getMemberIds(storage, 'SESSION1'), []);
+            await assert.rejects(storage.addSessionPlayer('SESSION1', 'guild', 'late', { currentPlayers: [] }));
+        });
+
+        test('endSession records the history passed with it', async () => {
+            await storage.createSession(createTestSession('SESSION3', { guildId: 'history-guild' }));
+            const entry = { ...createHistoryEntry('SESSION3', 40), guildId: 'history-guild' };
+            const players = [{ sessionId: 'SESSION3', userId: 'creator', guildId: 'history-guild', game: 'valorant', gamemode: 'competitive', isCreator: true }];
+
+            await storage.endSession('SESSION3', { entry, players });
+
+            assert.equal(await storage.getSession('SESSION3'), undefined);
+            assert.equal((await storage.getSessionStats('history-guild')).totalSessions, 1);
+            assert.equal((await storage.getPlayerStats('history-guild', 'creator')).sessionsPlayed, 1);
+        });
+
+        test('getSessionStats reports an interpolated median fill time like percentile_cont', async () => {
+            const fillTimes = [200, 30, null, 100, 50];
+            for (const [index, fillSeconds] of fillTimes.entries()) {
+                await storage.recordSessionHistory(createHistoryEntry(`HISTORY${index}`, fillSeconds), []);
+            }
+
+            const stats = await storage.getSessionStats('guild');
+            assert.equal(stats.totalSessions, 5);
+            assert.equal(stats.filledSessions, 4);
+            assert.equal(stats.medianFillSeconds, 75);
+            assert.deepEqual(stats.endReasons.find(row => row.endReason === 'expired'), { endReason: 'expired', sessions: 1 });
+
+            assert.equal((await storage.getSessionStats('another-guild')).medianFillSeconds, null);
+        });
+
+        if (driver === 'sqlite') {
+            test('rows survive reopening the database file', async () => {
+                await storage.createSession(createTestSession('SESSION2'));
+                await storage.close();
+
+                storage = createStorage(driver, { sqlitePath });
+                await storage.init();
+
+                const reloaded = await storage.getSession('SESSION2');
+                assert.ok(reloaded.createdAt instanceof Date);
+                assert.deepEqual(await getMemberIds(storage, 'SESSION2'), ['creator']);
+                assert.equal((await storage.getSessionStats('guild')).medianFillSeconds, 75);
+            });
+
+            test('sessions are stored as rows of the lfg_sessions table', async () => {
+                const row = storage.database
+                    .prepare('SELECT id, creator_id, is_active FROM lfg_sessions WHERE id = ?')
+                    .get('SESSION2');
+
+                assert.deepEqual(row, { id: 'SESSION2', creator_id: 'creator', is_active: 1 });
+            });
+        }
+    });
+}
@@ -0,0 +1,74 @@
+// Waitlist sign-ups count towards the session limit, are capped, and stay within Discord's embed field size
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    storage,
+    activeSessions,
+    createLFGSession,
+    endLFGSession,
+    createLFGEmbed,
+    handleJoinSession,
+    handleJoinWaitlist
+} = require('../index.js');
+const { createInteraction } = require('./helpers');
+
+const user = id => ({ id, username: `user-${id}` });
+
+// Create a two-player session and fill it, so new players can only join its waitlist
+async function createFullSession(guildId, creatorId, joinerId) {
+    const session = await createLFGSession({
+        guildId,
+        channelId: 'channel',
+        creator: user(creatorId),
+        game: 'valorant',
+        gamemode: 'competitive',
+        playersNeeded: 2
+    });
+    await handleJoinSession(createInteraction(guildId, user(joinerId)), session.id);
+    return session;
+}
+
+async function joinWaitlist(guildId, userId, sessionId) {
+    const interaction = createInteraction(guildId, user(userId));
+    await handleJoinWaitlist(interaction, sessionId);
+    return interaction.replies.at(-1);
+}
+
+before(async () => {
+    await storage.init();
+});
+
+after(async () => {
+    for (const sessionId of Array.from(activeSessions.keys())) {
+        await endLFGSession(sessionId, 'manual');
+    }
+    await storage.close();
+});
+
+test('players already at the session limit cannot join a waitlist', async () => {
+    const first = await createFullSession('guild-limit', '1', '2');
+    const second = await createFullSession('guild-limit', '3', '4');
+
+    assert.match(await joinWaitlist('guild-limit', '1', second.id), /already in another LFG session/);
+    assert.match(await joinWaitlist('guild-limit', '5', first.id), /on the .* waitlist/);
+    assert.match(await joinWaitlist('guild-limit', '5', second.id), /already on another session's waitlist/);
+    assert.deepEqual(activeSessions.get(second.id).waitlist, []);
+});
+
+test('the waitlist is capped and the embed lists only the first entries', async () => {
+    const session = await createFullSession('guild-cap', '1', '2');
+    for (let index = 0; index < 20; index++) {
+        assert.match(await joinWaitlist('guild-cap', `w${index}`, session.id), /on the .* waitlist/);
+    }
+
+    assert.match(await joinWaitlist('guild-cap', 'late', session.id), /waitlist is full/);
+    assert.equal(activeSessions.get(session.id).waitlist.length, 20);
+
+    const field = createLFGEmbed(activeSessions.get(session.id)).data.fields.find(f => f.name.startsWith('📋 Waitlist'));
+    assert.equal(field.name, '📋 Waitlist (20)');
+    assert.equal(field.value.split('\n').length, 11);
+    assert.match(field.value, /\+10 more/);
+    assert.ok(field.value.length <= 1024);
+});